@@ -25,6 +25,8 @@ class MovableBehavior {
         this.movementDelta = { x: 0, y: 0 };
         this.minimumMovementThreshold = 8; // 8px minimum to trigger movement
         this.lockAcquired = false; // Track lock acquisition status
+        this.moveLease = null; // drag_lock request held while a move is in progress
+        this.leaseLost = false; // Lock denied or revoked - the current move is over
         
         // Movement constraints
         this.snapToGrid = true;
@@ -36,7 +38,7 @@ class MovableBehavior {
             "startMove": {
                 "enabled": true,
                 "triggers": ["mousedown"],
-                "parameters": { "position": "required", "target": "drag_area" },
+                "parameters": { "position": "required coordinates", "target": "drag_area" },
                 "contextDependent": true,
                 "requiredMode": "design",
                 "priority": "high" // Higher than SelectableBehavior
@@ -44,7 +46,7 @@ class MovableBehavior {
             "performMove": {
                 "enabled": true,
                 "triggers": ["mousemove"],
-                "parameters": { "position": "required", "deltaThreshold": 8 },
+                "parameters": { "position": "required coordinates", "deltaThreshold": 8 },
                 "contextDependent": true,
                 "requiredMode": "design",
                 "priority": "high"
@@ -52,7 +54,7 @@ class MovableBehavior {
             "endMove": {
                 "enabled": true,
                 "triggers": ["mouseup", "Escape"],
-                "parameters": { "finalPosition": "optional" },
+                "parameters": { "finalPosition": "optional coordinates" },
                 "contextDependent": true,
                 "requiredMode": "design",
                 "priority": "high"
@@ -75,16 +77,15 @@ class MovableBehavior {
     startMove(parameters) {
         console.log(`🔍 MovableBehavior Stage 1: startMove called for ${this.componentId}`, parameters);
         
-        // Check if movement is allowed in current mode
-        if (!this._isAllowedInCurrentMode()) {
-            console.log(`🔍 MovableBehavior Stage 1a: Movement not allowed in current mode`);
-            return { success: false, error: 'Movement not allowed in current mode' };
+        // Mode and context gating comes from the schema (requiredMode, contextDependent) via the Event Handler
+        if (!this.component.isMovable) {
+            console.log(`🔍 MovableBehavior Stage 1a: Component is not movable`);
+            return { success: false, error: 'Component is not movable' };
         }
         
-        console.log(`🔍 MovableBehavior Stage 1b: Mode check passed, skipping lock for now`);
-        // Skip lock for now to avoid blocking - movement will be controlled by threshold
-        // TODO: Implement proper lock management that doesn't self-block
-        this.lockAcquired = false;
+        console.log(`🔍 MovableBehavior Stage 1b: Component movable, requesting drag lease`);
+        // Granted asynchronously; performMove renews it and refuses to move once it is denied or revoked
+        this._requestMoveLease();
         
         console.log(`🔍 MovableBehavior Stage 1c: Getting element position and mouse offset`);
         // Get element's current CSS position
@@ -153,6 +154,8 @@ class MovableBehavior {
         console.log(`🔍 MovableBehavior Stage 1f: Returning success result`);
         return {
             success: true,
+            // The move is this component's; its parent containers do not also start one
+            stopPropagation: true,
             graphics_request,
             state_change: {
                 componentId: this.componentId,
@@ -175,11 +178,18 @@ class MovableBehavior {
     performMove(parameters) {
         console.log(`🔍 MovableBehavior Stage 2: performMove called`, parameters);
         
-        if (!this.mouseStartPosition || !this.elementStartPosition || !this._isAllowedInCurrentMode()) {
-            console.log(`🔍 MovableBehavior Stage 2a: Movement not initialized or not allowed`);
-            return { success: false, error: 'Movement not initialized or not allowed' };
+        if (!this.mouseStartPosition || !this.elementStartPosition) {
+            console.log(`🔍 MovableBehavior Stage 2a: Movement not initialized`);
+            return { success: false, error: 'Movement not initialized' };
+        }
+        
+        if (this.leaseLost) {
+            return { success: false, error: 'Drag lock not held' };
         }
         
+        // Every move is a heartbeat for the drag lease
+        this._renewMoveLease();
+        
         console.log(`🔍 MovableBehavior Stage 2b: Calculating movement delta`);
         // Calculate movement delta from mouse start position
         this.movementDelta = {
@@ -312,6 +322,12 @@ class MovableBehavior {
     endMove(parameters) {
         console.log(`🔍 MovableBehavior Stage 3: endMove called`, parameters);
         
+        // Aborted earlier (lease revoked or cancelled): nothing to finish, no selection
+        if (!this.mouseStartPosition) {
+            this._releaseMoveLease('movement_aborted');
+            return this._resetMovementState();
+        }
+        
         const wasMoving = this.isMoving;
         const finalMousePosition = parameters.finalPosition || this.currentPosition;
         
@@ -327,24 +343,8 @@ class MovableBehavior {
             finalElementPosition
         });
         
-        // Only try to release lock if we actually acquired one
-        if (this.lockAcquired) {
-            console.log(`🔍 MovableBehavior Stage 3b: Releasing lock`);
-            const eventHandler = window.toolsApp?.eventHandler;
-            if (eventHandler) {
-                try {
-                    eventHandler.releaseLock(
-                        'move_operation', 
-                        this.componentId, 
-                        'movement_completed'
-                    );
-                    console.log(`🔓 Movement lock released for ${this.componentId}`);
-                } catch (error) {
-                    console.error(`❌ Failed to release movement lock for ${this.componentId}:`, error);
-                }
-            }
-            this.lockAcquired = false;
-        }
+        console.log(`🔍 MovableBehavior Stage 3b: Releasing drag lease`);
+        this._releaseMoveLease('movement_completed');
         
         console.log(`🔍 MovableBehavior Stage 3c: Cleaning up movement state`);
         // Clean up movement state
@@ -437,25 +437,9 @@ class MovableBehavior {
     cancelMove(parameters) {
         console.log(`🔍 MovableBehavior Stage 4: cancelMove called`, parameters);
         
-        const originalPosition = this.startPosition;
-        
-        // Only try to release lock if we actually acquired one
-        if (this.lockAcquired) {
-            const eventHandler = window.toolsApp?.eventHandler;
-            if (eventHandler) {
-                try {
-                    eventHandler.releaseLock(
-                        'move_operation', 
-                        this.componentId, 
-                        'movement_cancelled'
-                    );
-                    console.log(`🔓 Movement lock released (cancelled) for ${this.componentId}`);
-                } catch (error) {
-                    console.error(`❌ Failed to release movement lock (cancel) for ${this.componentId}:`, error);
-                }
-            }
-            this.lockAcquired = false;
-        }
+        const originalPosition = this.startPosition || this.elementStartPosition;
+        
+        this._releaseMoveLease('movement_cancelled');
         
         // Clean up movement state
         this.isMoving = false;
@@ -475,7 +459,8 @@ class MovableBehavior {
                 easing: 'ease-in-out'
             },
             styles: {
-                transform: originalPosition ? `translate(${originalPosition.x}px, ${originalPosition.y}px)` : '',
+                left: originalPosition ? `${originalPosition.x}px` : '',
+                top: originalPosition ? `${originalPosition.y}px` : '',
                 cursor: 'pointer',
                 zIndex: '',
                 opacity: 1,
@@ -496,9 +481,11 @@ class MovableBehavior {
             }
         };
         
-        // Reset state
+        // Reset state; later moves of this press are ignored
         this.startPosition = null;
         this.currentPosition = null;
+        this.mouseStartPosition = null;
+        this.elementStartPosition = null;
         this.movementDelta = { x: 0, y: 0 };
         
         return {
@@ -510,6 +497,7 @@ class MovableBehavior {
                 value: originalPosition,
                 metadata: {
                     movementType: 'cancelled',
+                    reason: parameters.reason || 'cancelled',
                     returnedToOriginal: true,
                     timestamp: Date.now()
                 }
@@ -546,10 +534,87 @@ class MovableBehavior {
     // UTILITY METHODS
     
     /**
-     * Check if movement is allowed in current mode
+     * Event Handler that grants drag locks, when the application is up
+     */
+    _getEventHandler() {
+        return typeof window !== 'undefined' ? window.toolsApp?.eventHandler || null : null;
+    }
+    
+    /**
+     * Ask for the drag_lock lease on this component
+     * Denied: the component is busy (e.g. being resized), so the request is withdrawn and the
+     * move refused. Revoked later (lease expired, emergency release): the move is aborted.
+     */
+    _requestMoveLease() {
+        const eventHandler = this._getEventHandler();
+        this.leaseLost = false;
+        this.lockAcquired = false;
+        if (!eventHandler || typeof eventHandler.renewLock !== 'function') return;
+        
+        const lease = {
+            type: 'drag_lock',
+            scope: { componentId: this.componentId },
+            owner: `movable_${this.componentId}`,
+            source: 'movable_behavior',
+            onExpire: info => this._onLeaseRevoked(lease, info)
+        };
+        this.moveLease = lease;
+        
+        eventHandler.requestLock(lease).then(granted => {
+            if (this.moveLease !== lease) {
+                // The move ended before the answer came back
+                if (granted) eventHandler.releaseLock(lease, 'movement_finished');
+                else eventHandler.withdrawLock(lease);
+                return;
+            }
+            
+            this.lockAcquired = granted;
+            if (!granted) {
+                console.log(`🔒 ${this.componentId} is locked by another operation - movement refused`);
+                this.leaseLost = true;
+                this.moveLease = null;
+                eventHandler.withdrawLock(lease);
+            }
+        }).catch(error => {
+            console.error(`❌ Failed to request drag lock for ${this.componentId}:`, error);
+        });
+    }
+    
+    _renewMoveLease() {
+        const eventHandler = this._getEventHandler();
+        if (this.lockAcquired && eventHandler) {
+            eventHandler.renewLock(this.moveLease);
+        }
+    }
+    
+    _releaseMoveLease(reason) {
+        const eventHandler = this._getEventHandler();
+        if (this.lockAcquired && eventHandler) {
+            eventHandler.releaseLock(this.moveLease, reason)
+                .catch(error => console.error(`❌ Failed to release drag lock for ${this.componentId}:`, error));
+            console.log(`🔓 Drag lock released for ${this.componentId} (${reason})`);
+        }
+        this.lockAcquired = false;
+        this.moveLease = null;
+    }
+    
+    /**
+     * The Event Handler took the drag lock back: abort the move and return the component
      */
-    _isAllowedInCurrentMode() {
-        return this.component.isDesignMode() && this.component.isMovable;
+    _onLeaseRevoked(lease, info) {
+        if (this.moveLease !== lease) return null;
+        
+        console.warn(`⚠️ Drag lock for ${this.componentId} revoked (${info.reason}) - aborting movement`);
+        this.lockAcquired = false;
+        this.moveLease = null;
+        this.leaseLost = true;
+        
+        const result = this.cancelMove({ reason: info.reason, leaseRevoked: true });
+        const graphicsHandler = typeof window !== 'undefined' ? window.toolsApp?.graphicsHandler : null;
+        if (graphicsHandler && result.graphics_request) {
+            graphicsHandler.executeRequest(result.graphics_request);
+        }
+        return result;
     }
     
     /**
@@ -39,18 +39,19 @@ class ResizeableBehavior {
                 "enabled": true,
                 "triggers": ["mousedown_resize_handle"],
                 "parameters": { 
-                    "handle": "required", 
-                    "position": "required",
+                    "handle": "required string", 
+                    "position": "required coordinates",
                     "constrainAspectRatio": false 
                 },
                 "contextDependent": true,
-                "requiredMode": "design"
+                "requiredMode": "design",
+                "priority": "critical"
             },
             "performResize": {
                 "enabled": true,
                 "triggers": ["mousemove_while_resizing"],
                 "parameters": { 
-                    "position": "required", 
+                    "position": "required coordinates", 
                     "constraints": "optional",
                     "livePreview": true 
                 },
@@ -70,7 +71,7 @@ class ResizeableBehavior {
             "showResizeHandles": {
                 "enabled": true,
                 "triggers": ["selection", "hover"],
-                "parameters": { "visible": "required" },
+                "parameters": { "visible": "required boolean" },
                 "contextDependent": true,
                 "requiredMode": "design"
             },
@@ -94,13 +95,13 @@ class ResizeableBehavior {
     startResize(parameters) {
         console.log("🔍 ResizeableBehavior Stage 1: startResize called", parameters);
         
-        // Check if allowed in current mode
-        if (!this._isAllowedInCurrentMode()) {
-            console.log("🔍 ResizeableBehavior Stage 1a: Resize not allowed in current mode");
-            return { success: false, error: 'Resize not allowed in current mode' };
+        // The Event Handler enforces the schema's requiredMode; only the component's capability is checked here
+        if (!this.component.isResizeable) {
+            console.log("🔍 ResizeableBehavior Stage 1a: Component is not resizeable");
+            return { success: false, error: 'Component is not resizeable' };
         }
         
-        console.log("🔍 ResizeableBehavior Stage 1b: Mode check passed, setting resize state");
+        console.log("🔍 ResizeableBehavior Stage 1b: Component resizeable, setting resize state");
         
         // Business logic
         this.isResizing = true;
@@ -178,6 +179,8 @@ class ResizeableBehavior {
         
         return {
             success: true,
+            // A grabbed handle owns the mousedown: nothing else on this or any parent component runs
+            stopImmediatePropagation: true,
             graphics_request,
             state_change: {
                 componentId: this.componentId,
@@ -419,8 +422,8 @@ class ResizeableBehavior {
      * Controls visibility of resize handles based on selection/hover
      */
     showResizeHandles(parameters) {
-        if (!this._isAllowedInCurrentMode()) {
-            return { success: false, error: 'Resize handles not available in current mode' };
+        if (!this.component.isResizeable) {
+            return { success: false, error: 'Component is not resizeable' };
         }
         
         const visible = parameters.visible;
@@ -544,13 +547,6 @@ class ResizeableBehavior {
     
     // UTILITY METHODS
     
-    /**
-     * Check if resize is allowed in current mode
-     */
-    _isAllowedInCurrentMode() {
-        return this.component.isDesignMode() && this.component.isResizeable;
-    }
-    
     /**
      * Get current component dimensions
      */
@@ -3,12 +3,117 @@
  * Manages a JSON-based changelog for inter-handler communication
  */
 
+/**
+ * Change Event Bus - In-process delivery of changelog entries
+ * Every ChangeLogManager in the same process (or window) joins one shared bus,
+ * so a logged change reaches the other handlers without re-reading storage
+ */
+class ChangeEventBus {
+    constructor() {
+        this.managers = new Set();
+    }
+    
+    /**
+     * Add a manager to the bus
+     */
+    join(manager) {
+        this.managers.add(manager);
+    }
+    
+    /**
+     * Remove a manager from the bus
+     */
+    leave(manager) {
+        this.managers.delete(manager);
+    }
+    
+    /**
+     * Hand freshly logged entries to every manager on the bus
+     */
+    publish(entries, source) {
+        for (const manager of this.managers) {
+            manager.receiveEntries(entries, source);
+        }
+    }
+}
+
+/**
+ * Context Transaction - Stages several context updates so they land as one entry group
+ * Nothing touches the context until commit(); rollback() discards the staged updates
+ */
+class ContextTransaction {
+    constructor(changeLog, metadata = {}) {
+        this.changeLog = changeLog;
+        this.id = `tx_${Date.now()}_${++ContextTransaction.counter}`;
+        this.metadata = metadata;
+        this.updates = [];
+        this.state = 'open'; // 'open' | 'committed' | 'rolled_back'
+    }
+    
+    /**
+     * Stage an update
+     */
+    update(path, value, changeType = 'update', metadata = {}) {
+        this.assertOpen();
+        this.updates.push({ path, value, changeType, metadata });
+        return this;
+    }
+    
+    /**
+     * Read a value as it will be after commit
+     */
+    get(path) {
+        for (let i = this.updates.length - 1; i >= 0; i--) {
+            if (this.updates[i].path === path) {
+                return this.updates[i].value;
+            }
+        }
+        return this.changeLog.getContextValue(path);
+    }
+    
+    /**
+     * Apply all staged updates as one group
+     */
+    async commit() {
+        this.assertOpen();
+        this.state = 'committed';
+        return this.changeLog.commitTransaction(this);
+    }
+    
+    /**
+     * Discard all staged updates
+     */
+    rollback() {
+        this.assertOpen();
+        this.state = 'rolled_back';
+        this.updates = [];
+    }
+    
+    assertOpen() {
+        if (this.state !== 'open') {
+            throw new Error(`Transaction ${this.id} is already ${this.state}`);
+        }
+    }
+}
+
+ContextTransaction.counter = 0;
+
 class ChangeLogManager {
-    constructor(changelogPath = './changelog.json', contextPath = './current_context_meta.json') {
+    constructor(changelogPath = './changelog.json', contextPath = './current_context_meta.json', options = {}) {
         this.changelogPath = changelogPath;
         this.contextPath = contextPath;
         this.isNode = typeof window === 'undefined';
         
+        // Query indexes over the changelog entries
+        const ChangeLogIndex = ChangeLogManager.resolveModule('ChangeLogIndex', 'ChangeLogIndex.js');
+        if (!ChangeLogIndex) {
+            throw new Error('ChangeLog: ChangeLogIndex.js must be loaded before ChangeLog.js');
+        }
+        this.index = new ChangeLogIndex(ChangeLogManager.matchesPathPattern);
+        
+        // Persistence: 'memory' | 'localStorage' | 'indexedDB' | 'file', or an adapter instance
+        this.storage = this.createStorage(options.storage);
+        
         // In-memory cache
         this.changelogCache = null;
         this.contextCache = null;
@@ -16,15 +121,57 @@ class ChangeLogManager {
         
         // Event system
         this.listeners = new Map();
+        this.subscriptions = new Map(); // path pattern -> Set of callbacks
         this.isListening = false;
-        this.pollInterval = 50; // ms
+        this.deliveryMode = options.deliveryMode || 'microtask'; // 'microtask' | 'sync'
+        this.bus = options.bus || ChangeLogManager.bus;
+        
+        // Polling is only a fallback for separate Node processes sharing the JSON file
+        this.crossProcessPolling = options.crossProcessPolling !== undefined
+            ? options.crossProcessPolling
+            : !!this.storage.sharedAcrossProcesses;
+        this.pollInterval = options.pollInterval || 50; // ms
         this.pollTimer = null;
         
         // Handler tracking
         this.handlerName = null;
+        this.registeredHandlers = new Set();
         this.lastProcessedSequence = 0;
         
-        this.init();
+        // Liveness: registered handlers stamp last_heartbeat so a supervisor can spot dead ones
+        this.heartbeatInterval = options.heartbeatInterval !== undefined ? options.heartbeatInterval : 5000; // ms, 0 disables
+        this.heartbeatTimer = null;
+        
+        // Writes made before the initial load are replayed on top of the loaded context
+        this.contextLoaded = false;
+        this.pendingWrites = [];
+        this.pendingSaves = new Set();
+        
+        // Schema validation of context writes
+        this.schema = null;
+        this.schemaOptions = {
+            schema: options.schema || null,
+            templatePath: options.schemaTemplatePath || null,
+            templateUrl: options.schemaTemplateUrl || null
+        };
+        this.schemaStrictness = options.schemaStrictness || 'warn'; // 'strict' | 'warn' | 'off'
+        this.maxSchemaViolations = 50;
+        
+        // Handler write permissions on context paths (false disables)
+        this.ownership = this.createOwnership(options.ownership);
+        this.ownershipMode = options.ownershipMode || 'enforce'; // 'enforce' | 'warn' | 'off'
+        
+        // Upgrades stored data written by older code; data from newer code is refused
+        this.migrations = this.createMigrations(options.migrations);
+        this.loadError = null; // set when stored data was refused, so nothing overwrites it
+        
+        // Snapshots: the context as of a sequence id, so old entries can be compacted away
+        this.snapshot = null;
+        this.snapshotInterval = options.snapshotInterval !== undefined ? options.snapshotInterval : 250; // sequences, 0 = only on compaction
+        
+        this.bus.join(this);
+        this.ready = this.init();
+        this.ready.catch(() => {}); // refusal is reported to whoever awaits ready
     }
     
     /**
@@ -34,10 +181,33 @@ class ChangeLogManager {
         try {
             await this.loadChangelog();
             await this.loadContext();
+            await this.loadSnapshot();
+            await this.loadSchema();
+            
+            // Lost or missing context: rebuild it from snapshot + tail
+            if (this.snapshot && (!this.contextCache || Object.keys(this.contextCache).length === 0)) {
+                this.contextCache = this.restoreContext();
+                console.log(`Context restored from snapshot @${this.snapshot.sequence_id}`);
+            }
         } catch (error) {
+            if (error.name === 'ContextVersionError') {
+                console.error(`ChangeLogManager: ${error.message}`);
+                this.loadError = error;
+                this.changelogCache = null;
+                this.contextCache = null;
+                throw error;
+            }
+            
             console.error('ChangeLogManager init failed:', error);
             this.initializeEmptyStructures();
         }
+        
+        this.contextLoaded = true;
+        if (!this.contextCache) {
+            this.contextCache = {};
+        }
+        this.pendingWrites.forEach(([path, value]) => this.setContextValue(path, value));
+        this.pendingWrites = [];
     }
     
     /**
@@ -45,24 +215,129 @@ class ChangeLogManager {
      */
     registerHandler(handlerName) {
         this.handlerName = handlerName;
+        this.registeredHandlers.add(handlerName);
         
         // Update handler registration in changelog
-        if (this.changelogCache && this.changelogCache.handlers) {
-            if (!this.changelogCache.handlers[handlerName]) {
-                this.changelogCache.handlers[handlerName] = {
-                    last_read_sequence: 0,
-                    last_write_sequence: 0,
-                    is_listening: false,
-                    poll_interval: this.pollInterval
-                };
-            }
-            this.changelogCache.handlers[handlerName].is_listening = true;
-            this.saveChangelog();
+        const register = () => this.saveChangelog(() => this.touchHandlerRecord(handlerName));
+        if (this.changelogCache) {
+            this.touchHandlerRecord(handlerName);
+            register();
+        } else {
+            this.ready.then(register, () => {});
         }
+        this.startHeartbeat();
         
         console.log(`Handler registered: ${handlerName}`);
     }
     
+    /**
+     * Create or refresh a handler's record as registered and alive
+     */
+    touchHandlerRecord(handlerName) {
+        const handlers = this.changelogCache.handlers || (this.changelogCache.handlers = {});
+        if (!handlers[handlerName]) {
+            handlers[handlerName] = {
+                last_read_sequence: 0,
+                last_write_sequence: 0,
+                is_listening: false,
+                poll_interval: this.crossProcessPolling ? this.pollInterval : 0
+            };
+        }
+        
+        const record = handlers[handlerName];
+        record.is_listening = true;
+        record.status = 'alive';
+        record.last_heartbeat = Date.now();
+        delete record.lost_at;
+    }
+    
+    /**
+     * Stamp last_heartbeat on every handler registered through this manager
+     */
+    heartbeat() {
+        return this.saveChangelog(() => {
+            const now = Date.now();
+            for (const handlerName of this.registeredHandlers) {
+                const record = this.changelogCache.handlers && this.changelogCache.handlers[handlerName];
+                if (!record) continue;
+                
+                // A handler wrongly declared lost (e.g. a suspended tab) comes back
+                if (record.status === 'lost') {
+                    console.log(`Handler ${handlerName} is alive again`);
+                    delete record.lost_at;
+                }
+                record.status = 'alive';
+                record.last_heartbeat = now;
+            }
+        });
+    }
+    
+    startHeartbeat() {
+        if (this.heartbeatInterval <= 0 || this.heartbeatTimer) return;
+        
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), this.heartbeatInterval);
+        
+        // Heartbeats alone should not keep a Node process running
+        if (this.heartbeatTimer.unref) this.heartbeatTimer.unref();
+    }
+    
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+    
+    /**
+     * Mark handlers whose last heartbeat is older than `timeout` ms as lost
+     * Decided on the stored log under its lock, so a heartbeat landing meanwhile wins.
+     * Handlers registered through this manager are never lost. Returns the newly lost records.
+     */
+    async markLostHandlers(timeout) {
+        await this.ready;
+        
+        const lost = [];
+        await this.saveChangelog(() => {
+            const now = Date.now();
+            for (const [handlerName, record] of Object.entries(this.changelogCache.handlers || {})) {
+                if (this.registeredHandlers.has(handlerName)) continue;
+                if (record.status !== 'alive' || !record.last_heartbeat) continue;
+                if (now - record.last_heartbeat <= timeout) continue;
+                
+                record.status = 'lost';
+                record.is_listening = false;
+                record.lost_at = now;
+                lost.push({ handler: handlerName, ...record });
+            }
+        });
+        
+        return lost;
+    }
+    
+    /**
+     * Mirror a granted lock into lock_registry.active_locks, or remove it when `lockInfo` is null
+     */
+    recordLock(lockKey, lockInfo) {
+        return this.saveChangelog(() => {
+            const registry = this.changelogCache.lock_registry ||
+                (this.changelogCache.lock_registry = { active_locks: {}, lock_queue: [], lock_history: [] });
+            
+            if (lockInfo) {
+                registry.active_locks[lockKey] = lockInfo;
+            } else {
+                delete registry.active_locks[lockKey];
+            }
+        });
+    }
+    
+    /**
+     * Locks currently recorded in lock_registry, keyed by lock key
+     */
+    getRecordedLocks() {
+        const registry = this.changelogCache && this.changelogCache.lock_registry;
+        return registry ? { ...registry.active_locks } : {};
+    }
+    
     /**
      * Start listening for changes
      */
@@ -77,10 +352,12 @@ class ChangeLogManager {
             this.listeners.set('change', callback);
         }
         
-        // Start polling for changes
-        this.pollTimer = setInterval(() => {
-            this.checkForChanges();
-        }, this.pollInterval);
+        // In-process changes arrive through the bus; poll only for other processes
+        if (this.crossProcessPolling && !this.pollTimer) {
+            this.pollTimer = setInterval(() => {
+                this.checkForChanges();
+            }, this.pollInterval);
+        }
         
         console.log(`Started listening for changes: ${this.handlerName}`);
     }
@@ -109,57 +386,297 @@ class ChangeLogManager {
      * Log a change to the changelog
      */
     async logChange(action, contextPath, oldValue, newValue, changeType = 'update', metadata = {}) {
+        if (action === 'context_update' && !this.checkOwnership([{ path: contextPath, value: newValue }])) {
+            return false;
+        }
+        
+        const [sequenceId] = await this.logChanges([
+            { action, contextPath, oldValue, newValue, changeType, metadata }
+        ]);
+        return sequenceId;
+    }
+    
+    /**
+     * Log a group of changes with consecutive sequence ids, one notification and one save
+     */
+    async logChanges(changes) {
+        await this.ready;
+        
         if (!this.changelogCache) {
             await this.loadChangelog();
         }
         
-        const sequenceId = ++this.changelogCache.last_sequence_id;
+        // Sequence ids are assigned against the stored log, under its lock, so
+        // writers in other processes never hand out the same id
+        let entries = null;
+        await this.saveChangelog(() => {
+            entries = this.appendEntries(changes);
+        });
         
-        const entry = {
-            sequence_id: sequenceId,
-            timestamp: Date.now(),
+        if (entries) {
+            await this.compactChangelog();
+        } else {
+            // Storage unavailable: keep the entries in memory only
+            entries = this.appendEntries(changes);
+        }
+        
+        // Notify in-process listeners
+        this.bus.publish(entries, this);
+        
+        entries.forEach(entry => {
+            console.log(`Change logged: ${entry.action} at ${entry.context_path} by ${this.handlerName}`);
+        });
+        return entries.map(entry => entry.sequence_id);
+    }
+    
+    /**
+     * Sequence the changes and append them to the cached log
+     */
+    appendEntries(changes) {
+        const log = this.changelogCache.changelog;
+        const timestamp = Date.now();
+        
+        const entries = changes.map(change => ({
+            sequence_id: ++log.last_sequence_id,
+            timestamp,
             handler: this.handlerName || 'unknown',
-            action: action,
-            context_path: contextPath,
-            old_value: oldValue,
-            new_value: newValue,
-            change_type: changeType,
-            metadata: metadata
-        };
+            action: change.action,
+            context_path: change.contextPath,
+            // Copies, so later in-place context writes cannot rewrite history
+            old_value: ChangeLogManager.cloneValue(change.oldValue),
+            new_value: ChangeLogManager.cloneValue(change.newValue),
+            change_type: change.changeType || 'update',
+            metadata: change.metadata || {}
+        }));
         
-        // Add entry to changelog
-        this.changelogCache.entries.push(entry);
-        this.changelogCache.last_updated = Date.now();
+        log.entries.push(...entries);
+        log.last_updated = timestamp;
+        this.index.sync(log.entries);
         
         // Update handler's last write sequence
         if (this.handlerName && this.changelogCache.handlers[this.handlerName]) {
-            this.changelogCache.handlers[this.handlerName].last_write_sequence = sequenceId;
+            this.changelogCache.handlers[this.handlerName].last_write_sequence = log.last_sequence_id;
         }
         
-        // Cleanup old entries if needed
-        this.cleanupOldEntries();
+        return entries;
+    }
+    
+    /**
+     * Change retention settings (max_entries, retention_hours, auto_cleanup)
+     * Goes through the storage lock, since cache edits are replaced by the stored log on the next write
+     */
+    async configureChangelog(settings) {
+        await this.ready;
+        
+        await this.saveChangelog(() => {
+            const config = this.changelogCache.changelog;
+            ['max_entries', 'retention_hours', 'auto_cleanup'].forEach(key => {
+                if (settings[key] !== undefined) config[key] = settings[key];
+            });
+        });
+    }
+    
+    /**
+     * Adopt the stored changelog as the base for a write
+     * Storage is the source of truth for entries and sequence ids, since other
+     * processes may have appended since we last read; our own handler records win
+     */
+    mergeStoredChangelog(stored) {
+        if (!stored) return;
+        
+        const merged = this.parseStored('changelog', stored);
+        if (!merged.changelog) return;
         
-        // Save changelog
-        await this.saveChangelog();
+        const ownHandlers = this.changelogCache && this.changelogCache.handlers ? this.changelogCache.handlers : {};
+        for (const handlerName of this.registeredHandlers) {
+            if (!ownHandlers[handlerName]) continue;
+            merged.handlers = merged.handlers || {};
+            merged.handlers[handlerName] = { ...merged.handlers[handlerName], ...ownHandlers[handlerName] };
+        }
         
-        console.log(`Change logged: ${action} at ${contextPath} by ${this.handlerName}`);
-        return sequenceId;
+        this.changelogCache = merged;
     }
     
     /**
      * Update context and log the change
+     * Resolves to the entry's sequence id, or false when ownership or the schema rejected the write
      */
     async updateContext(path, newValue, changeType = 'update', metadata = {}) {
+        if (!this.checkOwnership([{ path, value: newValue }])) {
+            return false;
+        }
+        
+        if (!this.checkSchema(path, newValue)) {
+            await this.saveContext();
+            return false;
+        }
+        
         const oldValue = this.getContextValue(path);
         
         // Update context
         this.setContextValue(path, newValue);
         
         // Log the change
-        await this.logChange('context_update', path, oldValue, newValue, changeType, metadata);
+        const [sequenceId] = await this.logChanges([
+            { action: 'context_update', contextPath: path, oldValue, newValue, changeType, metadata }
+        ]);
         
         // Save context
         await this.saveContext();
+        
+        return sequenceId;
+    }
+    
+    /**
+     * Start a transaction; updates are staged until commit()
+     */
+    beginTransaction(metadata = {}) {
+        return new ContextTransaction(this, metadata);
+    }
+    
+    /**
+     * Apply several path updates atomically: one entry group, one save, one notification
+     * Each update is { path, value, changeType?, metadata? }
+     */
+    async updateContextBatch(updates, metadata = {}) {
+        const transaction = this.beginTransaction(metadata);
+        updates.forEach(update => {
+            transaction.update(update.path, update.value, update.changeType, update.metadata);
+        });
+        return transaction.commit();
+    }
+    
+    /**
+     * Commit staged transaction updates
+     * Resolves to the group's sequence ids, or false when ownership or the schema rejected any update
+     */
+    async commitTransaction(transaction) {
+        const { updates } = transaction;
+        if (updates.length === 0) return [];
+        
+        if (!this.checkOwnership(updates)) {
+            return false;
+        }
+        
+        // All or nothing: a single rejected update rejects the whole group
+        const accepted = updates.map(update => this.checkSchema(update.path, update.value));
+        if (accepted.includes(false)) {
+            await this.saveContext();
+            return false;
+        }
+        
+        const changes = updates.map((update, index) => {
+            const oldValue = this.getContextValue(update.path);
+            this.setContextValue(update.path, update.value);
+            
+            return {
+                action: 'context_update',
+                contextPath: update.path,
+                oldValue,
+                newValue: update.value,
+                changeType: update.changeType,
+                metadata: {
+                    ...transaction.metadata,
+                    ...update.metadata,
+                    transaction_id: transaction.id,
+                    transaction_index: index,
+                    transaction_size: updates.length
+                }
+            };
+        });
+        
+        const sequenceIds = await this.logChanges(changes);
+        await this.saveContext();
+        
+        return sequenceIds;
+    }
+    
+    /**
+     * Check writes ({ path, value }) against the ownership map for this manager's handler
+     * Violations are logged as ownership_violation entries; returns false only when
+     * the writes must be rejected (enforce mode). Unregistered writers are not checked.
+     * Synchronous, so an allowed write still lands in the context before setValue returns.
+     */
+    checkOwnership(writes) {
+        if (!this.ownership || this.ownershipMode === 'off' || !this.handlerName) return true;
+        
+        const violations = writes.filter(write => !this.ownership.canWrite(this.handlerName, write.path));
+        if (violations.length === 0) return true;
+        
+        const rejected = this.ownershipMode === 'enforce';
+        this.logChanges(violations.map(write => ({
+            action: 'ownership_violation',
+            contextPath: write.path,
+            oldValue: this.getContextValue(write.path),
+            newValue: write.value,
+            changeType: rejected ? 'rejected' : 'allowed',
+            metadata: { owners: this.ownership.ownersOf(write.path), mode: this.ownershipMode }
+        }))).catch(error => console.error('ChangeLog: Could not record ownership violation:', error));
+        
+        const paths = violations.map(write => write.path).join(', ');
+        console.warn(`ChangeLog: ${this.handlerName} does not own ${paths} ${rejected ? '(rejected)' : '(allowed)'}`);
+        
+        return !rejected;
+    }
+    
+    /**
+     * Change how ownership violations are handled at runtime
+     */
+    setOwnershipMode(mode) {
+        if (!['enforce', 'warn', 'off'].includes(mode)) {
+            throw new Error(`Unknown ownership mode: ${mode}`);
+        }
+        this.ownershipMode = mode;
+    }
+    
+    /**
+     * Check a write against the context schema
+     * Returns false only when the write must be rejected (strict mode)
+     */
+    checkSchema(path, value) {
+        if (!this.schema || this.schemaStrictness === 'off') return true;
+        
+        const violations = this.schema.validate(path, value);
+        if (violations.length === 0) return true;
+        
+        const rejected = this.schemaStrictness === 'strict';
+        this.recordSchemaViolations(violations, rejected);
+        
+        const summary = violations.map(v => `${v.path}: ${v.message}`).join('; ');
+        console.warn(`ChangeLog: Schema violation by ${this.handlerName || 'unknown'} ${rejected ? '(rejected)' : '(allowed)'} - ${summary}`);
+        
+        return !rejected;
+    }
+    
+    /**
+     * Record schema violations in error_recovery (not logged as changes themselves)
+     */
+    recordSchemaViolations(violations, rejected) {
+        const base = 'current_context_meta.error_recovery';
+        const now = Date.now();
+        
+        const records = violations.map(violation => ({
+            path: violation.path,
+            message: violation.message,
+            handler: this.handlerName || 'unknown',
+            rejected,
+            timestamp: now
+        }));
+        
+        const existing = this.getValue(`${base}.schema_violations`, []);
+        this.setContextValue(`${base}.schema_violations`, [...existing, ...records].slice(-this.maxSchemaViolations));
+        this.setContextValue(`${base}.error_count`, this.getValue(`${base}.error_count`, 0) + records.length);
+        this.setContextValue(`${base}.last_error_time`, now);
+    }
+    
+    /**
+     * Change how schema violations are handled at runtime
+     */
+    setSchemaStrictness(level) {
+        if (!['strict', 'warn', 'off'].includes(level)) {
+            throw new Error(`Unknown schema strictness: ${level}`);
+        }
+        this.schemaStrictness = level;
     }
     
     /**
@@ -182,11 +699,97 @@ class ChangeLogManager {
         return value;
     }
     
+    /**
+     * Get a value from context by path, falling back to a default when unset
+     */
+    getValue(path, defaultValue = null) {
+        const value = this.getContextValue(path);
+        return value === null || value === undefined ? defaultValue : value;
+    }
+    
+    /**
+     * Set a value in context by path and log the change
+     * The context is updated synchronously; the returned promise settles once persisted
+     */
+    setValue(path, value, metadata = {}) {
+        return this.updateContext(path, value, 'update', metadata);
+    }
+    
+    /**
+     * Subscribe to changes on a context path
+     * Patterns may use '*' for one path segment and '**' for any number of segments,
+     * e.g. 'current_context_meta.interaction_locks.*'
+     * The callback receives (newValue, entry); returns a function that unsubscribes
+     */
+    subscribe(pathPattern, callback) {
+        if (typeof callback !== 'function') {
+            throw new Error(`Subscription to ${pathPattern} requires a callback`);
+        }
+        
+        if (!this.subscriptions.has(pathPattern)) {
+            this.subscriptions.set(pathPattern, new Set());
+        }
+        this.subscriptions.get(pathPattern).add(callback);
+        
+        return () => this.unsubscribe(pathPattern, callback);
+    }
+    
+    /**
+     * Remove one callback, or every callback when none is given, from a path pattern
+     */
+    unsubscribe(pathPattern, callback = null) {
+        const callbacks = this.subscriptions.get(pathPattern);
+        if (!callbacks) return false;
+        
+        if (callback) {
+            callbacks.delete(callback);
+        } else {
+            callbacks.clear();
+        }
+        
+        if (callbacks.size === 0) {
+            this.subscriptions.delete(pathPattern);
+        }
+        return true;
+    }
+    
+    /**
+     * Notify path subscribers about entries, including this manager's own writes
+     * Only context_update entries carry values that reached the context; audit entries such as
+     * a rejected write's ownership_violation name a path too, but must not look applied.
+     */
+    notifySubscribers(entries) {
+        if (this.subscriptions.size === 0) return;
+        
+        for (const entry of entries) {
+            if (entry.action !== 'context_update' || !entry.context_path) continue;
+            
+            for (const [pattern, callbacks] of this.subscriptions) {
+                if (!ChangeLogManager.matchesPathPattern(pattern, entry.context_path)) continue;
+                
+                // Copy so callbacks may unsubscribe while being notified
+                for (const callback of Array.from(callbacks)) {
+                    try {
+                        callback(entry.new_value, entry);
+                    } catch (error) {
+                        console.error(`ChangeLog subscriber error on ${pattern}:`, error);
+                    }
+                }
+            }
+        }
+    }
+    
     /**
      * Set a value in context by path
      */
     setContextValue(path, newValue) {
-        if (!this.contextCache) return false;
+        if (!this.contextCache) {
+            this.contextCache = {};
+        }
+        
+        if (!this.contextLoaded) {
+            this.pendingWrites.push([path, newValue]);
+        }
         
         const keys = path.split('.');
         let obj = this.contextCache;
@@ -206,7 +809,51 @@ class ChangeLogManager {
     }
     
     /**
-     * Check for new changes since last read
+     * Receive entries published on the in-process bus
+     */
+    receiveEntries(entries, source) {
+        if (this.deliveryMode === 'sync') {
+            this.deliverEntries(entries, source);
+        } else {
+            queueMicrotask(() => this.deliverEntries(entries, source));
+        }
+    }
+    
+    /**
+     * Apply bus entries to this manager and notify its listener
+     */
+    deliverEntries(entries, source) {
+        // Another manager wrote these - keep our context cache in step without reloading
+        if (source !== this) {
+            entries
+                .filter(entry => entry.action === 'context_update')
+                .forEach(entry => this.setContextValue(entry.context_path, entry.new_value));
+        }
+        
+        this.notifySubscribers(entries);
+        
+        if (!this.isListening) return;
+        
+        const newEntries = entries.filter(entry => entry.handler !== this.handlerName);
+        if (newEntries.length === 0) return;
+        
+        this.lastProcessedSequence = Math.max(this.lastProcessedSequence, ...newEntries.map(e => e.sequence_id));
+        
+        const callback = this.listeners.get('change');
+        if (callback) {
+            try {
+                const result = callback(newEntries);
+                if (result && typeof result.catch === 'function') {
+                    result.catch(error => console.error('ChangeLog listener error:', error));
+                }
+            } catch (error) {
+                console.error('ChangeLog listener error:', error);
+            }
+        }
+    }
+    
+    /**
+     * Check for new changes since last read (cross-process polling fallback)
      */
     async checkForChanges() {
         if (!this.isListening) return;
@@ -214,13 +861,11 @@ class ChangeLogManager {
         try {
             await this.loadChangelog();
             
-            if (!this.changelogCache || !this.changelogCache.entries) return;
+            if (!this.changelogCache || !this.changelogCache.changelog) return;
             
             // Find new entries since last processed
-            const newEntries = this.changelogCache.entries.filter(entry => 
-                entry.sequence_id > this.lastProcessedSequence &&
-                entry.handler !== this.handlerName // Don't process our own changes
-            );
+            const newEntries = this.query({ fromSequence: this.lastProcessedSequence + 1 }).entries
+                .filter(entry => entry.handler !== this.handlerName); // Don't process our own changes
             
             if (newEntries.length > 0) {
                 // Update last processed sequence
@@ -243,6 +888,8 @@ class ChangeLogManager {
                 if (contextUpdates.length > 0) {
                     await this.loadContext();
                 }
+                
+                this.notifySubscribers(newEntries);
             }
         } catch (error) {
             console.error('Error checking for changes:', error);
@@ -253,90 +900,329 @@ class ChangeLogManager {
      * Get recent changes for a specific handler
      */
     getRecentChanges(sinceSequence = 0, handlerFilter = null) {
-        if (!this.changelogCache || !this.changelogCache.entries) return [];
+        return this.query({
+            fromSequence: sinceSequence + 1,
+            handler: handlerFilter || undefined
+        }).entries;
+    }
+    
+    /**
+     * Query the changelog through its indexes
+     * Filters as in ChangeLogIndex (path glob, action, changeType, handler, since/until,
+     * fromSequence/toSequence) plus paging: offset, limit and order ('asc' | 'desc')
+     * e.g. query({ changeType: 'lock_acquired', path: '**.drag_lock', since: Date.now() - 10000 })
+     */
+    query(criteria = {}) {
+        const entries = this.changelogCache && this.changelogCache.changelog ? this.changelogCache.changelog.entries : [];
+        this.index.sync(entries);
+        
+        const matches = this.index.find(criteria, entries);
+        if (criteria.order === 'desc') matches.reverse();
+        
+        const offset = criteria.offset || 0;
+        const limit = criteria.limit !== undefined ? criteria.limit : matches.length;
+        const page = matches.slice(offset, offset + limit);
+        
+        return {
+            entries: page,
+            total: matches.length,
+            offset,
+            limit,
+            hasMore: offset + page.length < matches.length
+        };
+    }
+    
+    /**
+     * Create a replay cursor over the retained changelog, positioned at the live context
+     */
+    createReplay() {
+        const ContextReplay = ChangeLogManager.resolveModule('ContextReplay', 'ContextReplay.js');
+        if (!ContextReplay) {
+            throw new Error('ContextReplay is not available');
+        }
+        
+        const entries = this.changelogCache && this.changelogCache.changelog ? this.changelogCache.changelog.entries : [];
+        return new ContextReplay(this.contextCache, entries);
+    }
+    
+    /**
+     * Rebuild the context as it was right after a sequence id
+     */
+    getContextAt(sequenceId) {
+        return this.createReplay().contextAt(sequenceId);
+    }
+    
+    /**
+     * Rebuild the context as it was at a timestamp
+     */
+    getContextAtTime(timestamp) {
+        const replay = this.createReplay();
+        replay.seekToTime(timestamp);
+        return replay.getContext();
+    }
+    
+    /**
+     * List the context differences between two sequence ids
+     */
+    diffContext(sequenceA, sequenceB) {
+        return this.createReplay().diff(sequenceA, sequenceB);
+    }
+    
+    /**
+     * Periodic snapshot, then fold old entries into it
+     * Runs once the new entries are stored, never inside the changelog update: the snapshot is
+     * a storage write of its own, and an IndexedDB update cannot wait on another transaction.
+     */
+    async compactChangelog() {
+        const log = this.changelogCache.changelog;
+        const snapshotSequence = this.snapshot ? this.snapshot.sequence_id : 0;
+        if (this.snapshotInterval > 0 && log.last_sequence_id - snapshotSequence >= this.snapshotInterval) {
+            if (await this.takeSnapshot()) {
+                await this.saveChangelog(() => this.recordSnapshot());
+            }
+        }
+        await this.cleanupOldEntries();
+    }
+    
+    /**
+     * Capture the live context as a snapshot tagged with the latest sequence id
+     * Returns the snapshot, or null if it could not be stored
+     */
+    async takeSnapshot() {
+        const log = this.changelogCache.changelog;
+        
+        // Later snapshots are folded forward from the previous one, so they depend only on
+        // the log and not on how much of it this process has applied to its own context
+        const snapshot = {
+            sequence_id: log.last_sequence_id,
+            timestamp: Date.now(),
+            context: this.snapshot ? this.restoreContext() : ChangeLogManager.cloneValue(this.contextCache || {})
+        };
+        
+        try {
+            await this.storage.write('snapshot', JSON.stringify(snapshot, null, 2));
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            return null;
+        }
+        
+        this.snapshot = snapshot;
+        this.recordSnapshot();
+        return snapshot;
+    }
+    
+    /**
+     * Note the snapshot's sequence id in the changelog (another process may have a newer one)
+     */
+    recordSnapshot() {
+        const log = this.changelogCache.changelog;
+        log.snapshot_sequence_id = Math.max(log.snapshot_sequence_id || 0, this.snapshot.sequence_id);
+    }
+    
+    /**
+     * Load the latest snapshot from storage
+     */
+    async loadSnapshot() {
+        try {
+            const stored = await this.storage.read('snapshot');
+            this.snapshot = stored ? JSON.parse(stored) : null;
+            if (this.snapshot && this.snapshot.context) {
+                this.snapshot.context = this.migrateStored('context', this.snapshot.context);
+            }
+        } catch (error) {
+            if (error.name === 'ContextVersionError') throw error;
+            console.warn('Could not load snapshot:', error.message);
+            this.snapshot = null;
+        }
+    }
+    
+    /**
+     * Rebuild the context from the latest snapshot plus the changelog tail
+     * Replays up to `sequenceId` (default: the whole tail); null without a snapshot
+     */
+    restoreContext(sequenceId = Infinity) {
+        if (!this.snapshot) return null;
+        
+        const ContextReplay = ChangeLogManager.resolveModule('ContextReplay', 'ContextReplay.js');
+        if (!ContextReplay) {
+            throw new Error('ContextReplay is not available');
+        }
+        
+        const entries = this.changelogCache && this.changelogCache.changelog ? this.changelogCache.changelog.entries : [];
+        const tail = entries.filter(entry => entry.sequence_id > this.snapshot.sequence_id);
+        const replay = new ContextReplay(this.snapshot.context, tail, {
+            applied: false,
+            baseSequence: this.snapshot.sequence_id
+        });
+        
+        replay.seek(sequenceId);
+        return replay.getContext();
+    }
+    
+    /**
+     * Create the storage adapter; defaults to files in Node and localStorage in the browser
+     */
+    createStorage(storage) {
+        if (storage && typeof storage === 'object') return storage;
         
-        return this.changelogCache.entries.filter(entry => {
-            if (entry.sequence_id <= sinceSequence) return false;
-            if (handlerFilter && entry.handler !== handlerFilter) return false;
-            return true;
+        const StorageAdapters = ChangeLogManager.resolveModule('StorageAdapters', 'StorageAdapters.js');
+        if (!StorageAdapters) {
+            throw new Error('ChangeLog: StorageAdapters.js must be loaded before ChangeLog.js');
+        }
+        
+        return StorageAdapters.createStorageAdapter(storage || (this.isNode ? 'file' : 'localStorage'), {
+            changelogPath: this.changelogPath,
+            contextPath: this.contextPath
         });
     }
     
     /**
-     * Load changelog from file/storage
+     * Load changelog from storage
      */
     async loadChangelog() {
         try {
-            if (this.isNode) {
-                const fs = require('fs').promises;
-                const data = await fs.readFile(this.changelogPath, 'utf8');
-                this.changelogCache = JSON.parse(data);
-            } else {
-                // Browser implementation - would use localStorage, IndexedDB, or fetch
-                const stored = localStorage.getItem('changelog');
-                if (stored) {
-                    this.changelogCache = JSON.parse(stored);
-                }
+            const stored = await this.storage.read('changelog');
+            if (stored) {
+                this.changelogCache = this.parseStored('changelog', stored);
+            } else if (!this.changelogCache) {
+                this.initializeEmptyStructures();
             }
         } catch (error) {
+            if (error.name === 'ContextVersionError') throw error;
             console.warn('Could not load changelog, initializing empty:', error.message);
             this.initializeEmptyStructures();
         }
     }
     
     /**
-     * Save changelog to file/storage
+     * Save changelog to storage
+     * Read-merge-write under the storage lock; `prepare` runs on the merged log before it is written
      */
-    async saveChangelog() {
-        try {
-            const data = JSON.stringify(this.changelogCache, null, 2);
-            
-            if (this.isNode) {
-                const fs = require('fs').promises;
-                await fs.writeFile(this.changelogPath, data, 'utf8');
-            } else {
-                localStorage.setItem('changelog', data);
-            }
-        } catch (error) {
+    saveChangelog(prepare = null) {
+        if (this.loadError) return Promise.resolve();
+        
+        // `prepare` must be synchronous: the update may run inside a storage transaction
+        return this.trackSave(this.storage.update('changelog', stored => {
+            this.mergeStoredChangelog(stored);
+            if (prepare) prepare();
+            return JSON.stringify(this.changelogCache, null, 2);
+        }).catch(error => {
             console.error('Failed to save changelog:', error);
-        }
+        }));
     }
     
     /**
-     * Load context from file/storage
+     * Load context from storage
      */
     async loadContext() {
         try {
-            if (this.isNode) {
-                const fs = require('fs').promises;
-                const data = await fs.readFile(this.contextPath, 'utf8');
-                this.contextCache = JSON.parse(data);
-            } else {
-                const stored = localStorage.getItem('context');
-                if (stored) {
-                    this.contextCache = JSON.parse(stored);
-                }
+            const stored = await this.storage.read('context');
+            if (stored) {
+                this.contextCache = this.parseStored('context', stored);
+            } else if (!this.contextCache) {
+                this.contextCache = {};
             }
         } catch (error) {
+            if (error.name === 'ContextVersionError') throw error;
             console.warn('Could not load context:', error.message);
         }
     }
     
     /**
-     * Save context to file/storage
+     * Save context to storage
      */
-    async saveContext() {
+    saveContext() {
+        if (this.loadError) return Promise.resolve();
+        
+        // Serialized with other updates so an older context can never land after a newer one
+        return this.trackSave(this.storage.update('context', () => JSON.stringify(this.contextCache, null, 2)).catch(error => {
+            console.error('Failed to save context:', error);
+        }));
+    }
+    
+    /**
+     * Parse stored context or changelog JSON and upgrade it to the current version
+     */
+    parseStored(kind, stored) {
+        return this.migrateStored(kind, JSON.parse(stored));
+    }
+    
+    migrateStored(kind, data) {
+        if (!this.migrations) return data;
+        
+        const result = this.migrations.migrate(kind, data);
+        if (result.applied.length > 0) {
+            console.log(`Migrated stored ${kind} ${result.from} → ${result.to} (${result.applied.join(', ')})`);
+        }
+        return result.data;
+    }
+    
+    /**
+     * Remember an in-flight save so flush() and destroy() can wait for it
+     */
+    trackSave(save) {
+        this.pendingSaves.add(save);
+        save.then(() => this.pendingSaves.delete(save));
+        return save;
+    }
+    
+    /**
+     * Wait until every save started so far has reached storage
+     */
+    async flush() {
+        while (this.pendingSaves.size > 0) {
+            await Promise.all([...this.pendingSaves]);
+        }
+    }
+    
+    /**
+     * Create the ownership map: an explicit map or ContextOwnership, else the built-in one
+     */
+    createOwnership(ownership) {
+        if (ownership === false) return null;
+        
+        const ContextOwnership = ChangeLogManager.resolveModule('ContextOwnership', 'ContextOwnership.js');
+        if (!ContextOwnership) return null;
+        
+        if (ownership instanceof ContextOwnership) return ownership;
+        return new ContextOwnership(ownership || undefined);
+    }
+    
+    /**
+     * Create the migration registry: a ContextMigrations instance or its options
+     */
+    createMigrations(migrations) {
+        const ContextMigrations = ChangeLogManager.resolveModule('ContextMigrations', 'ContextMigrations.js');
+        if (!ContextMigrations) return null;
+        
+        if (migrations instanceof ContextMigrations) return migrations;
+        return new ContextMigrations(migrations || undefined);
+    }
+    
+    /**
+     * Load the context schema
+     * Uses an explicit schema if given, otherwise derives one from the context template
+     */
+    async loadSchema() {
+        const ContextSchema = ChangeLogManager.resolveModule('ContextSchema', 'ContextSchema.js');
+        if (!ContextSchema) return;
+        
+        const { schema, templatePath, templateUrl } = this.schemaOptions;
+        
         try {
-            const data = JSON.stringify(this.contextCache, null, 2);
-            
-            if (this.isNode) {
+            if (schema) {
+                this.schema = schema instanceof ContextSchema ? schema : new ContextSchema(schema);
+            } else if (this.isNode) {
                 const fs = require('fs').promises;
-                await fs.writeFile(this.contextPath, data, 'utf8');
-            } else {
-                localStorage.setItem('context', data);
+                const path = require('path');
+                const data = await fs.readFile(templatePath || path.join(__dirname, 'current_context_meta.json'), 'utf8');
+                this.schema = ContextSchema.fromTemplate(JSON.parse(data));
+            } else if (templateUrl && typeof fetch === 'function') {
+                const response = await fetch(templateUrl);
+                this.schema = ContextSchema.fromTemplate(await response.json());
             }
         } catch (error) {
-            console.error('Failed to save context:', error);
+            console.warn('Could not load context schema, writes will not be validated:', error.message);
         }
     }
     
@@ -349,7 +1235,7 @@ class ChangeLogManager {
                 entries: [],
                 last_sequence_id: 0,
                 last_updated: Date.now(),
-                version: "1.0.0",
+                version: this.migrations ? this.migrations.currentVersion('changelog') : "1.0.0",
                 max_entries: 1000,
                 auto_cleanup: true,
                 retention_hours: 24
@@ -364,38 +1250,143 @@ class ChangeLogManager {
     }
     
     /**
-     * Cleanup old entries
+     * Compact the changelog: drop entries past retention_hours or max_entries
+     * Entries not yet covered by the snapshot are folded into a fresh one first,
+     * so snapshot + tail can always rebuild the current context
      */
-    cleanupOldEntries() {
+    async cleanupOldEntries() {
         if (!this.changelogCache || !this.changelogCache.changelog) return;
         
         const config = this.changelogCache.changelog;
+        if (config.auto_cleanup === false) return;
+        
         const now = Date.now();
         const maxAge = config.retention_hours * 60 * 60 * 1000;
         
-        // Remove old entries
-        config.entries = config.entries.filter(entry => 
-            (now - entry.timestamp) <= maxAge
-        );
+        // Entries are in sequence order, so the expired ones form a prefix
+        let drop = config.entries.findIndex(entry => (now - entry.timestamp) <= maxAge);
+        if (drop === -1) drop = config.entries.length;
+        drop = Math.max(drop, config.entries.length - config.max_entries);
+        if (drop <= 0) return;
         
-        // Limit total entries
-        if (config.entries.length > config.max_entries) {
-            const excess = config.entries.length - config.max_entries;
-            config.entries.splice(0, excess);
+        const lastDropped = config.entries[drop - 1].sequence_id;
+        if (this.storage.sharedAcrossProcesses) {
+            // Another process may have compacted and snapshotted since we loaded
+            await this.loadSnapshot();
+        }
+        if (!this.snapshot || this.snapshot.sequence_id < lastDropped) {
+            // Keep the entries if they cannot be folded into a snapshot
+            if (!(await this.takeSnapshot())) return;
         }
+        
+        // The snapshot is stored; drop the entries it covers from the stored log
+        await this.saveChangelog(() => {
+            this.recordSnapshot();
+            this.dropEntriesThrough(lastDropped);
+        });
     }
     
+    /**
+     * Remove entries up to a sequence id that the snapshot already covers
+     */
+    dropEntriesThrough(sequenceId) {
+        const config = this.changelogCache.changelog;
+        const drop = config.entries.findIndex(entry => entry.sequence_id > sequenceId);
+        const count = drop === -1 ? config.entries.length : drop;
+        if (count === 0) return;
+        
+        config.entries.splice(0, count);
+        config.compacted_through = Math.max(config.compacted_through || 0, sequenceId);
+        this.index.prune(sequenceId);
+        console.log(`Changelog compacted: ${count} entries folded into snapshot @${this.snapshot.sequence_id}`);
+    }
+    
+    
     /**
      * Cleanup and destroy
      */
     destroy() {
         this.stopListening();
+        this.stopHeartbeat();
+        
+        // A clean exit is not a lost handler
+        if (this.changelogCache && this.registeredHandlers.size > 0) {
+            this.saveChangelog(() => {
+                for (const handlerName of this.registeredHandlers) {
+                    const record = this.changelogCache.handlers && this.changelogCache.handlers[handlerName];
+                    if (record) record.status = 'stopped';
+                }
+            });
+        }
+        this.bus.leave(this);
         this.listeners.clear();
-        this.changelogCache = null;
-        this.contextCache = null;
+        this.subscriptions.clear();
+        
+        // Let in-flight saves finish before dropping the caches they write from
+        return this.flush().then(() => {
+            this.changelogCache = null;
+            this.contextCache = null;
+        });
     }
 }
 
+/**
+ * Resolve a companion module from the browser global or a sibling file in Node
+ */
+ChangeLogManager.resolveModule = function(globalName, fileName) {
+    if (typeof window !== 'undefined' && window[globalName]) {
+        return window[globalName];
+    }
+    
+    if (typeof require !== 'undefined') {
+        try {
+            return require(`./${fileName}`);
+        } catch (error) {
+            console.warn(`ChangeLog: ${fileName} not available:`, error.message);
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Detached copy of a JSON-compatible value
+ */
+ChangeLogManager.cloneValue = function(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Check a dotted context path against a pattern
+ * '*' matches exactly one segment, '**' matches zero or more segments
+ */
+ChangeLogManager.matchesPathPattern = function(pattern, path) {
+    const patternKeys = pattern.split('.');
+    const pathKeys = path.split('.');
+    
+    const match = (p, k) => {
+        if (p === patternKeys.length) return k === pathKeys.length;
+        
+        if (patternKeys[p] === '**') {
+            for (let skip = k; skip <= pathKeys.length; skip++) {
+                if (match(p + 1, skip)) return true;
+            }
+            return false;
+        }
+        
+        if (k === pathKeys.length) return false;
+        if (patternKeys[p] !== '*' && patternKeys[p] !== pathKeys[k]) return false;
+        return match(p + 1, k + 1);
+    };
+    
+    return match(0, 0);
+};
+
+// Shared by every manager in this process/window
+ChangeLogManager.bus = new ChangeEventBus();
+ChangeLogManager.ChangeEventBus = ChangeEventBus;
+ChangeLogManager.ContextTransaction = ContextTransaction;
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ChangeLogManager;
@@ -0,0 +1,196 @@
+/**
+ * ChangeLog Index - Incremental lookup tables over changelog entries
+ * Buckets of sequence ids by action, change_type, handler and context_path.
+ * Entries arrive in sequence order, so every bucket stays sorted by appending
+ * and compaction only ever trims bucket heads. Only ids are kept: matches are
+ * looked up in the log passed to find(), which may be a freshly loaded copy.
+ *
+ * Query criteria (all optional, combined with AND; list values mean any of):
+ *   path          - glob over context_path ('*' one segment, '**' any)
+ *   action        - e.g. 'context_update', 'sync_conflict_resolved'
+ *   changeType    - e.g. 'lock_acquired', 'update'
+ *   handler       - e.g. 'event_handler'
+ *   since / until - timestamp range in ms, inclusive
+ *   fromSequence / toSequence - sequence id range, inclusive
+ */
+
+class ChangeLogIndex {
+    constructor(matchesPathPattern) {
+        this.matchesPathPattern = matchesPathPattern;
+        this.clear();
+    }
+
+    clear() {
+        this.sequences = []; // every indexed sequence_id, ascending
+        this.buckets = {
+            action: new Map(),
+            change_type: new Map(),
+            handler: new Map(),
+            context_path: new Map()
+        };
+        this.lastSequence = 0;
+    }
+
+    /**
+     * Bring the index in line with the log: append its new tail, trim its compacted head
+     */
+    sync(entries) {
+        if (entries.length === 0) {
+            if (this.sequences.length > 0) this.clear();
+            return;
+        }
+
+        // The log was replaced by an unrelated one (e.g. storage reset) - start over
+        const newest = entries[entries.length - 1].sequence_id;
+        if (newest < this.lastSequence) {
+            this.clear();
+        }
+
+        if (newest > this.lastSequence) {
+            let start = entries.length;
+            while (start > 0 && entries[start - 1].sequence_id > this.lastSequence) start--;
+            this.add(entries.slice(start));
+        }
+
+        this.prune(entries[0].sequence_id - 1);
+    }
+
+    /**
+     * Index entries newer than everything indexed so far
+     */
+    add(entries) {
+        for (const entry of entries) {
+            if (entry.sequence_id <= this.lastSequence) continue;
+
+            this.sequences.push(entry.sequence_id);
+            for (const [field, bucket] of Object.entries(this.buckets)) {
+                const key = entry[field];
+                if (key === undefined || key === null) continue;
+                if (!bucket.has(key)) bucket.set(key, []);
+                bucket.get(key).push(entry.sequence_id);
+            }
+            this.lastSequence = entry.sequence_id;
+        }
+    }
+
+    /**
+     * Forget entries up to and including `throughSequence`
+     */
+    prune(throughSequence) {
+        if (this.sequences.length === 0 || this.sequences[0] > throughSequence) return;
+
+        this.sequences.splice(0, ChangeLogIndex.firstAbove(this.sequences, throughSequence));
+
+        for (const bucket of Object.values(this.buckets)) {
+            for (const [key, ids] of bucket) {
+                const keep = ChangeLogIndex.firstAbove(ids, throughSequence);
+                if (keep === ids.length) {
+                    bucket.delete(key);
+                } else if (keep > 0) {
+                    ids.splice(0, keep);
+                }
+            }
+        }
+    }
+
+    /**
+     * Entries of `entries` (the indexed log) matching the criteria, in sequence order
+     */
+    find(criteria = {}, entries = []) {
+        const candidateLists = [];
+
+        const byValue = (field, value) => {
+            const keys = Array.isArray(value) ? value : [value];
+            return ChangeLogIndex.union(keys.map(key => this.buckets[field].get(key) || []));
+        };
+
+        if (criteria.action !== undefined) candidateLists.push(byValue('action', criteria.action));
+        if (criteria.changeType !== undefined) candidateLists.push(byValue('change_type', criteria.changeType));
+        if (criteria.handler !== undefined) candidateLists.push(byValue('handler', criteria.handler));
+        if (criteria.path !== undefined) {
+            const patterns = Array.isArray(criteria.path) ? criteria.path : [criteria.path];
+            const paths = [...this.buckets.context_path.keys()]
+                .filter(path => patterns.some(pattern => this.matchesPathPattern(pattern, path)));
+            candidateLists.push(byValue('context_path', paths));
+        }
+
+        let sequenceIds = candidateLists.length > 0
+            ? ChangeLogIndex.intersect(candidateLists)
+            : this.sequences;
+
+        const { fromSequence, toSequence } = criteria;
+        if (fromSequence !== undefined || toSequence !== undefined) {
+            const start = fromSequence !== undefined ? ChangeLogIndex.firstAbove(sequenceIds, fromSequence - 1) : 0;
+            const end = toSequence !== undefined ? ChangeLogIndex.firstAbove(sequenceIds, toSequence) : sequenceIds.length;
+            sequenceIds = sequenceIds.slice(start, end);
+        }
+
+        const matches = sequenceIds
+            .map(sequenceId => ChangeLogIndex.lookup(entries, sequenceId))
+            .filter(entry => entry);
+        if (criteria.since === undefined && criteria.until === undefined) return matches;
+
+        return matches.filter(entry =>
+            (criteria.since === undefined || entry.timestamp >= criteria.since) &&
+            (criteria.until === undefined || entry.timestamp <= criteria.until));
+    }
+
+    /**
+     * Distinct values indexed for a field, with entry counts
+     */
+    values(field) {
+        const counts = {};
+        for (const [key, ids] of this.buckets[field]) {
+            counts[key] = ids.length;
+        }
+        return counts;
+    }
+
+    /**
+     * Index of the first id greater than `value` in a sorted list
+     */
+    static firstAbove(ids, value) {
+        let low = 0;
+        let high = ids.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (ids[mid] <= value) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    /**
+     * Binary search the log for an entry by sequence id
+     */
+    static lookup(entries, sequenceId) {
+        let low = 0;
+        let high = entries.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            const current = entries[mid].sequence_id;
+            if (current === sequenceId) return entries[mid];
+            if (current < sequenceId) low = mid + 1;
+            else high = mid - 1;
+        }
+        return null;
+    }
+
+    static union(lists) {
+        if (lists.length === 1) return lists[0];
+        return [...new Set(lists.flat())].sort((a, b) => a - b);
+    }
+
+    static intersect(lists) {
+        const [smallest, ...rest] = [...lists].sort((a, b) => a.length - b.length);
+        const sets = rest.map(list => new Set(list));
+        return smallest.filter(sequenceId => sets.every(set => set.has(sequenceId)));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChangeLogIndex;
+} else if (typeof window !== 'undefined') {
+    window.ChangeLogIndex = ChangeLogIndex;
+}
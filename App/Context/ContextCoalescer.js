@@ -0,0 +1,181 @@
+/**
+ * Context Coalescer - Folds high-frequency context writes into one entry per window
+ * Drop-in for ChangeLogManager.updateContext / updateContextBatch. Paths with a
+ * rule are staged and only their latest value is written when the window ends:
+ *   'frame' - once per animation frame
+ *   number  - at most once per that many ms
+ * Paths without a rule (button transitions, drag start/end, keys) are never
+ * coalesced: a batch touching one flushes everything staged first and is then
+ * written straight away, so the log keeps the order the events happened in.
+ *
+ * A coalesced entry keeps the value from before the window as its old_value and
+ * records how many writes it stands for in metadata.coalesced_writes.
+ */
+
+const DEFAULT_COALESCE_RULES = {
+    'current_context_meta.current_mouse_input.position': 'frame',
+    'current_context_meta.current_mouse_input.movement_velocity': 'frame',
+    'current_context_meta.current_mouse_input.drag_delta': 'frame'
+};
+
+class ContextCoalescer {
+    constructor(changeLog, options = {}) {
+        this.changeLog = changeLog;
+        this.rules = options.rules || DEFAULT_COALESCE_RULES; // path pattern -> 'frame' | ms
+        this.requestFrame = options.requestFrame || ContextCoalescer.defaultRequestFrame();
+
+        this.pending = new Map(); // path -> staged update
+        this.waiting = null; // resolves callers once their staged writes are flushed
+        this.queue = Promise.resolve(); // writes reach the changelog in call order
+        this.frameRequested = false;
+        this.timer = null;
+        this.timerDue = 0;
+    }
+
+    /**
+     * Coalescing rule for a path, or null when writes to it are never coalesced
+     */
+    ruleFor(path) {
+        const pattern = Object.keys(this.rules).find(candidate =>
+            this.changeLog.constructor.matchesPathPattern(candidate, path));
+        return pattern ? this.rules[pattern] : null;
+    }
+
+    updateContext(path, value, changeType = 'update', metadata = {}) {
+        return this.updateContextBatch([{ path, value, changeType, metadata }]);
+    }
+
+    /**
+     * Stage the batch if every path coalesces, else flush and write it now
+     * Resolves to the sequence ids of the write that carried these updates
+     */
+    updateContextBatch(updates, metadata = {}) {
+        if (updates.length > 0 && updates.every(update => this.ruleFor(update.path) !== null)) {
+            return this.stage(updates, metadata);
+        }
+
+        // Only what was staged before this call goes ahead of it
+        const staged = this.takePending();
+        return this.enqueue(async () => {
+            await this.writeStaged(staged);
+            return this.changeLog.updateContextBatch(updates, metadata);
+        });
+    }
+
+    stage(updates, metadata) {
+        for (const update of updates) {
+            const staged = this.pending.get(update.path);
+            this.pending.set(update.path, {
+                path: update.path,
+                value: update.value,
+                changeType: update.changeType,
+                metadata: {
+                    ...metadata,
+                    ...update.metadata,
+                    coalesced_writes: (staged ? staged.metadata.coalesced_writes : 0) + 1
+                }
+            });
+            this.schedule(this.ruleFor(update.path));
+        }
+
+        if (!this.waiting) {
+            let resolve, reject;
+            const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+            this.waiting = { promise, resolve, reject };
+        }
+        return this.waiting.promise;
+    }
+
+    schedule(rule) {
+        if (rule === 'frame') {
+            if (this.frameRequested) return;
+            this.frameRequested = true;
+            this.requestFrame(() => {
+                this.frameRequested = false;
+                this.flush().catch(error => console.error('ContextCoalescer: flush failed:', error));
+            });
+            return;
+        }
+
+        const due = Date.now() + rule;
+        if (this.timer && this.timerDue <= due) return;
+
+        clearTimeout(this.timer);
+        this.timerDue = due;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush().catch(error => console.error('ContextCoalescer: flush failed:', error));
+        }, rule);
+    }
+
+    /**
+     * Write everything staged as one batch
+     */
+    flush() {
+        const staged = this.takePending();
+        return this.enqueue(() => this.writeStaged(staged));
+    }
+
+    /**
+     * Detach the staged updates (and their waiting callers) from the coalescer
+     */
+    takePending() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const staged = { updates: [...this.pending.values()], waiting: this.waiting };
+        this.pending.clear();
+        this.waiting = null;
+        return staged;
+    }
+
+    async writeStaged({ updates, waiting }) {
+        if (updates.length === 0) {
+            if (waiting) waiting.resolve([]);
+            return [];
+        }
+
+        try {
+            const sequenceIds = await this.changeLog.updateContextBatch(updates);
+            if (waiting) waiting.resolve(sequenceIds);
+            return sequenceIds;
+        } catch (error) {
+            if (waiting) waiting.reject(error);
+            throw error;
+        }
+    }
+
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Write what is staged and stop scheduling
+     */
+    destroy() {
+        return this.flush();
+    }
+
+    /**
+     * requestAnimationFrame in the browser, a 16ms timer elsewhere
+     */
+    static defaultRequestFrame() {
+        if (typeof requestAnimationFrame === 'function') {
+            return callback => requestAnimationFrame(callback);
+        }
+        return callback => setTimeout(callback, 16);
+    }
+}
+
+ContextCoalescer.DEFAULT_RULES = DEFAULT_COALESCE_RULES;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextCoalescer;
+} else if (typeof window !== 'undefined') {
+    window.ContextCoalescer = ContextCoalescer;
+}
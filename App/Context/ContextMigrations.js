@@ -0,0 +1,132 @@
+/**
+ * Context Migrations - Upgrades persisted context and changelog data step by step
+ * Stored data carries its version (meta_information.context_version for the
+ * context, changelog.version for the changelog). On load it is walked forward
+ * one registered step at a time until it reaches the version this code writes.
+ * Data newer than the code is refused rather than loaded with a shape we do not know.
+ *
+ * Adding a step: bump the kind's version in CONTEXT_VERSIONS and register
+ *   { kind: 'context', from: '1.0.0', to: '1.1.0', migrate: data => { ...; return data; } }
+ */
+
+const CONTEXT_VERSIONS = {
+    context: '1.0.0',
+    changelog: '1.0.0'
+};
+
+// Data saved before versions were read carries none; it has the 1.0.0 shape
+const UNVERSIONED = '1.0.0';
+
+const CONTEXT_MIGRATIONS = [];
+
+class ContextVersionError extends Error {
+    constructor(message, kind, version) {
+        super(message);
+        this.name = 'ContextVersionError';
+        this.kind = kind;
+        this.version = version;
+    }
+}
+
+class ContextMigrations {
+    constructor(options = {}) {
+        this.versions = { ...CONTEXT_VERSIONS, ...options.versions };
+        this.steps = new Map(); // kind -> Map(from -> step)
+        (options.migrations || CONTEXT_MIGRATIONS).forEach(step => this.register(step));
+    }
+
+    /**
+     * Register one upgrade step; steps for a kind must form a chain
+     */
+    register({ kind, from, to, migrate }) {
+        if (!this.versions[kind]) {
+            throw new Error(`ContextMigrations: unknown data kind "${kind}"`);
+        }
+        if (ContextMigrations.compareVersions(from, to) >= 0) {
+            throw new Error(`ContextMigrations: ${kind} step ${from} → ${to} does not move forward`);
+        }
+        if (!this.steps.has(kind)) this.steps.set(kind, new Map());
+        if (this.steps.get(kind).has(from)) {
+            throw new Error(`ContextMigrations: ${kind} already has a step from ${from}`);
+        }
+
+        this.steps.get(kind).set(from, { kind, from, to, migrate });
+        return this;
+    }
+
+    currentVersion(kind) {
+        return this.versions[kind];
+    }
+
+    versionOf(kind, data) {
+        const holder = kind === 'context'
+            ? data.current_context_meta && data.current_context_meta.meta_information
+            : data.changelog;
+        return (holder && holder[kind === 'context' ? 'context_version' : 'version']) || UNVERSIONED;
+    }
+
+    setVersion(kind, data, version) {
+        if (kind === 'context') {
+            if (!data.current_context_meta) return;
+            const meta = data.current_context_meta.meta_information || (data.current_context_meta.meta_information = {});
+            meta.context_version = version;
+        } else if (data.changelog) {
+            data.changelog.version = version;
+        }
+    }
+
+    /**
+     * Upgrade parsed data to the current version
+     * Returns { data, from, to, applied }; throws ContextVersionError when the
+     * data is newer than this code or no chain of steps reaches the current version
+     */
+    migrate(kind, data) {
+        const current = this.currentVersion(kind);
+        const from = this.versionOf(kind, data);
+
+        if (ContextMigrations.compareVersions(from, current) > 0) {
+            throw new ContextVersionError(
+                `Stored ${kind} is version ${from}, newer than ${current} supported here; refusing to load it`, kind, from);
+        }
+
+        const applied = [];
+        let version = from;
+        while (ContextMigrations.compareVersions(version, current) < 0) {
+            const step = this.steps.has(kind) && this.steps.get(kind).get(version);
+            if (!step) {
+                throw new ContextVersionError(`No ${kind} migration from version ${version} towards ${current}`, kind, version);
+            }
+
+            data = step.migrate(data) || data;
+            version = step.to;
+            this.setVersion(kind, data, version);
+            applied.push(`${step.from} → ${step.to}`);
+        }
+
+        return { data, from, to: version, applied };
+    }
+
+    /**
+     * Compare dotted numeric versions: negative, zero or positive
+     */
+    static compareVersions(a, b) {
+        const left = String(a).split('.').map(Number);
+        const right = String(b).split('.').map(Number);
+        for (let i = 0; i < Math.max(left.length, right.length); i++) {
+            const diff = (left[i] || 0) - (right[i] || 0);
+            if (diff !== 0) return diff;
+        }
+        return 0;
+    }
+}
+
+ContextMigrations.VERSIONS = CONTEXT_VERSIONS;
+ContextMigrations.MIGRATIONS = CONTEXT_MIGRATIONS;
+ContextMigrations.ContextVersionError = ContextVersionError;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextMigrations;
+} else if (typeof window !== 'undefined') {
+    window.ContextMigrations = ContextMigrations;
+}
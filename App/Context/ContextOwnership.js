@@ -0,0 +1,113 @@
+/**
+ * Context Ownership - Which handlers may write which context paths
+ * Transcribed from the handler annotations in "context responsibility.md".
+ * Keys are path prefixes; the longest prefix matching a written path decides
+ * its owners. Paths no prefix covers (graphics, style_updates, errors, ...)
+ * are open to every handler. '*' lets any handler write under a prefix.
+ * Writing a parent path replaces its children, so it needs every owner below it.
+ */
+
+const IO = 'io_handler';
+const INTERFACE = 'interface_handler';
+const EVENT = 'event_handler';
+
+const CONTEXT_OWNERSHIP = {
+    // Component tracking
+    'current_context_meta.currently_in_object': [INTERFACE],
+
+    // Input: raw input belongs to the IO Handler, derived state to the Interface Handler
+    // (position.relative_x/y are written together with position by the IO Handler)
+    'current_context_meta.current_mouse_input': [IO],
+    'current_context_meta.current_keyboard_input': [IO],
+    'current_context_meta.current_keyboard_input.input_mode': [INTERFACE],
+    'current_context_meta.current_keyboard_input.text_input_active': [INTERFACE],
+    'current_context_meta.current_keyboard_input.text_selection': [INTERFACE],
+
+    // Operations
+    'current_context_meta.active_operations': [EVENT],
+
+    // Modals
+    'current_context_meta.modal_context': [INTERFACE],
+    'current_context_meta.modal_context.blocking_operations': [EVENT],
+    'current_context_meta.modal_context.requires_confirmation': [EVENT],
+
+    // Selection and focus
+    'current_context_meta.selection_context': [INTERFACE],
+    'current_context_meta.focus_context': [INTERFACE],
+    'current_context_meta.focus_context.navigation_mode': [IO],
+
+    // Locks
+    'current_context_meta.interaction_locks': [EVENT],
+    'current_context_meta.resource_locks': [EVENT],
+
+    // Timing
+    'current_context_meta.timing_context': [EVENT],
+    'current_context_meta.timing_context.last_interaction_time': [IO],
+    'current_context_meta.timing_context.interaction_frequency': [IO],
+    'current_context_meta.timing_context.idle_time': [IO],
+    'current_context_meta.timing_context.session_start_time': [IO],
+
+    // Capabilities: the Interface Handler disables component interaction while a lock is held
+    'current_context_meta.capability_context': [IO],
+    'current_context_meta.capability_context.current_permissions': [EVENT],
+    'current_context_meta.capability_context.disabled_actions': [EVENT, INTERFACE],
+    'current_context_meta.capability_context.readonly_mode': [EVENT],
+
+    // Application state
+    'current_context_meta.state_context': [EVENT],
+    'current_context_meta.validation_context': [EVENT],
+    'current_context_meta.performance_context': [EVENT],
+    'current_context_meta.async_operations': [EVENT],
+    'current_context_meta.data_mutation': [EVENT],
+    'current_context_meta.animation_state': [EVENT],
+    'current_context_meta.animation_state.reduced_motion_active': [IO],
+    'current_context_meta.error_recovery': [EVENT],
+    'current_context_meta.meta_information': [EVENT],
+
+    // Sync bookkeeping, written by whichever handler's tab detects or resolves a conflict
+    'current_context_meta.data_mutation.version_control': ['*']
+};
+
+class ContextOwnership {
+    constructor(map = CONTEXT_OWNERSHIP) {
+        this.map = map;
+
+        // Longest prefixes first, so the most specific entry wins
+        this.prefixes = Object.keys(map).sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Handlers allowed to write a path, or null when no prefix covers it
+     */
+    ownersOf(path) {
+        const prefix = this.prefixes.find(candidate => path === candidate || path.startsWith(`${candidate}.`));
+        return prefix ? this.map[prefix] : null;
+    }
+
+    /**
+     * Whether a handler may write a path (and everything beneath it)
+     */
+    canWrite(handlerName, path) {
+        const allowed = owners => !owners || owners.includes('*') || owners.includes(handlerName);
+
+        return allowed(this.ownersOf(path)) && this.prefixes
+            .filter(prefix => prefix.startsWith(`${path}.`))
+            .every(prefix => allowed(this.map[prefix]));
+    }
+
+    /**
+     * Plain ownership map for tooling
+     */
+    toJSON() {
+        return this.map;
+    }
+}
+
+ContextOwnership.MAP = CONTEXT_OWNERSHIP;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextOwnership;
+} else if (typeof window !== 'undefined') {
+    window.ContextOwnership = ContextOwnership;
+}
@@ -0,0 +1,172 @@
+/**
+ * Context Replay - Rebuilds current_context_meta at any point in the changelog
+ * Walks a cursor over context_update entries, applying new_value going forward
+ * and restoring old_value going backward
+ *
+ * The replay starts from a known context and the entries that lead up to it
+ * (by default the live context and the retained changelog tail), so it can
+ * reach any sequence id from just before the first retained entry onward.
+ */
+
+class ContextReplay {
+    constructor(context, entries, options = {}) {
+        this.entries = [...entries].sort((a, b) => a.sequence_id - b.sequence_id);
+        this.state = ContextReplay.clone(context || {});
+
+        // By default the context already reflects every entry; a snapshot base reflects none
+        this.index = options.applied === false ? 0 : this.entries.length;
+        this.baseSequence = options.baseSequence !== undefined
+            ? options.baseSequence
+            : (this.entries.length > 0 ? this.entries[0].sequence_id - 1 : 0);
+    }
+
+    /**
+     * Sequence id of the last applied entry
+     */
+    get position() {
+        return this.index > 0 ? this.entries[this.index - 1].sequence_id : this.baseSequence;
+    }
+
+    /**
+     * Earliest and latest sequence ids this replay can reach
+     */
+    get range() {
+        return {
+            from: this.baseSequence,
+            to: this.entries.length > 0 ? this.entries[this.entries.length - 1].sequence_id : this.baseSequence
+        };
+    }
+
+    /**
+     * Apply the next entry; returns it, or null at the end of the log
+     */
+    stepForward() {
+        if (this.index >= this.entries.length) return null;
+
+        const entry = this.entries[this.index++];
+        if (entry.action === 'context_update') {
+            ContextReplay.setPath(this.state, entry.context_path, ContextReplay.clone(entry.new_value));
+        }
+        return entry;
+    }
+
+    /**
+     * Undo the last applied entry; returns it, or null at the start of the log
+     */
+    stepBackward() {
+        if (this.index <= 0) return null;
+
+        const entry = this.entries[--this.index];
+        if (entry.action === 'context_update') {
+            ContextReplay.setPath(this.state, entry.context_path, ContextReplay.clone(entry.old_value));
+        }
+        return entry;
+    }
+
+    /**
+     * Move to the state right after `sequenceId` was applied
+     * Returns the position actually reached (clamped to the replay's range)
+     */
+    seek(sequenceId) {
+        const { from } = this.range;
+        if (sequenceId < from) {
+            console.warn(`ContextReplay: sequence ${sequenceId} predates the retained log, stopping at ${from}`);
+        }
+
+        while (this.index < this.entries.length && this.entries[this.index].sequence_id <= sequenceId) {
+            this.stepForward();
+        }
+        while (this.index > 0 && this.entries[this.index - 1].sequence_id > sequenceId) {
+            this.stepBackward();
+        }
+
+        return this.position;
+    }
+
+    /**
+     * Move to the state as it was at `timestamp` (all entries at or before it applied)
+     */
+    seekToTime(timestamp) {
+        let target = this.baseSequence;
+        for (const entry of this.entries) {
+            if (entry.timestamp > timestamp) break;
+            target = entry.sequence_id;
+        }
+        return this.seek(target);
+    }
+
+    /**
+     * Copy of the context at the current position
+     */
+    getContext() {
+        return ContextReplay.clone(this.state);
+    }
+
+    /**
+     * Copy of the context right after `sequenceId`
+     */
+    contextAt(sequenceId) {
+        this.seek(sequenceId);
+        return this.getContext();
+    }
+
+    /**
+     * Differences between the context at two sequence ids
+     */
+    diff(sequenceA, sequenceB) {
+        return ContextReplay.diffContexts(this.contextAt(sequenceA), this.contextAt(sequenceB));
+    }
+
+    /**
+     * Deep diff of two context objects as a flat list of { path, from, to }
+     */
+    static diffContexts(before, after, prefix = '') {
+        const changes = [];
+
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (isObject(before) && isObject(after)) {
+            const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+            for (const key of keys) {
+                const path = prefix ? `${prefix}.${key}` : key;
+                changes.push(...ContextReplay.diffContexts(before[key], after[key], path));
+            }
+        } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+            changes.push({
+                path: prefix,
+                from: before === undefined ? null : before,
+                to: after === undefined ? null : after
+            });
+        }
+
+        return changes;
+    }
+
+    /**
+     * Set a dotted path on a plain object, creating intermediate objects
+     */
+    static setPath(target, path, value) {
+        const keys = path.split('.');
+        let obj = target;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            if (!obj[keys[i]] || typeof obj[keys[i]] !== 'object') {
+                obj[keys[i]] = {};
+            }
+            obj = obj[keys[i]];
+        }
+
+        obj[keys[keys.length - 1]] = value;
+    }
+
+    static clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextReplay;
+} else if (typeof window !== 'undefined') {
+    window.ContextReplay = ContextReplay;
+}
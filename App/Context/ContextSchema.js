@@ -0,0 +1,304 @@
+/**
+ * Context Schema - Machine-readable description of current_context_meta
+ * Derived from the current_context_meta.json template; annotations add what the
+ * template cannot express on its own (enums, nullable fields, array item shapes)
+ *
+ * Schema nodes use a small JSON-Schema-like vocabulary:
+ *   { type: 'object', properties: {...}, additionalProperties: false | true | node }
+ *   { type: 'array', items: node }
+ *   { type: 'string' | 'number' | 'boolean' | 'any', enum: [...], nullable: true }
+ */
+
+const CONTEXT_SCHEMA_ANNOTATIONS = {
+    // Component tracking
+    'current_context_meta.currently_in_object.component_id': { type: 'string', nullable: true },
+    'current_context_meta.currently_in_object.component_type': { type: 'string', nullable: true },
+    'current_context_meta.currently_in_object.parent_component': { type: 'string', nullable: true },
+    'current_context_meta.currently_in_object.nested_path': { items: { type: 'string' } },
+
+    // Input
+    'current_context_meta.current_mouse_input.buttons_pressed': { items: { type: 'number' } },
+    'current_context_meta.current_mouse_input.drag_start_position': {
+        properties: { time: { type: 'number' } }
+    },
+    'current_context_meta.current_keyboard_input.keys_pressed': { items: { type: 'string' } },
+    'current_context_meta.current_keyboard_input.last_key_sequence': {
+        items: {
+            type: 'object',
+            properties: {
+                key: { type: 'string' },
+                timestamp: { type: 'number' },
+                modifiers: { type: 'object', additionalProperties: { type: 'boolean' } }
+            },
+            additionalProperties: false
+        }
+    },
+    'current_context_meta.current_keyboard_input.input_mode': { enum: ['navigation', 'text', 'command', 'selection'] },
+    'current_context_meta.current_keyboard_input.repeat_key': { type: 'string', nullable: true },
+
+    // Operations and modals
+    'current_context_meta.active_operations.operation_type': { type: 'string', nullable: true },
+    'current_context_meta.active_operations.operation_target': { type: 'string', nullable: true },
+    'current_context_meta.modal_context.active_modal': { type: 'string', nullable: true },
+    'current_context_meta.modal_context.modal_type': { type: 'string', nullable: true },
+    'current_context_meta.modal_context.modal_stack': { items: { type: 'string' } },
+    'current_context_meta.modal_context.blocking_operations': { items: { type: 'string' } },
+
+    // Selection and focus
+    'current_context_meta.selection_context.selected_components': { items: { type: 'string' } },
+    'current_context_meta.selection_context.selection_type': { enum: ['none', 'single', 'multiple', 'range'] },
+    'current_context_meta.selection_context.last_selected': { type: 'string', nullable: true },
+    'current_context_meta.selection_context.clipboard_contents': { type: 'any' },
+    'current_context_meta.selection_context.clipboard_type': { type: 'string', nullable: true },
+    'current_context_meta.selection_context.selection_anchor': { type: 'string', nullable: true },
+    'current_context_meta.focus_context.focused_component': { type: 'string', nullable: true },
+    'current_context_meta.focus_context.previous_focus': { type: 'string', nullable: true },
+    'current_context_meta.focus_context.focus_path': { items: { type: 'string' } },
+    'current_context_meta.focus_context.navigation_mode': { enum: ['mouse', 'keyboard', 'touch'] },
+
+    // Capabilities, state and validation
+    'current_context_meta.capability_context.disabled_actions': { items: { type: 'string' } },
+    'current_context_meta.state_context.dirty_fields': { items: { type: 'string' } },
+    'current_context_meta.validation_context.field_validations': { additionalProperties: true },
+
+    // Data mutation
+    'current_context_meta.data_mutation.conflict_resolution': { enum: ['last_write_wins', 'first_write_wins', 'manual'] },
+    'current_context_meta.data_mutation.version_control.conflicts': {
+        items: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                path: { type: 'string' },
+                local_value: { type: 'any' },
+                remote_value: { type: 'any' },
+                local_write: { type: 'string' },
+                remote_write: { type: 'string' },
+                remote_tab: { type: 'string' },
+                detected_at: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    },
+
+    // Error recovery
+    'current_context_meta.error_recovery.health_check_status': { enum: ['healthy', 'degraded', 'unhealthy'] },
+    'current_context_meta.error_recovery.schema_violations': {
+        items: {
+            type: 'object',
+            properties: {
+                path: { type: 'string' },
+                message: { type: 'string' },
+                handler: { type: 'string' },
+                rejected: { type: 'boolean' },
+                timestamp: { type: 'number' }
+            },
+            additionalProperties: false
+        }
+    },
+
+    // Sections written by the Graphics Handler and error detectors - free-form payloads
+    'current_context_meta.graphics': { type: 'object', additionalProperties: true },
+    'current_context_meta.style_updates': { type: 'any' },
+    'current_context_meta.animation_requests': { type: 'any' },
+    'current_context_meta.errors': { type: 'object', additionalProperties: true }
+};
+
+class ContextSchema {
+    constructor(schema) {
+        this.schema = schema;
+    }
+
+    /**
+     * Build a schema from a context template plus annotations
+     */
+    static fromTemplate(template, annotations = CONTEXT_SCHEMA_ANNOTATIONS) {
+        const schema = ContextSchema.deriveNode(template);
+
+        for (const [path, annotation] of Object.entries(annotations)) {
+            ContextSchema.annotate(schema, path.split('.'), annotation);
+        }
+
+        return new ContextSchema(schema);
+    }
+
+    /**
+     * Infer a schema node from a template value
+     */
+    static deriveNode(value) {
+        if (value === null || value === undefined) {
+            return { type: 'any' };
+        }
+
+        if (Array.isArray(value)) {
+            return {
+                type: 'array',
+                items: value.length > 0 ? ContextSchema.deriveNode(value[0]) : { type: 'any' }
+            };
+        }
+
+        if (typeof value === 'object') {
+            const properties = {};
+            for (const [key, child] of Object.entries(value)) {
+                properties[key] = ContextSchema.deriveNode(child);
+            }
+
+            // Empty template objects are dictionaries filled in at runtime
+            return {
+                type: 'object',
+                properties,
+                additionalProperties: Object.keys(properties).length === 0
+            };
+        }
+
+        return { type: typeof value };
+    }
+
+    /**
+     * Merge an annotation into the node at a path, creating the node if the template lacks it
+     */
+    static annotate(schema, keys, annotation) {
+        let node = schema;
+
+        for (let i = 0; i < keys.length - 1; i++) {
+            node.properties = node.properties || {};
+            if (!node.properties[keys[i]]) {
+                node.properties[keys[i]] = { type: 'object', properties: {}, additionalProperties: false };
+            }
+            node = node.properties[keys[i]];
+        }
+
+        const key = keys[keys.length - 1];
+        const target = node.properties[key] || (node.properties[key] = {});
+
+        for (const [field, value] of Object.entries(annotation)) {
+            if (field === 'properties') {
+                target.properties = { ...(target.properties || {}), ...value };
+            } else {
+                target[field] = value;
+            }
+        }
+    }
+
+    /**
+     * Whether the schema describes paths under this root key at all
+     */
+    governs(path) {
+        const root = path.split('.')[0];
+        return !!(this.schema.properties && this.schema.properties[root]);
+    }
+
+    /**
+     * Find the schema node for a dotted path
+     * Returns { node } on success or { error } describing where the path left the schema
+     */
+    resolve(path) {
+        const keys = path.split('.');
+        let node = this.schema;
+
+        for (let i = 0; i < keys.length; i++) {
+            const key = keys[i];
+            const walked = keys.slice(0, i).join('.') || '(root)';
+
+            if (node.type === 'any') {
+                return { node: { type: 'any' } };
+            }
+
+            if (node.type === 'array') {
+                if (!/^\d+$/.test(key)) {
+                    return { error: `'${walked}' is an array; '${key}' is not an index` };
+                }
+                node = node.items;
+                continue;
+            }
+
+            if (node.type !== 'object') {
+                return { error: `'${walked}' is a ${node.type}; cannot descend into '${key}'` };
+            }
+
+            if (node.properties && node.properties[key]) {
+                node = node.properties[key];
+            } else if (node.additionalProperties === true) {
+                return { node: { type: 'any' } };
+            } else if (node.additionalProperties) {
+                node = node.additionalProperties;
+            } else {
+                return { error: `Unknown context path '${keys.slice(0, i + 1).join('.')}'` };
+            }
+        }
+
+        return { node };
+    }
+
+    /**
+     * Validate a write of `value` at `path`
+     * Returns a list of violations; empty when the write is valid or the path is ungoverned
+     */
+    validate(path, value) {
+        if (!this.governs(path)) return [];
+
+        const resolved = this.resolve(path);
+        if (resolved.error) {
+            return [{ path, message: resolved.error }];
+        }
+
+        const violations = [];
+        this.validateValue(resolved.node, value, path, violations);
+        return violations;
+    }
+
+    /**
+     * Recursively check a value against a schema node
+     */
+    validateValue(node, value, path, violations) {
+        if (!node || node.type === 'any') return;
+
+        if (value === null || value === undefined) {
+            if (!node.nullable) {
+                violations.push({ path, message: `Expected ${node.type}, received ${value}` });
+            }
+            return;
+        }
+
+        const actualType = Array.isArray(value) ? 'array' : typeof value;
+        if (actualType !== node.type) {
+            violations.push({ path, message: `Expected ${node.type}, received ${actualType}` });
+            return;
+        }
+
+        if (node.enum && !node.enum.includes(value)) {
+            violations.push({ path, message: `'${value}' is not one of: ${node.enum.join(', ')}` });
+            return;
+        }
+
+        if (node.type === 'array') {
+            value.forEach((item, index) => this.validateValue(node.items, item, `${path}.${index}`, violations));
+        } else if (node.type === 'object') {
+            for (const [key, child] of Object.entries(value)) {
+                const childPath = `${path}.${key}`;
+                if (node.properties && node.properties[key]) {
+                    this.validateValue(node.properties[key], child, childPath, violations);
+                } else if (node.additionalProperties && node.additionalProperties !== true) {
+                    this.validateValue(node.additionalProperties, child, childPath, violations);
+                } else if (!node.additionalProperties) {
+                    violations.push({ path: childPath, message: `Unknown property '${key}'` });
+                }
+            }
+        }
+    }
+
+    /**
+     * Plain schema object for tooling
+     */
+    toJSON() {
+        return this.schema;
+    }
+}
+
+ContextSchema.ANNOTATIONS = CONTEXT_SCHEMA_ANNOTATIONS;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextSchema;
+} else if (typeof window !== 'undefined') {
+    window.ContextSchema = ContextSchema;
+}
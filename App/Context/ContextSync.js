@@ -0,0 +1,335 @@
+/**
+ * Context Sync - Keeps current_context_meta consistent across browser tabs
+ * Local context writes are broadcast over BroadcastChannel (or localStorage
+ * 'storage' events where BroadcastChannel is missing) and applied in other tabs
+ *
+ * Every synced write carries an id and the id of the write it replaced (its parent).
+ * A remote write whose parent is not our latest write to that path was made
+ * concurrently with ours - a conflict, resolved per
+ * data_mutation.conflict_resolution:
+ *   last_write_wins  - the later write (timestamp, then tab id) is kept everywhere
+ *   first_write_wins - the earlier write is kept everywhere
+ *   manual           - each tab keeps its value; the conflict is recorded in
+ *                      data_mutation.version_control.conflicts until resolveConflict()
+ *
+ * data_mutation.version_control.current_version is a Lamport clock over all tabs'
+ * writes; last_synced_version is the newest remote version applied here.
+ */
+
+const VERSION_CONTROL = 'current_context_meta.data_mutation.version_control';
+const CONFLICT_RESOLUTION = 'current_context_meta.data_mutation.conflict_resolution';
+const SYNC_ENABLED = 'current_context_meta.meta_information.sync_enabled';
+
+// Per-tab state that must not follow the user into other tabs
+const LOCAL_PATHS = [
+    'current_context_meta.currently_in_object.**',
+    'current_context_meta.current_mouse_input.**',
+    'current_context_meta.current_keyboard_input.**',
+    'current_context_meta.focus_context.**',
+    'current_context_meta.timing_context.**',
+    'current_context_meta.performance_context.**',
+    'current_context_meta.animation_state.**',
+    'current_context_meta.data_mutation.version_control.**',
+    'current_context_meta.error_recovery.schema_violations',
+    'current_context_meta.meta_information.sync_enabled'
+];
+
+class ContextSync {
+    constructor(changeLog, options = {}) {
+        this.changeLog = changeLog;
+        this.tabId = options.tabId || `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+        this.channelName = options.channelName || 'web_form_context_sync';
+        this.include = options.include || ['current_context_meta.**'];
+        this.exclude = options.exclude || LOCAL_PATHS;
+
+        this.transport = options.transport || null;
+        this.heads = new Map(); // path -> latest write { id, tab_id, version, timestamp }
+        this.unsubscribe = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Start broadcasting local writes and applying remote ones
+     * Returns false when no cross-tab transport is available
+     */
+    async start() {
+        if (this.isRunning) return true;
+        await this.changeLog.ready;
+
+        this.transport = this.transport || ContextSync.createTransport(this.channelName);
+        if (!this.transport) {
+            console.warn('ContextSync: no BroadcastChannel or localStorage available, sync disabled');
+            return false;
+        }
+
+        this.transport.listen(message => this.receive(message));
+        this.unsubscribe = this.changeLog.subscribe('**', (value, entry) => this.onLocalChange(entry));
+        this.changeLog.setContextValue(SYNC_ENABLED, true);
+        this.isRunning = true;
+
+        console.log(`🔄 Context sync started: ${this.tabId}`);
+        return true;
+    }
+
+    /**
+     * Stop syncing and close the transport
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        this.unsubscribe();
+        this.transport.close();
+        this.changeLog.setContextValue(SYNC_ENABLED, false);
+        this.isRunning = false;
+    }
+
+    /**
+     * Whether writes to a path are shared with other tabs
+     */
+    shouldSync(path) {
+        const matches = pattern => this.changeLog.constructor.matchesPathPattern(pattern, path);
+        return this.include.some(matches) && !this.exclude.some(matches);
+    }
+
+    /**
+     * Broadcast a write made in this tab
+     */
+    onLocalChange(entry) {
+        if (entry.action !== 'context_update' || !this.shouldSync(entry.context_path)) return;
+
+        const metadata = entry.metadata || {};
+        if (metadata.sync_origin) return; // applied from another tab
+
+        const version = this.nextVersion();
+        const head = this.heads.get(entry.context_path);
+        const write = {
+            id: `${this.tabId}:${version}`,
+            tab_id: this.tabId,
+            version,
+            timestamp: entry.timestamp
+        };
+        this.heads.set(entry.context_path, write);
+
+        this.transport.send({
+            type: 'context_update',
+            ...write,
+            parent: head ? head.id : null,
+            resolves: metadata.sync_resolves || [],
+            path: entry.context_path,
+            value: entry.new_value,
+            sequence_id: entry.sequence_id,
+            handler: entry.handler,
+            change_type: entry.change_type
+        });
+    }
+
+    /**
+     * Handle a message from another tab
+     */
+    receive(message) {
+        if (!message || message.tab_id === this.tabId) return;
+
+        if (message.type === 'context_update' && this.shouldSync(message.path)) {
+            this.handleRemoteUpdate(message);
+        }
+    }
+
+    /**
+     * Apply a remote write, or resolve it against a concurrent local one
+     */
+    handleRemoteUpdate(message) {
+        this.observeVersion(message.version);
+
+        const head = this.heads.get(message.path);
+        const followsHead = !head || head.id === message.parent || message.resolves.includes(head.id);
+
+        if (followsHead) {
+            this.applyRemote(message);
+            this.clearConflicts(message.path, message.resolves);
+            return;
+        }
+
+        const strategy = this.changeLog.getValue(CONFLICT_RESOLUTION, 'last_write_wins');
+        if (strategy === 'manual') {
+            this.recordConflict(head, message);
+            return;
+        }
+
+        const order = ContextSync.compareWrites(message, head);
+        const remoteWins = strategy === 'first_write_wins' ? order < 0 : order > 0;
+        const localValue = this.changeLog.getValue(message.path);
+
+        if (remoteWins) {
+            this.applyRemote(message);
+        }
+
+        // The entry's new value is the one kept; the losing write only goes in the metadata
+        this.changeLog.logChange('sync_conflict_resolved', message.path, localValue, remoteWins ? message.value : localValue, 'conflict', {
+            strategy,
+            winner: remoteWins ? message.id : head.id,
+            local_write: head.id,
+            remote_write: message.id,
+            discarded_value: remoteWins ? localValue : message.value
+        });
+        console.log(`🔄 Sync conflict on ${message.path} resolved (${strategy}): kept ${remoteWins ? 'remote' : 'local'} value`);
+    }
+
+    /**
+     * Apply a remote write as if it came from another manager on the bus
+     */
+    applyRemote(message) {
+        this.heads.set(message.path, {
+            id: message.id,
+            tab_id: message.tab_id,
+            version: message.version,
+            timestamp: message.timestamp
+        });
+
+        this.changeLog.deliverEntries([{
+            sequence_id: message.sequence_id,
+            timestamp: message.timestamp,
+            handler: `${message.handler}@${message.tab_id}`,
+            action: 'context_update',
+            context_path: message.path,
+            old_value: this.changeLog.getValue(message.path),
+            new_value: message.value,
+            change_type: message.change_type,
+            metadata: { sync_origin: message.tab_id, sync_write: message.id }
+        }], null);
+        this.changeLog.saveContext();
+    }
+
+    /**
+     * Record a conflict for manual resolution; this tab keeps its own value
+     */
+    recordConflict(head, message) {
+        const conflicts = this.getConflicts();
+        if (conflicts.some(conflict => conflict.remote_write === message.id)) return;
+
+        const conflict = {
+            id: `conflict_${head.id}_${message.id}`,
+            path: message.path,
+            local_value: this.changeLog.getValue(message.path, null),
+            remote_value: message.value,
+            local_write: head.id,
+            remote_write: message.id,
+            remote_tab: message.tab_id,
+            detected_at: Date.now()
+        };
+
+        this.changeLog.updateContext(`${VERSION_CONTROL}.conflicts`, [...conflicts, conflict], 'conflict');
+        console.warn(`🔄 Sync conflict on ${message.path} needs manual resolution: ${conflict.id}`);
+    }
+
+    /**
+     * Resolve a recorded conflict with 'local', 'remote' or { value }
+     * The chosen value is written and broadcast, superseding both conflicting writes
+     */
+    async resolveConflict(conflictId, choice = 'local') {
+        const conflict = this.getConflicts().find(item => item.id === conflictId);
+        if (!conflict) {
+            throw new Error(`Unknown sync conflict: ${conflictId}`);
+        }
+
+        const value = choice === 'local' ? conflict.local_value
+            : choice === 'remote' ? conflict.remote_value
+            : choice.value;
+
+        await this.changeLog.updateContext(`${VERSION_CONTROL}.conflicts`,
+            this.getConflicts().filter(item => item.id !== conflictId), 'conflict');
+
+        return this.changeLog.updateContext(conflict.path, value, 'update', {
+            sync_resolves: [conflict.local_write, conflict.remote_write]
+        });
+    }
+
+    /**
+     * Drop conflicts settled by a remote resolution
+     */
+    clearConflicts(path, resolvedWrites) {
+        if (resolvedWrites.length === 0) return;
+
+        const conflicts = this.getConflicts();
+        const remaining = conflicts.filter(conflict =>
+            conflict.path !== path || !resolvedWrites.includes(conflict.local_write));
+
+        if (remaining.length !== conflicts.length) {
+            this.changeLog.updateContext(`${VERSION_CONTROL}.conflicts`, remaining, 'conflict');
+        }
+    }
+
+    getConflicts() {
+        return this.changeLog.getValue(`${VERSION_CONTROL}.conflicts`, []) || [];
+    }
+
+    /**
+     * Advance the Lamport clock for a local write
+     */
+    nextVersion() {
+        const current = this.changeLog.getValue(`${VERSION_CONTROL}.current_version`, 0);
+        const synced = this.changeLog.getValue(`${VERSION_CONTROL}.last_synced_version`, 0);
+        const version = Math.max(current, synced) + 1;
+
+        this.changeLog.setContextValue(`${VERSION_CONTROL}.current_version`, version);
+        return version;
+    }
+
+    /**
+     * Fold a remote version into the clock
+     */
+    observeVersion(version) {
+        const synced = this.changeLog.getValue(`${VERSION_CONTROL}.last_synced_version`, 0);
+        if (version > synced) {
+            this.changeLog.setContextValue(`${VERSION_CONTROL}.last_synced_version`, version);
+        }
+    }
+
+    /**
+     * Total order of writes: timestamp, then tab id as a tie-breaker every tab agrees on
+     */
+    static compareWrites(a, b) {
+        if (a.timestamp !== b.timestamp) return a.timestamp - b.timestamp;
+        return a.tab_id < b.tab_id ? -1 : a.tab_id > b.tab_id ? 1 : 0;
+    }
+
+    /**
+     * Pick a cross-tab transport: BroadcastChannel, else localStorage 'storage' events
+     */
+    static createTransport(channelName) {
+        if (typeof BroadcastChannel !== 'undefined') {
+            const channel = new BroadcastChannel(channelName);
+            return {
+                send: message => channel.postMessage(message),
+                listen: callback => { channel.onmessage = event => callback(event.data); },
+                close: () => channel.close()
+            };
+        }
+
+        if (typeof window !== 'undefined' && window.localStorage) {
+            const key = `${channelName}_message`;
+            let handler = null;
+            return {
+                // 'storage' only fires in other tabs, and only when the value changes
+                send: message => localStorage.setItem(key, JSON.stringify({ ...message, nonce: Math.random() })),
+                listen: callback => {
+                    handler = event => {
+                        if (event.key === key && event.newValue) callback(JSON.parse(event.newValue));
+                    };
+                    window.addEventListener('storage', handler);
+                },
+                close: () => window.removeEventListener('storage', handler)
+            };
+        }
+
+        return null;
+    }
+}
+
+ContextSync.LOCAL_PATHS = LOCAL_PATHS;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ContextSync;
+} else if (typeof window !== 'undefined') {
+    window.ContextSync = ContextSync;
+}
@@ -0,0 +1,372 @@
+/**
+ * Storage Adapters - Pluggable persistence for ChangeLogManager
+ * Every adapter stores serialized JSON strings under the keys 'changelog' and 'context'
+ *
+ * Adapter interface (all methods async):
+ *   read(key)             → stored string, or null when nothing is stored
+ *   write(key, data)      → persist the string
+ *   remove(key)           → delete the key
+ *   update(key, mutator)  → read-modify-write; mutator(current) returns the new string
+ *                           (or null to leave it), and no other update of the key interleaves;
+ *                           the mutator must be synchronous (IndexedDB runs it in a transaction)
+ * `sharedAcrossProcesses` is true when other processes can see the same data,
+ * which is what enables the ChangeLog's cross-process polling fallback
+ */
+
+/**
+ * Base adapter - serializes updates made through this instance
+ */
+class StorageAdapter {
+    constructor(type, sharedAcrossProcesses = false) {
+        this.type = type;
+        this.sharedAcrossProcesses = sharedAcrossProcesses;
+        this.updateQueue = Promise.resolve();
+    }
+
+    update(key, mutator) {
+        const run = this.updateQueue.then(() => this.runUpdate(key, mutator));
+        this.updateQueue = run.catch(() => {});
+        return run;
+    }
+
+    async runUpdate(key, mutator) {
+        const next = await mutator(await this.read(key));
+        if (next !== null && next !== undefined) {
+            await this.write(key, next);
+        }
+        return next;
+    }
+}
+
+/**
+ * In-memory storage - for tests and throwaway sessions
+ * Pass the same instance to several managers to let them share data
+ */
+class MemoryStorageAdapter extends StorageAdapter {
+    constructor() {
+        super('memory');
+        this.store = new Map();
+    }
+
+    async read(key) {
+        return this.store.has(key) ? this.store.get(key) : null;
+    }
+
+    async write(key, data) {
+        this.store.set(key, data);
+    }
+
+    async remove(key) {
+        this.store.delete(key);
+    }
+}
+
+/**
+ * Browser localStorage - synchronous and limited to roughly 5MB per origin
+ */
+class LocalStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super('localStorage');
+        this.prefix = options.prefix || '';
+    }
+
+    async read(key) {
+        return localStorage.getItem(this.prefix + key);
+    }
+
+    async write(key, data) {
+        localStorage.setItem(this.prefix + key, data);
+    }
+
+    async remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+}
+
+/**
+ * Browser IndexedDB - asynchronous and not bound by the localStorage quota
+ */
+class IndexedDBStorageAdapter extends StorageAdapter {
+    constructor(options = {}) {
+        super('indexedDB');
+        this.dbName = options.dbName || 'web_form_v4';
+        this.storeName = options.storeName || 'changelog_storage';
+        this.dbPromise = null;
+    }
+
+    /**
+     * Open (and on first use create) the database
+     */
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run one request against the object store
+     */
+    async request(mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async read(key) {
+        const result = await this.request('readonly', store => store.get(key));
+        return result === undefined ? null : result;
+    }
+
+    async write(key, data) {
+        await this.request('readwrite', store => store.put(data, key));
+    }
+
+    async remove(key) {
+        await this.request('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Read, mutate and write in one readwrite transaction, so another tab's update cannot land in between
+     * The mutator runs inside the transaction and must be synchronous: the transaction commits as
+     * soon as no request is pending, and must not wait on other storage work.
+     */
+    async runUpdate(key, mutator) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            const store = transaction.objectStore(this.storeName);
+            let next = null;
+            let failure = null;
+
+            const current = store.get(key);
+            current.onsuccess = () => {
+                try {
+                    next = mutator(current.result === undefined ? null : current.result);
+                    if (next && typeof next.then === 'function') {
+                        throw new Error('IndexedDB updates need a synchronous mutator');
+                    }
+                } catch (error) {
+                    failure = error;
+                    transaction.abort();
+                    return;
+                }
+                if (next !== null && next !== undefined) {
+                    store.put(next, key);
+                }
+            };
+            transaction.oncomplete = () => resolve(next);
+            transaction.onerror = () => reject(failure || transaction.error);
+            transaction.onabort = () => reject(failure || transaction.error);
+        });
+    }
+}
+
+// Temp and lock file names must be unique per process, not per adapter: several
+// adapters in one process can point at the same files
+let fileTempCounter = 0;
+
+/**
+ * Node file storage - one JSON file per key
+ * Writes go to a temp file and are renamed into place, so readers never see a
+ * partial file; updates hold an advisory `<file>.lock` so several processes
+ * can read-modify-write the same file without losing each other's changes
+ */
+class NodeFileStorageAdapter extends StorageAdapter {
+    constructor(paths = {}, options = {}) {
+        super('file', true);
+        this.paths = {
+            changelog: paths.changelog || './changelog.json',
+            context: paths.context || './current_context_meta.json'
+        };
+        this.lockTimeout = options.lockTimeout || 10000; // ms to wait for another writer
+        this.fs = require('fs').promises;
+    }
+
+    /**
+     * File path for a key; unknown keys live next to the changelog
+     */
+    pathFor(key) {
+        if (this.paths[key]) return this.paths[key];
+
+        const path = require('path');
+        return path.join(path.dirname(this.paths.changelog), `${key}.json`);
+    }
+
+    async read(key) {
+        try {
+            return await this.fs.readFile(this.pathFor(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async write(key, data) {
+        const filePath = this.pathFor(key);
+        const tempPath = `${filePath}.${process.pid}.${++fileTempCounter}.tmp`;
+
+        try {
+            await this.fs.writeFile(tempPath, data, 'utf8');
+            await this.fs.rename(tempPath, filePath);
+        } catch (error) {
+            await this.fs.unlink(tempPath).catch(() => {});
+            throw error;
+        }
+    }
+
+    async remove(key) {
+        try {
+            await this.fs.unlink(this.pathFor(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    async runUpdate(key, mutator) {
+        const release = await this.acquireLock(key);
+        try {
+            return await super.runUpdate(key, mutator);
+        } finally {
+            await release();
+        }
+    }
+
+    /**
+     * Take the advisory lock for a key; resolves to a release function
+     * The lock is written to a temp file and linked into place, so it never exists half written.
+     */
+    async acquireLock(key) {
+        const lockPath = `${this.pathFor(key)}.lock`;
+        const started = Date.now();
+        let delay = 2;
+
+        while (true) {
+            const attempt = ++fileTempCounter;
+            const content = JSON.stringify({ pid: process.pid, acquired: Date.now(), token: `${process.pid}_${attempt}_${Math.random()}` });
+            const tempPath = `${lockPath}.${process.pid}.${attempt}.tmp`;
+            try {
+                await this.fs.writeFile(tempPath, content, 'utf8');
+                await this.fs.link(tempPath, lockPath);
+                return () => this.removeLock(lockPath, content).catch(() => false);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            } finally {
+                await this.fs.unlink(tempPath).catch(() => {});
+            }
+
+            if (await this.breakStaleLock(lockPath)) continue;
+
+            if (Date.now() - started > this.lockTimeout) {
+                throw new Error(`Timed out waiting for lock ${lockPath}`);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, delay + Math.random() * delay));
+            delay = Math.min(delay * 2, 50);
+        }
+    }
+
+    /**
+     * Remove a lock left behind by a dead process; true when the lock is gone and can be retried
+     * A lock is never broken for its age: a slow holder that is still alive keeps it.
+     */
+    async breakStaleLock(lockPath) {
+        let content;
+        try {
+            content = await this.fs.readFile(lockPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return true; // released meanwhile
+            throw error;
+        }
+
+        let holder = null;
+        try {
+            holder = JSON.parse(content);
+        } catch (error) {
+            return false; // not a lock this adapter wrote; leave it to lockTimeout
+        }
+        if (!holder || !Number.isInteger(holder.pid) || holder.pid === process.pid) return false;
+
+        try {
+            process.kill(holder.pid, 0);
+            return false; // holder alive
+        } catch (error) {
+            if (error.code !== 'ESRCH') return false; // alive, owned by another user
+        }
+
+        console.warn(`Breaking stale lock ${lockPath} of dead process ${holder.pid}`);
+        await this.removeLock(lockPath, content);
+        return true;
+    }
+
+    /**
+     * Remove the lock file only if it still holds `content`
+     * The lock is renamed to a name only this call uses, re-read and then unlinked, so a lock
+     * another process took in the meantime is put back instead of deleted.
+     */
+    async removeLock(lockPath, content) {
+        const claimedPath = `${lockPath}.${process.pid}.${++fileTempCounter}.claimed`;
+        try {
+            await this.fs.rename(lockPath, claimedPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+
+        try {
+            if (await this.fs.readFile(claimedPath, 'utf8') === content) return true;
+
+            // Someone else's lock: restore it unless yet another writer has taken the lock since
+            await this.fs.link(claimedPath, lockPath).catch(() => {});
+            return false;
+        } finally {
+            await this.fs.unlink(claimedPath).catch(() => {});
+        }
+    }
+}
+
+/**
+ * Build an adapter from its name: 'memory' | 'localStorage' | 'indexedDB' | 'file'
+ */
+function createStorageAdapter(type, options = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemoryStorageAdapter();
+        case 'localStorage':
+            return new LocalStorageAdapter(options);
+        case 'indexedDB':
+            return new IndexedDBStorageAdapter(options);
+        case 'file':
+            return new NodeFileStorageAdapter({ changelog: options.changelogPath, context: options.contextPath }, options);
+        default:
+            throw new Error(`Unknown storage adapter: ${type}`);
+    }
+}
+
+const StorageAdapters = {
+    StorageAdapter,
+    MemoryStorageAdapter,
+    LocalStorageAdapter,
+    IndexedDBStorageAdapter,
+    NodeFileStorageAdapter,
+    createStorageAdapter
+};
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageAdapters;
+} else if (typeof window !== 'undefined') {
+    window.StorageAdapters = StorageAdapters;
+}
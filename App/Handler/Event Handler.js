@@ -4,27 +4,27 @@
  */
 
 class EventHandler {
-    constructor(changeLogManager) {
+    /**
+     * options.lockRules - LockRules, config object or path; defaults to lock_rules.json
+     * options.ruleSet - rule set to start with (default 'default')
+     */
+    constructor(changeLogManager, options = {}) {
         this.changeLog = changeLogManager;
         this.handlerName = 'event_handler';
         
         // Lock management
         this.activeLocks = new Map();
         this.lockQueue = [];
-        this.lockPriorities = {
-            'global_lock': 1000,
-            'modal_lock': 900,
-            'edit_lock': 800,
-            'drag_lock': 700,
-            'resize_lock': 700,
-            'validation_lock': 600,
-            'save_lock': 500,
-            'animation_lock': 400,
-            'async_operation_lock': 300,
-            'loading_lock': 200,
-            'network_lock': 100,
-            'render_lock': 50
-        };
+        
+        // Lock types, priorities, modes and conflict rules come from the active rule set of the lock rules
+        // Shared locks of contending types may be held together, exclusive ones may not
+        this.lockRules = null;
+        this.ruleSetName = null;
+        this.lockPriorities = {};
+        this.lockModes = {};
+        
+        // Component hierarchy for subtree and intention locks (BaseContainer by default)
+        this.containerTree = null;
         
         // Operation tracking
         this.activeOperations = new Set();
@@ -32,8 +32,13 @@ class EventHandler {
         this.conflictRules = new Map();
         
         // Lock timeouts
-        this.lockTimeouts = new Map();
-        this.maxLockDuration = 30000; // 30 seconds default
+        this.lockTimeouts = new Map(); // lockKey -> lease timer
+        this.lockLeases = {}; // lock type -> lease ms, from the lock rules; 0 never expires
+        this.maxLockDuration = 30000; // lease for lock types the rules give none
+        
+        // Queue fairness: waiting requests gain priority over time and give up after a timeout
+        this.queueAging = { interval: 1000, step: 50 }; // +step priority per interval waited
+        this.queueTimeout = 10000; // ms a request may wait before it is rejected
         
         // Behavior registration system
         this.registeredBehaviors = new Map();
@@ -41,7 +46,16 @@ class EventHandler {
         this.elementTriggers = new Map();
         this.functionTriggers = new Map();
         
-        this.init();
+        // Key triggers are matched against the IO Handler's last_key_sequence
+        this.keySequence = [];
+        this.sequenceTimeout = 1000; // ms allowed between the keys of a sequence ('g g')
+        this.sequenceConsumedAt = 0; // keys up to here already completed a sequence
+        
+        // How the functions matched by one trigger run: 'first', 'priority' or 'broadcast'
+        this.dispatchPolicies = new Map(); // trigger pattern -> { trigger, policy }
+        this.defaultDispatchPolicy = 'priority';
+        
+        this.init(options);
     }
     
     // ========================
@@ -91,6 +105,12 @@ class EventHandler {
             this.triggerMappings.delete(triggerKey);
         });
         
+        for (const [triggerKey, triggerData] of this.functionTriggers) {
+            if (triggerData.behaviorId === behaviorId) {
+                this.functionTriggers.delete(triggerKey);
+            }
+        }
+        
         // Remove behavior registration
         this.registeredBehaviors.delete(behaviorId);
         console.log(`EventHandler: Behavior unregistered - ${behaviorId}`);
@@ -165,36 +185,90 @@ class EventHandler {
     
     /**
      * Register a function trigger mapping
+     * The pattern is parsed with the trigger grammar; an invalid one throws TriggerSyntaxError.
+     * options.sequenceTimeout - ms allowed between the keys of a sequence trigger
+     * options.dispatch - dispatch policy for the pattern (see setDispatchPolicy)
+     * A pattern may map to functions of several behaviors; the dispatch policy decides which run.
+     * Parameter contracts are compiled here too, so a malformed one throws ParameterContractError.
      */
-    registerFunctionTrigger(triggerPattern, behaviorId, functionName, parameters = {}) {
-        const triggerKey = triggerPattern;
+    registerFunctionTrigger(triggerPattern, behaviorId, functionName, parameters = {}, options = {}) {
+        const triggerKey = `${triggerPattern} → ${behaviorId}.${functionName}`;
+        const trigger = EventHandler.resolveTriggerGrammar().parse(triggerPattern);
         
         if (this.functionTriggers.has(triggerKey)) {
-            console.warn(`EventHandler: Function trigger ${triggerKey} is already registered`);
+            console.warn(`EventHandler: Function trigger ${triggerPattern} is already registered for ${behaviorId}.${functionName}()`);
             return false;
         }
         
+        this.getParameterContract(behaviorId, functionName, parameters);
+        
+        if (options.dispatch) {
+            this.setDispatchPolicy(triggerPattern, options.dispatch);
+        }
+        
         this.functionTriggers.set(triggerKey, {
             behaviorId,
             functionName,
             parameters,
+            trigger,
+            sequenceTimeout: options.sequenceTimeout || this.sequenceTimeout,
             enabled: true
         });
         
-        console.log(`EventHandler: Function trigger registered - ${triggerKey} → ${behaviorId}.${functionName}()`);
+        console.log(`EventHandler: Function trigger registered - ${triggerKey}()`);
         return true;
     }
     
+    /**
+     * Set how the functions matched by a trigger pattern run:
+     *   'first'     - in bubbling and priority order until one handles the event (no success: false)
+     *   'priority'  - in bubbling and priority order until a result sets stopPropagation (the rest of
+     *                 that component's functions still run) or stopImmediatePropagation
+     *   'broadcast' - every matched function, whatever they return
+     */
+    setDispatchPolicy(triggerPattern, policy) {
+        if (!EventHandler.DISPATCH_POLICIES.includes(policy)) {
+            throw new Error(`EventHandler: Unknown dispatch policy: ${policy}`);
+        }
+        
+        const trigger = EventHandler.resolveTriggerGrammar().parse(triggerPattern);
+        this.dispatchPolicies.set(triggerPattern, { trigger, policy });
+        return true;
+    }
+    
+    /**
+     * Dispatch policy for a fired trigger: options.dispatch, else the policy of a pattern matching
+     * the fired trigger, else that of a matched function's pattern, else the default
+     */
+    getDispatchPolicy(triggerKey, event, matchingTriggers = [], options = {}) {
+        if (options.dispatch) {
+            if (!EventHandler.DISPATCH_POLICIES.includes(options.dispatch)) {
+                throw new Error(`EventHandler: Unknown dispatch policy: ${options.dispatch}`);
+            }
+            return options.dispatch;
+        }
+        
+        if (triggerKey !== null) {
+            for (const { trigger, policy } of this.dispatchPolicies.values()) {
+                if (this.matchesTriggerPattern(triggerKey, trigger, event)) return policy;
+            }
+        }
+        
+        const declared = matchingTriggers.find(triggerData => this.dispatchPolicies.has(triggerData.trigger.source));
+        return declared ? this.dispatchPolicies.get(declared.trigger.source).policy : this.defaultDispatchPolicy;
+    }
+    
     /**
      * Handle a trigger event and execute mapped functions
+     * options.dispatch overrides the dispatch policy for this event
      */
     async handleTriggerEvent(triggerKey, event, options = {}) {
         console.log(`EventHandler: Trigger fired - ${triggerKey}`);
         
         // Find matching function triggers
         const matchingTriggers = [];
-        for (const [pattern, triggerData] of this.functionTriggers) {
-            if (this.matchesTriggerPattern(triggerKey, pattern)) {
+        for (const triggerData of this.functionTriggers.values()) {
+            if (triggerData.enabled && this.matchesTriggerPattern(triggerKey, triggerData.trigger, event)) {
                 matchingTriggers.push(triggerData);
             }
         }
@@ -204,28 +278,256 @@ class EventHandler {
             return false;
         }
         
-        // Execute matched functions
+        const runnable = this.selectTriggers(matchingTriggers, event);
+        if (runnable.length === 0) {
+            console.log(`EventHandler: Trigger ${triggerKey} blocked by its behavior schemas`);
+            return false;
+        }
+        
+        return await this.executeTriggers(runnable, event, this.getDispatchPolicy(triggerKey, event, runnable, options));
+    }
+    
+    /**
+     * Handle a new IO Handler key sequence: run the key and sequence triggers its tail completes
+     * A completed sequence consumes its keys, so 'g g g' fires 'g g' once.
+     */
+    async handleKeySequence(sequence) {
+        this.keySequence = Array.isArray(sequence) ? sequence : [];
+        
+        const lastKey = this.keySequence[this.keySequence.length - 1];
+        const event = { type: 'keydown', ...lastKey, sequence: this.keySequence };
+        
+        const matchingTriggers = [];
+        const matchedKeys = new Map();
+        for (const triggerData of this.functionTriggers.values()) {
+            if (!triggerData.enabled) continue;
+            const matched = EventHandler.resolveTriggerGrammar().matchSequence(triggerData.trigger, this.keySequence, {
+                timeout: triggerData.sequenceTimeout,
+                after: this.sequenceConsumedAt
+            });
+            if (matched) {
+                console.log(`EventHandler: Key trigger matched - ${triggerData.trigger.source}`);
+                matchingTriggers.push(triggerData);
+                matchedKeys.set(triggerData, matched);
+            }
+        }
+        
+        // Only sequences that actually run consume their keys
+        const runnable = this.selectTriggers(matchingTriggers, event);
+        runnable.forEach(triggerData => {
+            const matched = matchedKeys.get(triggerData);
+            if (matched.length > 1) {
+                this.sequenceConsumedAt = Math.max(this.sequenceConsumedAt, matched[matched.length - 1].timestamp);
+            }
+        });
+        
+        if (runnable.length === 0) {
+            return false;
+        }
+        
+        return await this.executeTriggers(runnable, event, this.getDispatchPolicy(null, event, runnable));
+    }
+    
+    /**
+     * Apply the behavior schemas to matched triggers: drop the ones whose function is disabled,
+     * needs another application mode or is context dependent and out of context, then order the
+     * rest by declared priority (registration order breaks ties)
+     */
+    selectTriggers(matchingTriggers, event = null) {
+        return matchingTriggers
+            .filter(triggerData => {
+                const gate = this.checkFunctionGate(triggerData.behaviorId, triggerData.functionName, event);
+                if (!gate.allowed) {
+                    console.log(`EventHandler: Skipping ${triggerData.behaviorId}.${triggerData.functionName}() - ${gate.reason}`);
+                }
+                return gate.allowed;
+            })
+            .map((triggerData, order) => ({ triggerData, order, priority: this.getFunctionPriority(triggerData.behaviorId, triggerData.functionName) }))
+            .sort((a, b) => b.priority - a.priority || a.order - b.order)
+            .map(entry => entry.triggerData);
+    }
+    
+    /**
+     * Whether a behavior function may run now, per its schema entry
+     * `behavior` is a registered behavior id or a behavior instance (behaviorSchema / getBehaviorSchema()),
+     * so direct callers can apply the same gate. Returns { allowed, reason }.
+     */
+    checkFunctionGate(behavior, functionName, event = null) {
+        const { instance, schema } = this.resolveBehavior(behavior);
+        const entry = schema && schema[functionName];
+        if (!entry) {
+            return { allowed: true, reason: null };
+        }
+        
+        if (entry.enabled === false) {
+            return { allowed: false, reason: 'disabled' };
+        }
+        
+        const requiredModes = [].concat(entry.requiredMode || 'any');
+        const mode = this.getApplicationMode();
+        if (!requiredModes.includes('any') && !requiredModes.includes(mode)) {
+            return { allowed: false, reason: `requires ${requiredModes.join(' or ')} mode (current: ${mode})` };
+        }
+        
+        if (entry.contextDependent && !this.isInBehaviorContext(instance, event)) {
+            return { allowed: false, reason: 'component not in context' };
+        }
+        
+        return { allowed: true, reason: null };
+    }
+    
+    /**
+     * Declared priority of a behavior function: its schema priority (a number or
+     * 'critical' / 'high' / 'normal' / 'low'), else the behavior's registration priority
+     */
+    getFunctionPriority(behavior, functionName) {
+        const { config, schema } = this.resolveBehavior(behavior);
+        const declared = schema && schema[functionName] ? schema[functionName].priority : undefined;
+        
+        if (typeof declared === 'number') return declared;
+        if (typeof declared === 'string' && EventHandler.SCHEMA_PRIORITIES[declared] !== undefined) {
+            return EventHandler.SCHEMA_PRIORITIES[declared];
+        }
+        return config ? config.priority : EventHandler.SCHEMA_PRIORITIES.normal;
+    }
+    
+    /**
+     * { config, instance, schema } for a registered behavior id or a behavior instance
+     */
+    resolveBehavior(behavior) {
+        const config = typeof behavior === 'string' ? this.registeredBehaviors.get(behavior) : null;
+        const instance = config ? config.instance : behavior;
+        let schema = config ? config.schema : null;
+        
+        if (!schema && instance) {
+            schema = instance.behaviorSchema || (typeof instance.getBehaviorSchema === 'function' ? instance.getBehaviorSchema() : null);
+        }
+        return { config, instance, schema };
+    }
+    
+    /**
+     * The global application mode ('design' or 'preview')
+     */
+    getApplicationMode() {
+        return this.changeLog.getValue('application.mode', 'design');
+    }
+    
+    /**
+     * Whether the component a context dependent function belongs to is the one being interacted with:
+     * the event's target is inside it, or, without a target, it is under the pointer, selected or the
+     * target of the active operation. Functions of behaviors without a component are always in context.
+     */
+    isInBehaviorContext(instance, event = null) {
+        const component = instance && instance.component;
+        if (!component) {
+            return true;
+        }
+        
+        const element = component.element;
+        const target = event && event.target;
+        if (target && element && typeof element.contains === 'function') {
+            return element === target || element.contains(target);
+        }
+        
+        const componentId = component.containerId || component.id;
+        const meta = 'current_context_meta';
+        const selected = this.changeLog.getValue(`${meta}.selection_context.selected_components`, []);
+        return this.changeLog.getValue(`${meta}.currently_in_object.component_id`) === componentId ||
+            this.changeLog.getValue(`${meta}.active_operations.operation_target`) === componentId ||
+            (Array.isArray(selected) && selected.includes(componentId));
+    }
+    
+    /**
+     * Execute the functions mapped by matched triggers, bubbling from the event's component up
+     * its parent chain, under a dispatch policy ('first', 'priority' or 'broadcast')
+     */
+    async executeTriggers(matchingTriggers, event, policy = this.defaultDispatchPolicy) {
         const results = [];
-        for (const triggerData of matchingTriggers) {
-            try {
-                const result = await this.executeBehaviorFunction(
-                    triggerData.behaviorId,
-                    triggerData.functionName,
-                    triggerData.parameters,
-                    event
-                );
-                results.push({ success: true, result });
-            } catch (error) {
-                console.error(`EventHandler: Failed to execute ${triggerData.behaviorId}.${triggerData.functionName}():`, error);
-                results.push({ success: false, error });
+        
+        for (const level of this.getPropagationPath(matchingTriggers, event)) {
+            let stopped = false;
+            for (const triggerData of level.triggers) {
+                const entry = { behaviorId: triggerData.behaviorId, functionName: triggerData.functionName, componentId: level.componentId };
+                try {
+                    const result = await this.executeBehaviorFunction(
+                        triggerData.behaviorId,
+                        triggerData.functionName,
+                        triggerData.parameters,
+                        event
+                    );
+                    results.push({ ...entry, success: true, result });
+                } catch (error) {
+                    console.error(`EventHandler: Failed to execute ${triggerData.behaviorId}.${triggerData.functionName}():`, error);
+                    results.push({ ...entry, success: false, error });
+                }
+                
+                const outcome = results[results.length - 1];
+                const result = outcome.result || {};
+                if (policy === 'first' && outcome.success && outcome.result !== false && result.success !== false) {
+                    console.log(`EventHandler: ${entry.behaviorId}.${entry.functionName}() handled the event`);
+                    return results;
+                }
+                if (policy === 'priority' && result.stopImmediatePropagation) {
+                    console.log(`EventHandler: ${entry.behaviorId}.${entry.functionName}() stopped propagation`);
+                    return results;
+                }
+                if (policy === 'priority' && result.stopPropagation) {
+                    stopped = true;
+                }
+            }
+            
+            if (stopped) {
+                console.log(`EventHandler: Propagation stopped at ${level.componentId || 'top level'}`);
+                break;
             }
         }
         
         return results;
     }
     
+    /**
+     * Bubbling order for matched functions: [{ componentId, triggers }] from the event's component up
+     * its BaseContainer parent chain, then one level for functions of other components and of behaviors
+     * without one. Functions keep their priority order within a level.
+     */
+    getPropagationPath(matchingTriggers, event = null) {
+        const chain = this.getContainerPath(this.resolveEventComponent(event)).slice().reverse();
+        const levels = chain.map(componentId => ({ componentId, triggers: [] }));
+        const rest = { componentId: null, triggers: [] };
+        
+        matchingTriggers.forEach(triggerData => {
+            const { instance } = this.resolveBehavior(triggerData.behaviorId);
+            const component = instance && instance.component;
+            const componentId = component ? component.containerId || component.id : null;
+            (levels.find(level => level.componentId === componentId) || rest).triggers.push(triggerData);
+        });
+        
+        return [...levels, rest].filter(level => level.triggers.length > 0);
+    }
+    
+    /**
+     * Component an event happened on: event.componentId, else the nearest element up from the event
+     * target whose id is a registered container, else the component under the pointer
+     */
+    resolveEventComponent(event = null) {
+        if (event && event.componentId) {
+            return event.componentId;
+        }
+        
+        const tree = this.getContainerTree();
+        if (tree && event) {
+            for (let node = event.target; node; node = node.parentElement || node.parentNode) {
+                if (node.id && tree.getContainer(node.id)) return node.id;
+            }
+        }
+        
+        return this.changeLog.getValue('current_context_meta.currently_in_object.component_id');
+    }
+    
     /**
      * Execute a behavior function
+     * Parameters are checked against the function's contract first; a call that breaks it is
+     * reported to the changelog and rejected with a ParameterContractError.
      */
     async executeBehaviorFunction(behaviorId, functionName, parameters, event) {
         const behaviorConfig = this.registeredBehaviors.get(behaviorId);
@@ -238,9 +540,19 @@ class EventHandler {
             throw new Error(`Function ${functionName} not found in behavior ${behaviorId}`);
         }
         
+        const contract = this.getParameterContract(behaviorId, functionName, parameters);
+        const values = this.resolveParameterValues(contract, event);
+        const violations = EventHandler.resolveParameterContracts().validate(contract, values);
+        if (violations.length > 0) {
+            await this.reportParameterViolations(behaviorId, functionName, violations);
+            const { ParameterContractError } = EventHandler.resolveParameterContracts();
+            throw new ParameterContractError(violations.map(violation => violation.message).join('; '),
+                `${behaviorId}.${functionName}()`, violations);
+        }
+        
         // Merge parameters with event data
         const callParams = {
-            ...parameters,
+            ...values,
             event,
             triggerSource: 'event_handler',
             timestamp: Date.now()
@@ -253,21 +565,101 @@ class EventHandler {
     }
     
     /**
-     * Check if a trigger key matches a pattern
+     * Compiled parameter contract of a behavior function: its schema's parameters, overridden by
+     * the parameters its trigger was registered with
      */
-    matchesTriggerPattern(triggerKey, pattern) {
-        // Exact match
-        if (triggerKey === pattern) {
-            return true;
+    getParameterContract(behaviorId, functionName, parameters = {}) {
+        const { schema } = this.resolveBehavior(behaviorId);
+        const declared = schema && schema[functionName] ? schema[functionName].parameters : {};
+        
+        return EventHandler.resolveParameterContracts().compile({ ...declared, ...parameters },
+            `${behaviorId}.${functionName}.parameters`);
+    }
+    
+    /**
+     * Values for a call: the contract's defaults, then each contract parameter from the event field
+     * of the same name. Coordinates fall back to the event's clientX/clientY and component ids to
+     * the component the event happened on; then the declared default.
+     */
+    resolveParameterValues(contract, event = null) {
+        const values = { ...contract.defaults };
+        
+        contract.parameters.forEach(parameter => {
+            let value = event ? event[parameter.name] : undefined;
+            if (value === undefined && event && parameter.type === 'coordinates' &&
+                event.clientX !== undefined && event.clientY !== undefined) {
+                value = { x: event.clientX, y: event.clientY };
+            }
+            if (value === undefined && parameter.type === 'componentId') {
+                value = this.resolveEventComponent(event) || undefined;
+            }
+            if (value === undefined) {
+                value = parameter.default;
+            }
+            if (value !== undefined) {
+                values[parameter.name] = value;
+            }
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Log a rejected call as a parameter_contract_violation changelog entry
+     * A diagnostic: the violations go in its metadata and it touches no context path.
+     */
+    async reportParameterViolations(behaviorId, functionName, violations) {
+        console.warn(`EventHandler: ${behaviorId}.${functionName}() rejected - ${violations.map(violation => violation.message).join('; ')}`);
+        
+        try {
+            await this.changeLog.logChange(
+                'parameter_contract_violation',
+                null,
+                null,
+                null,
+                'rejected',
+                { behavior_id: behaviorId, function_name: functionName, violations, timestamp: Date.now() }
+            );
+        } catch (error) {
+            console.error('EventHandler: Could not record parameter contract violation:', error);
+        }
+    }
+    
+    /**
+     * Every registered behavior function's parameter contract, for tooling:
+     * { behaviorId: { functionName: { parameters: [...], defaults, summary: ['position: required coordinates'] } } }
+     */
+    getParameterContracts() {
+        const contracts = {};
+        const ParameterContracts = EventHandler.resolveParameterContracts();
+        
+        for (const behaviorId of this.registeredBehaviors.keys()) {
+            const { schema } = this.resolveBehavior(behaviorId);
+            Object.keys(schema || {}).forEach(functionName => {
+                const contract = this.getParameterContract(behaviorId, functionName);
+                (contracts[behaviorId] = contracts[behaviorId] || {})[functionName] = {
+                    ...contract,
+                    summary: ParameterContracts.describe(contract)
+                };
+            });
         }
         
-        // Pattern matching (basic implementation)
-        if (pattern.includes('*')) {
-            const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-            return regex.test(triggerKey);
+        return contracts;
+    }
+    
+    /**
+     * Check if a fired trigger key (and its event) matches a trigger pattern
+     * Sequences need the key history and only match through handleKeySequence
+     */
+    matchesTriggerPattern(triggerKey, pattern, event = null) {
+        // Exact match
+        if (triggerKey === (typeof pattern === 'string' ? pattern : pattern.source)) {
+            return true;
         }
         
-        return false;
+        const TriggerGrammar = EventHandler.resolveTriggerGrammar();
+        const trigger = typeof pattern === 'string' ? TriggerGrammar.parse(pattern) : pattern;
+        return TriggerGrammar.matchEvent(trigger, TriggerGrammar.describe(triggerKey), event);
     }
     
     /**
@@ -306,7 +698,7 @@ class EventHandler {
     /**
      * Initialize event handler and setup conflict rules
      */
-    async init() {
+    async init(options = {}) {
         // Register with changelog system
         this.changeLog.registerHandler(this.handlerName);
         
@@ -314,26 +706,126 @@ class EventHandler {
         this.changeLog.startListening(this.handleContextChanges.bind(this));
         
         // Setup conflict resolution rules
-        this.setupConflictRules();
+        this.setupConflictRules(options.lockRules, options.ruleSet);
         
         console.log('EventHandler initialized');
     }
     
     /**
      * Setup rules for conflicting operations
+     * Without a source the bundled rules apply; loadLockRules(url) can replace them later
+     */
+    setupConflictRules(source = null, ruleSet = 'default') {
+        const LockRules = EventHandler.resolveLockRules();
+        const rules = source || (LockRules && LockRules.defaults());
+        
+        if (rules) {
+            this.useLockRules(rules, ruleSet);
+        } else {
+            console.error('EventHandler: Lock Rules.js is not loaded; locks will not conflict until loadLockRules() is called');
+        }
+    }
+    
+    /**
+     * Apply lock rules (LockRules, config object or path) with one of their rule sets
+     * Throws LockRulesError for invalid configs; held locks are kept, waiting ones are re-checked
+     */
+    useLockRules(source, ruleSet = 'default') {
+        const LockRules = EventHandler.resolveLockRules();
+        if (!LockRules) {
+            throw new Error('EventHandler: Lock Rules.js must be loaded to use lock rules');
+        }
+        
+        const rules = LockRules.load(source);
+        const compiled = rules.compile(ruleSet);
+        this.lockRules = rules;
+        this.ruleSetName = compiled.name;
+        this.lockPriorities = compiled.priorities;
+        this.lockModes = compiled.modes;
+        this.lockLeases = compiled.leases;
+        this.conflictRules = compiled.conflicts;
+        
+        console.log(`EventHandler: Using lock rule set "${compiled.name}"`);
+        return compiled;
+    }
+    
+    /**
+     * Fetch (browser) or read (Node) lock rules and apply them
+     */
+    async loadLockRules(source, ruleSet = this.ruleSetName || 'default') {
+        const LockRules = EventHandler.resolveLockRules();
+        const rules = typeof source === 'string' && typeof window !== 'undefined' && typeof fetch === 'function'
+            ? await LockRules.fetch(source)
+            : LockRules.load(source);
+        
+        this.useLockRules(rules, ruleSet);
+        await this.processLockQueue();
+        return this.ruleSetName;
+    }
+    
+    /**
+     * Switch to another rule set of the loaded lock rules, e.g. a stricter one in preview mode
+     */
+    async setRuleSet(name) {
+        if (!this.lockRules) {
+            throw new Error('EventHandler: No lock rules loaded');
+        }
+        
+        const previous = this.ruleSetName;
+        if (name === previous) return false;
+        
+        this.useLockRules(this.lockRules, name);
+        await this.changeLog.logChange(
+            'lock_rules_changed',
+            null,
+            null,
+            null,
+            'config',
+            {
+                previous_rule_set: previous,
+                rule_set: name,
+                active_locks: this.activeLocks.size,
+                queued_locks: this.lockQueue.length,
+                timestamp: Date.now()
+            }
+        );
+        
+        // Waiting requests may be compatible under the new rules
+        await this.processLockQueue();
+        return true;
+    }
+    
+    /**
+     * Effective conflict matrix of the active rule set, for tooling
+     * matrix[a][b] is true when locks of types a and b on the same component conflict
+     * in exclusive mode; '*' rules are expanded and rules apply in both directions
+     */
+    getConflictMatrix() {
+        const lockTypes = Object.keys(this.lockPriorities);
+        const matrix = {};
+        lockTypes.forEach(a => {
+            matrix[a] = {};
+            lockTypes.forEach(b => { matrix[a][b] = this.locksContend(a, b); });
+        });
+        
+        return {
+            ruleSet: this.ruleSetName,
+            ruleSets: this.lockRules ? this.lockRules.ruleSetNames : [],
+            lockTypes,
+            priorities: { ...this.lockPriorities },
+            modes: { ...this.lockModes },
+            global: lockTypes.filter(lockType => this.isGlobalLockType(lockType)),
+            matrix
+        };
+    }
+    
+    /**
+     * Throw for lock types the loaded rules do not declare
      */
-    setupConflictRules() {
-        // Define which operations conflict with each other
-        // NOTE: With component-specific locks, these conflicts only apply within the same component
-        this.conflictRules.set('edit_lock', ['drag_lock', 'resize_lock', 'delete_operation']);
-        this.conflictRules.set('drag_lock', ['edit_lock', 'resize_lock', 'selection_operation']); // A component can't be moved and resized simultaneously
-        this.conflictRules.set('resize_lock', ['edit_lock', 'drag_lock', 'move_operation']); // A component can't be resized and moved simultaneously
-        this.conflictRules.set('modal_lock', ['*']); // Blocks everything globally
-        this.conflictRules.set('global_lock', ['*']); // Blocks everything globally
-        this.conflictRules.set('validation_lock', ['save_operation', 'submit_operation']);
-        this.conflictRules.set('save_lock', ['edit_lock', 'validation_lock']);
-        this.conflictRules.set('animation_lock', ['drag_lock', 'resize_lock']); // Conflicts with transform operations on same component
-        this.conflictRules.set('async_operation_lock', ['save_lock', 'network_operation']);
+    assertLockType(lockType) {
+        if (this.lockRules && !Object.prototype.hasOwnProperty.call(this.lockPriorities, lockType)) {
+            throw new Error(`EventHandler: Unknown lock type: ${lockType}`);
+        }
     }
     
     /**
@@ -343,6 +835,17 @@ class EventHandler {
         for (const change of changes) {
             console.log(`EventHandler received change from ${change.handler}: ${change.action} at ${change.context_path}`);
             
+            // A handler writing is alive: its context-driven locks keep their leases
+            this.renewLocksHeldBy(change.handler);
+            
+            // Diagnostic entries (deadlocks, rule set changes, ...) have no context path
+            if (!change.context_path) continue;
+            
+            // Key and sequence triggers
+            if (change.context_path.endsWith('current_keyboard_input.last_key_sequence')) {
+                await this.handleKeySequence(change.new_value);
+            }
+            
             // Monitor for operations that need locks
             if (change.context_path.includes('active_operations')) {
                 await this.handleOperationChange(change);
@@ -429,23 +932,23 @@ class EventHandler {
         const componentId = this._extractComponentIdFromPath(change.context_path) || 'global';
         
         if (change.context_path.includes('is_editing') && change.new_value === true) {
-            await this.requestLock('edit_lock', `edit_operation_${componentId}`, { source: change.handler });
+            await this.requestLock('edit_lock', `edit_operation_${componentId}`, { source: change.handler, renewOnActivity: true });
         } else if (change.context_path.includes('is_editing') && change.new_value === false) {
             await this.releaseLock('edit_lock', `edit_operation_${componentId}`);
         }
         
         if (change.context_path.includes('is_creating') && change.new_value === true) {
-            await this.requestLock('edit_lock', `create_operation_${componentId}`, { source: change.handler });
+            await this.requestLock('edit_lock', `create_operation_${componentId}`, { source: change.handler, renewOnActivity: true });
         }
         
         if (change.context_path.includes('is_moving') && change.new_value === true) {
-            await this.requestLock('drag_lock', `move_operation_${componentId}`, { source: change.handler });
+            await this.requestLock('drag_lock', `move_operation_${componentId}`, { source: change.handler, renewOnActivity: true });
         } else if (change.context_path.includes('is_moving') && change.new_value === false) {
             await this.releaseLock('drag_lock', `move_operation_${componentId}`);
         }
         
         if (change.context_path.includes('is_resizing') && change.new_value === true) {
-            await this.requestLock('resize_lock', `resize_operation_${componentId}`, { source: change.handler });
+            await this.requestLock('resize_lock', `resize_operation_${componentId}`, { source: change.handler, renewOnActivity: true });
         } else if (change.context_path.includes('is_resizing') && change.new_value === false) {
             await this.releaseLock('resize_lock', `resize_operation_${componentId}`);
         }
@@ -462,6 +965,7 @@ class EventHandler {
             // Dragging started - engage drag lock
             await this.requestLock('drag_lock', `mouse_drag_${componentId}`, { 
                 source: change.handler,
+                renewOnActivity: true,
                 auto_release: true // Will auto-release when dragging stops
             });
         } else if (change.new_value === false) {
@@ -495,6 +999,7 @@ class EventHandler {
             // Modal opened - engage modal lock
             await this.requestLock('modal_lock', `modal_${change.new_value}`, {
                 source: change.handler,
+                renewOnActivity: true,
                 blocking: true // Blocks all other operations
             });
         } else if (change.new_value === null && change.old_value !== null) {
@@ -508,7 +1013,7 @@ class EventHandler {
      */
     async handleValidationChange(change) {
         if (change.context_path.includes('validation_in_progress') && change.new_value === true) {
-            await this.requestLock('validation_lock', 'validation_process', { source: change.handler });
+            await this.requestLock('validation_lock', 'validation_process', { source: change.handler, renewOnActivity: true });
         } else if (change.context_path.includes('validation_in_progress') && change.new_value === false) {
             await this.releaseLock('validation_lock', 'validation_process');
         }
@@ -517,6 +1022,7 @@ class EventHandler {
             // Blocking errors present - prevent certain operations
             await this.requestLock('validation_lock', 'blocking_errors', {
                 source: change.handler,
+                renewOnActivity: true,
                 persistent: true // Stays until errors are resolved
             });
         }
@@ -524,13 +1030,21 @@ class EventHandler {
     
     /**
      * Request a singleton lock
+     * Either requestLock({ type, scope: { componentId, subtree }, owner, ttl, ... }) or the
+     * legacy requestLock(lockType, operationId, options), whose scope is derived from the ids
      */
     async requestLock(lockType, operationId, options = {}) {
+        if (typeof lockType === 'object' && lockType !== null) {
+            ({ lockType, operationId, options } = this.normalizeLockRequest(lockType));
+        }
+        this.assertLockType(lockType);
+        options = { ...options, scope: this.lockScope(operationId, options) };
+        
         const lockKey = `${lockType}_${operationId}`;
         const priority = this.lockPriorities[lockType] || 0;
         
-        // Check for conflicts - now component-aware
-        const conflicts = this.checkConflicts(lockType, operationId);
+        // Check for conflicts - component-, hierarchy- and mode-aware
+        const conflicts = this.checkConflicts(lockType, operationId, options);
         
         if (conflicts.length > 0) {
             console.log(`EventHandler: Lock request for ${lockKey} conflicts with: ${conflicts.join(', ')}`);
@@ -539,28 +1053,54 @@ class EventHandler {
             const canOverride = this.canOverrideConflicts(priority, conflicts);
             
             if (!canOverride && !options.force) {
-                // Queue the lock request
-                this.lockQueue.push({
-                    lockType,
-                    operationId,
-                    priority,
-                    options,
-                    timestamp: Date.now()
-                });
-                
+                await this.queueLock(lockType, operationId, priority, options);
                 console.log(`EventHandler: Lock ${lockKey} queued due to conflicts`);
                 return false;
             }
         }
         
-        // Acquire the lock
+        // Requests already waiting for the same component go first, so they cannot starve
+        const waitingAhead = options.force ? [] : this.lockQueue.filter(queuedLock =>
+            this.effectivePriority(queuedLock) >= priority && this.requestsConflict(queuedLock, { lockType, operationId, options }));
+        if (waitingAhead.length > 0) {
+            await this.queueLock(lockType, operationId, priority, options);
+            console.log(`EventHandler: Lock ${lockKey} queued behind ${waitingAhead.length} waiting request(s)`);
+            return false;
+        }
+        
+        return this.acquireLock(lockType, operationId, priority, options);
+    }
+    
+    /**
+     * Grant a lock: record it, update context and arm its timeout
+     */
+    async acquireLock(lockType, operationId, priority, options) {
+        const lockKey = `${lockType}_${operationId}`;
+        const { mode, componentId, subtree, path } = this.describeLock(lockType, operationId, options);
+        const lease = this.leaseFor(lockType, options);
+        
         this.activeLocks.set(lockKey, {
             lockType,
             operationId,
             priority,
             options,
             timestamp: Date.now(),
-            source: options.source || 'unknown'
+            source: options.source || 'unknown',
+            owner: options.owner || operationId,
+            mode,
+            componentId,
+            lease,
+            expiresAt: lease > 0 ? Date.now() + lease : null
+        });
+        
+        // Record the grant so a supervisor can clean up after its holder
+        await this.changeLog.recordLock(lockKey, {
+            lock_type: lockType,
+            operation_id: operationId,
+            holder: options.source || 'unknown',
+            granted_by: this.handlerName,
+            acquired_at: Date.now(),
+            lease
         });
         
         // Update context
@@ -572,17 +1112,18 @@ class EventHandler {
                 operation_id: operationId,
                 source: options.source,
                 priority,
+                mode,
+                component_id: componentId,
+                subtree,
+                intention_on: path.slice(0, -1), // ancestors get IS/IX
+                lease,
                 timestamp: Date.now()
             }
         );
         
-        // Set timeout if specified
-        if (options.timeout || this.maxLockDuration) {
-            const timeout = setTimeout(() => {
-                this.releaseLock(lockType, operationId, 'timeout');
-            }, options.timeout || this.maxLockDuration);
-            
-            this.lockTimeouts.set(lockKey, timeout);
+        // Released while the grant was being recorded
+        if (this.activeLocks.has(lockKey)) {
+            this.armLease(lockKey);
         }
         
         console.log(`EventHandler: Lock acquired - ${lockKey}`);
@@ -590,9 +1131,96 @@ class EventHandler {
     }
     
     /**
-     * Release a singleton lock
+     * Lease length for a lock: options.lease (or legacy options.timeout), else the lock type's
+     * lease from the rules; persistent locks and a lease of 0 never expire
+     */
+    leaseFor(lockType, options = {}) {
+        if (options.persistent) return 0;
+        
+        const lease = [options.lease, options.timeout, this.lockLeases[lockType]].find(value => value !== undefined && value !== null);
+        return lease !== undefined ? lease : this.maxLockDuration;
+    }
+    
+    /**
+     * (Re)start the lease timer of an active lock
+     */
+    armLease(lockKey) {
+        const lockInfo = this.activeLocks.get(lockKey);
+        clearTimeout(this.lockTimeouts.get(lockKey));
+        this.lockTimeouts.delete(lockKey);
+        if (!lockInfo || !(lockInfo.lease > 0)) return;
+        
+        lockInfo.expiresAt = Date.now() + lockInfo.lease;
+        const timer = setTimeout(() => {
+            this.revokeLock(lockInfo.lockType, lockInfo.operationId, 'lease_expired')
+                .catch(error => console.error(`EventHandler: Failed to expire ${lockKey}:`, error));
+        }, lockInfo.lease);
+        // A held lock must not keep a Node process alive on its own
+        if (timer.unref) timer.unref();
+        this.lockTimeouts.set(lockKey, timer);
+    }
+    
+    /**
+     * Renew a lock's lease: renewLock(lockType, operationId) or renewLock(request)
+     * The owner calls this as its heartbeat; returns the new expiry time (null for locks
+     * that never expire), or false when the lock is no longer held
+     */
+    renewLock(lockType, operationId) {
+        if (typeof lockType === 'object' && lockType !== null) {
+            ({ lockType, operationId } = this.normalizeLockRequest(lockType));
+        }
+        
+        const lockKey = `${lockType}_${operationId}`;
+        if (!this.activeLocks.has(lockKey)) return false;
+        
+        this.armLease(lockKey);
+        return this.activeLocks.get(lockKey).expiresAt;
+    }
+    
+    /**
+     * Renew the leases a handler's context-driven locks hold while it keeps writing
+     */
+    renewLocksHeldBy(handlerName) {
+        for (const [lockKey, lockInfo] of this.activeLocks) {
+            if (lockInfo.source === handlerName && lockInfo.options.renewOnActivity) {
+                this.armLease(lockKey);
+            }
+        }
+    }
+    
+    /**
+     * Take a lock away from its owner (lease expiry, lost handler, emergency release)
+     * and tell the owner through options.onExpire({ lockType, operationId, owner, reason, heldFor })
+     */
+    async revokeLock(lockType, operationId, reason) {
+        const lockInfo = this.activeLocks.get(`${lockType}_${operationId}`);
+        if (!lockInfo || !(await this.releaseLock(lockType, operationId, reason))) return false;
+        
+        if (typeof lockInfo.options.onExpire === 'function') {
+            try {
+                lockInfo.options.onExpire({
+                    lockType,
+                    operationId,
+                    owner: lockInfo.owner,
+                    reason,
+                    heldFor: Date.now() - lockInfo.timestamp
+                });
+            } catch (error) {
+                console.error(`EventHandler: onExpire for ${lockType}_${operationId} failed:`, error);
+            }
+        }
+        return true;
+    }
+    
+    /**
+     * Release a singleton lock: releaseLock(lockType, operationId, reason) or releaseLock(request, reason)
      */
     async releaseLock(lockType, operationId, reason = 'manual') {
+        if (typeof lockType === 'object' && lockType !== null) {
+            reason = operationId || 'manual';
+            ({ lockType, operationId } = this.normalizeLockRequest(lockType));
+        }
+        
         const lockKey = `${lockType}_${operationId}`;
         
         if (!this.activeLocks.has(lockKey)) {
@@ -609,11 +1237,12 @@ class EventHandler {
         // Remove lock
         const lockInfo = this.activeLocks.get(lockKey);
         this.activeLocks.delete(lockKey);
+        await this.changeLog.recordLock(lockKey, null);
         
-        // Update context
+        // Update context; the flag stays set while other holders of this type remain
         await this.changeLog.updateContext(
             `current_context_meta.interaction_locks.${lockType}`,
-            false,
+            this.isLocked(lockType),
             'lock_released',
             {
                 operation_id: operationId,
@@ -633,38 +1262,175 @@ class EventHandler {
     
     /**
      * Check for conflicting locks
+     * options.mode ('shared' | 'exclusive') and options.scope (or legacy options.componentId) refine the request
      */
-    checkConflicts(lockType, operationId) {
-        const conflicts = [];
-        const conflictRules = this.conflictRules.get(lockType) || [];
+    checkConflicts(lockType, operationId, options = {}) {
+        const request = this.describeLock(lockType, operationId, options);
+        const lockKey = `${lockType}_${operationId}`;
         
-        // Extract component ID from the operation ID
-        const componentId = this._extractComponentIdFromOperationId(operationId);
+        return Array.from(this.activeLocks)
+            .filter(([activeKey, lockInfo]) => activeKey !== lockKey &&
+                this.locksConflict(request, this.describeLock(lockInfo.lockType, lockInfo.operationId, lockInfo.options)))
+            .map(([activeKey]) => activeKey);
+    }
+    
+    /**
+     * Whether two described locks conflict
+     * Their types must contend (conflict rules in either direction, or the same type);
+     * then locks on the same component compare explicit modes, and a subtree lock on an
+     * ancestor of the other meets the intention lock (IS/IX) the descendant's lock puts
+     * on it. Locks without a component are global.
+     */
+    locksConflict(a, b) {
+        if (this.isGlobalLockType(a.lockType) || this.isGlobalLockType(b.lockType)) return true;
+        if (!this.locksContend(a.lockType, b.lockType)) return false;
         
-        for (const [lockKey, lockInfo] of this.activeLocks) {
-            const lockComponentId = this._extractComponentIdFromOperationId(lockInfo.operationId);
-            
-            // Global locks (modal, global_lock) conflict with everything
-            if (conflictRules.includes('*') || lockInfo.lockType === 'modal_lock' || lockInfo.lockType === 'global_lock') {
-                conflicts.push(lockKey);
-                continue;
-            }
-            
-            // For component-specific locks, only check conflicts within the same component
-            if (componentId && lockComponentId && componentId === lockComponentId) {
-                if (conflictRules.includes(lockInfo.lockType)) {
-                    conflicts.push(lockKey);
-                }
+        if (!a.componentId || !b.componentId || a.componentId === b.componentId) {
+            return !EventHandler.modesCompatible(a.mode, b.mode);
+        }
+        if (a.path.includes(b.componentId)) {
+            // b is above a
+            return b.subtree && !EventHandler.modesCompatible(EventHandler.intentionFor(a.mode), b.mode);
+        }
+        if (b.path.includes(a.componentId)) {
+            return a.subtree && !EventHandler.modesCompatible(a.mode, EventHandler.intentionFor(b.mode));
+        }
+        return false;
+    }
+    
+    /**
+     * Whether two lock types compete at all
+     */
+    locksContend(lockType1, lockType2) {
+        const rules1 = this.conflictRules.get(lockType1) || [];
+        const rules2 = this.conflictRules.get(lockType2) || [];
+        return lockType1 === lockType2 || rules1.includes(lockType2) || rules2.includes(lockType1) ||
+            rules1.includes('*') || rules2.includes('*');
+    }
+    
+    /**
+     * Lock types with a '*' rule (modal_lock, global_lock) block everything, whatever their scope
+     */
+    isGlobalLockType(lockType) {
+        return (this.conflictRules.get(lockType) || []).includes('*');
+    }
+    
+    /**
+     * Mode, scope and root-to-component path of a lock request
+     */
+    describeLock(lockType, operationId, options = {}) {
+        const mode = options.mode || this.lockModes[lockType] || 'exclusive';
+        if (mode !== 'shared' && mode !== 'exclusive') {
+            throw new Error(`EventHandler: Unknown lock mode: ${mode}`);
+        }
+        
+        const { componentId, subtree } = this.lockScope(operationId, options);
+        return { lockType, operationId, mode, componentId, subtree, path: this.getContainerPath(componentId) };
+    }
+    
+    /**
+     * Turn a structured lock request into (lockType, operationId, options)
+     * { type, scope: { componentId, subtree = true }, owner, ttl, mode, priority, source, ... }
+     * The operation id is derived from scope and owner, so the same request object releases the lock.
+     */
+    normalizeLockRequest(request) {
+        const { type, scope = {}, owner, ttl, operationId, ...options } = request;
+        
+        if (typeof type !== 'string' || !type) {
+            throw new Error('EventHandler: Lock request needs a type');
+        }
+        if (typeof scope !== 'object' || scope === null) {
+            throw new Error(`EventHandler: Lock scope for ${type} must be an object`);
+        }
+        if (scope.componentId !== undefined && scope.componentId !== null && typeof scope.componentId !== 'string') {
+            throw new Error(`EventHandler: Lock scope componentId for ${type} must be a string`);
+        }
+        if (ttl !== undefined && !(ttl >= 0)) {
+            throw new Error(`EventHandler: Lock ttl for ${type} must be a number of ms (0 never expires)`);
+        }
+        
+        const componentId = scope.componentId || null;
+        const lockOwner = owner || options.source || 'anonymous';
+        return {
+            lockType: type,
+            operationId: operationId || `${componentId || 'global'}@${lockOwner}`,
+            options: {
+                ...options,
+                owner: lockOwner,
+                lease: ttl !== undefined ? ttl : options.lease,
+                scope: { componentId, subtree: scope.subtree !== false }
             }
-            // For operations without component IDs, check all conflicts (legacy behavior)
-            else if (!componentId || !lockComponentId) {
-                if (conflictRules.includes(lockInfo.lockType)) {
-                    conflicts.push(lockKey);
-                }
+        };
+    }
+    
+    /**
+     * Scope of a lock: the explicit options.scope, or for legacy string requests
+     * options.componentId, else the component the operation id names
+     */
+    lockScope(operationId, options = {}) {
+        if (options.scope) return options.scope;
+        return { componentId: options.componentId || this.resolveComponentId(operationId), subtree: true };
+    }
+    
+    /**
+     * Adapter for legacy operation ids such as "move_operation_element_123"
+     * The longest suffix naming a registered container wins, so ids with underscores
+     * of their own resolve correctly; otherwise fall back to the id's last segments
+     */
+    resolveComponentId(operationId) {
+        const tree = this.getContainerTree();
+        if (tree) {
+            const parts = String(operationId).split('_');
+            for (let i = 0; i < parts.length; i++) {
+                const candidate = parts.slice(i).join('_');
+                if (tree.getContainer(candidate)) return candidate;
             }
         }
         
-        return conflicts;
+        return this._extractComponentIdFromOperationId(operationId);
+    }
+    
+    /**
+     * Container ids from the root down to a component; just the component when it is not in the tree
+     */
+    getContainerPath(componentId) {
+        if (!componentId) return [];
+        
+        const tree = this.getContainerTree();
+        const container = tree ? tree.getContainer(componentId) : null;
+        return container ? container.getPath() : [componentId];
+    }
+    
+    getContainerTree() {
+        const tree = this.containerTree || (typeof window !== 'undefined' ? window.BaseContainer : null);
+        return tree && typeof tree.getContainer === 'function' ? tree : null;
+    }
+    
+    /**
+     * Use a container registry other than the global BaseContainer (anything with getContainer(id))
+     */
+    useContainerTree(tree) {
+        this.containerTree = tree;
+    }
+    
+    /**
+     * Intention locks implied by the active locks: componentId -> [{ lockKey, lockType, mode: 'IS' | 'IX' }]
+     */
+    getIntentionLocks() {
+        const intentions = {};
+        
+        for (const [lockKey, lockInfo] of this.activeLocks) {
+            const { mode, path } = this.describeLock(lockInfo.lockType, lockInfo.operationId, lockInfo.options);
+            path.slice(0, -1).forEach(ancestorId => {
+                (intentions[ancestorId] = intentions[ancestorId] || []).push({
+                    lockKey,
+                    lockType: lockInfo.lockType,
+                    mode: EventHandler.intentionFor(mode)
+                });
+            });
+        }
+        
+        return intentions;
     }
     
     /**
@@ -686,16 +1452,17 @@ class EventHandler {
     async processLockQueue() {
         if (this.lockQueue.length === 0) return;
         
-        // Sort queue by priority (highest first)
-        this.lockQueue.sort((a, b) => b.priority - a.priority);
+        this.sortLockQueue();
         
         const processable = [];
         const remaining = [];
         
+        // A request is granted only when nothing active and nothing ranked ahead of it conflicts
         for (const queuedLock of this.lockQueue) {
-            const conflicts = this.checkConflicts(queuedLock.lockType, queuedLock.operationId);
+            const conflicts = this.checkConflicts(queuedLock.lockType, queuedLock.operationId, queuedLock.options);
+            const blockedAhead = [...remaining, ...processable].some(ahead => this.requestsConflict(ahead, queuedLock));
             
-            if (conflicts.length === 0) {
+            if (conflicts.length === 0 && !blockedAhead) {
                 processable.push(queuedLock);
             } else {
                 remaining.push(queuedLock);
@@ -706,10 +1473,206 @@ class EventHandler {
         
         // Process locks that can now be acquired
         for (const lock of processable) {
-            await this.requestLock(lock.lockType, lock.operationId, lock.options);
+            clearTimeout(lock.timer);
+            await this.acquireLock(lock.lockType, lock.operationId, lock.priority, lock.options);
+        }
+        
+        if (processable.length > 0) {
+            await this.detectDeadlocks();
         }
     }
     
+    /**
+     * Queue a lock request until its conflicts clear, it times out or it is picked as a deadlock victim
+     * options.onReject({ lockType, operationId, owner, reason, waited }) is called when it is given up
+     */
+    async queueLock(lockType, operationId, priority, options) {
+        const queuedLock = {
+            lockType,
+            operationId,
+            priority,
+            options,
+            timestamp: Date.now(),
+            owner: options.owner || operationId
+        };
+        
+        const timeout = options.queueTimeout || this.queueTimeout;
+        queuedLock.timer = setTimeout(() => {
+            this.rejectQueuedLock(queuedLock, 'timeout')
+                .catch(error => console.error('EventHandler: queue timeout failed:', error));
+        }, timeout);
+        if (queuedLock.timer.unref) queuedLock.timer.unref();
+        
+        this.lockQueue.push(queuedLock);
+        await this.detectDeadlocks();
+    }
+    
+    /**
+     * Give up on a queued request and tell its requester why
+     */
+    async rejectQueuedLock(queuedLock, reason) {
+        const index = this.lockQueue.indexOf(queuedLock);
+        if (index === -1) return false;
+        
+        this.lockQueue.splice(index, 1);
+        clearTimeout(queuedLock.timer);
+        
+        const waited = Date.now() - queuedLock.timestamp;
+        console.log(`EventHandler: Queued lock ${queuedLock.lockType}_${queuedLock.operationId} rejected (${reason}) after ${waited}ms`);
+        
+        if (typeof queuedLock.options.onReject === 'function') {
+            try {
+                queuedLock.options.onReject({
+                    lockType: queuedLock.lockType,
+                    operationId: queuedLock.operationId,
+                    owner: queuedLock.owner,
+                    reason,
+                    waited
+                });
+            } catch (error) {
+                console.error('EventHandler: onReject callback failed:', error);
+            }
+        }
+        
+        // Requests that were waiting behind it may go now
+        await this.processLockQueue();
+        return true;
+    }
+    
+    /**
+     * Take back a queued request: withdrawLock(lockType, operationId) or withdrawLock(request)
+     */
+    async withdrawLock(lockType, operationId) {
+        if (typeof lockType === 'object' && lockType !== null) {
+            ({ lockType, operationId } = this.normalizeLockRequest(lockType));
+        }
+        
+        const queuedLock = this.lockQueue.find(lock => lock.lockType === lockType && lock.operationId === operationId);
+        return queuedLock ? this.rejectQueuedLock(queuedLock, 'withdrawn') : false;
+    }
+    
+    /**
+     * Priority plus aging: every queueAging.interval ms waited adds queueAging.step
+     */
+    effectivePriority(queuedLock, now = Date.now()) {
+        const waited = Math.max(0, now - queuedLock.timestamp);
+        return queuedLock.priority + Math.floor(waited / this.queueAging.interval) * this.queueAging.step;
+    }
+    
+    /**
+     * Highest effective priority first, oldest first among equals
+     */
+    sortLockQueue(now = Date.now()) {
+        this.lockQueue.sort((a, b) =>
+            this.effectivePriority(b, now) - this.effectivePriority(a, now) || a.timestamp - b.timestamp);
+    }
+    
+    /**
+     * Whether two lock requests would conflict
+     */
+    requestsConflict(a, b) {
+        return this.locksConflict(
+            this.describeLock(a.lockType, a.operationId, a.options),
+            this.describeLock(b.lockType, b.operationId, b.options));
+    }
+    
+    /**
+     * Wait-for graph: owner -> owners it waits on
+     * A queued request waits on the holders of the active locks it conflicts with and
+     * on the owners of conflicting requests ranked ahead of it in the queue
+     */
+    getWaitForGraph() {
+        const graph = new Map();
+        this.sortLockQueue();
+        
+        this.lockQueue.forEach((queuedLock, index) => {
+            const waitsOn = graph.get(queuedLock.owner) || new Set();
+            
+            this.checkConflicts(queuedLock.lockType, queuedLock.operationId, queuedLock.options).forEach(lockKey => {
+                waitsOn.add(this.activeLocks.get(lockKey).owner);
+            });
+            this.lockQueue.slice(0, index)
+                .filter(ahead => this.requestsConflict(ahead, queuedLock))
+                .forEach(ahead => waitsOn.add(ahead.owner));
+            
+            waitsOn.delete(queuedLock.owner);
+            graph.set(queuedLock.owner, waitsOn);
+        });
+        
+        return graph;
+    }
+    
+    /**
+     * First cycle in the wait-for graph as a list of owners, or null
+     */
+    findWaitCycle(graph = this.getWaitForGraph()) {
+        const visited = new Set();
+        const path = [];
+        
+        const visit = owner => {
+            const onPath = path.indexOf(owner);
+            if (onPath !== -1) return path.slice(onPath);
+            if (visited.has(owner)) return null;
+            
+            visited.add(owner);
+            path.push(owner);
+            for (const next of graph.get(owner) || []) {
+                const cycle = visit(next);
+                if (cycle) return cycle;
+            }
+            path.pop();
+            return null;
+        };
+        
+        for (const owner of graph.keys()) {
+            const cycle = visit(owner);
+            if (cycle) return cycle;
+        }
+        return null;
+    }
+    
+    /**
+     * Break every circular wait: log lock_deadlock_detected and reject the cycle's
+     * lowest-priority waiting request, whose owner is expected to back off and release
+     * Returns the cycles found
+     */
+    async detectDeadlocks() {
+        const cycles = [];
+        let cycle;
+        
+        while ((cycle = this.findWaitCycle())) {
+            const now = Date.now();
+            const waiting = this.lockQueue.filter(queuedLock => cycle.includes(queuedLock.owner));
+            const victim = waiting.reduce((lowest, queuedLock) => {
+                const difference = this.effectivePriority(queuedLock, now) - this.effectivePriority(lowest, now);
+                return difference < 0 || (difference === 0 && queuedLock.timestamp > lowest.timestamp) ? queuedLock : lowest;
+            });
+            
+            console.warn(`EventHandler: Deadlock detected between ${cycle.join(' -> ')}; rejecting ${victim.lockType}_${victim.operationId}`);
+            // Diagnostic entry: everything in metadata, no context path or value
+            await this.changeLog.logChange(
+                'lock_deadlock_detected',
+                null,
+                null,
+                null,
+                'deadlock',
+                {
+                    cycle,
+                    victim: `${victim.lockType}_${victim.operationId}`,
+                    waiting: waiting.map(queuedLock => `${queuedLock.lockType}_${queuedLock.operationId}`),
+                    held: Array.from(this.activeLocks.keys()).filter(lockKey => cycle.includes(this.activeLocks.get(lockKey).owner)),
+                    victim_owner: victim.owner,
+                    timestamp: now
+                }
+            );
+            
+            cycles.push(cycle);
+            await this.rejectQueuedLock(victim, 'deadlock');
+        }
+        
+        return cycles;
+    }
+    
     /**
      * Monitor canvas operations for performance locks
      */
@@ -738,16 +1701,18 @@ class EventHandler {
         
         // Process active locks
         for (const [lockKey, lockInfo] of this.activeLocks) {
-            const [lockType, operationId] = lockKey.split('_', 2);
-            const componentId = this._extractComponentIdFromOperationId(operationId);
+            const { lockType, operationId, componentId } = lockInfo;
             
             activeLocks.push({
                 lockKey,
                 lockType,
                 operationId,
                 componentId: componentId || 'global',
+                mode: lockInfo.mode,
                 priority: lockInfo.priority,
                 timestamp: lockInfo.timestamp,
+                lease: lockInfo.lease,
+                expiresAt: lockInfo.expiresAt,
                 context: lockInfo.context,
                 duration: Date.now() - lockInfo.timestamp,
                 blocking: lockInfo.blocking || false,
@@ -757,7 +1722,7 @@ class EventHandler {
         
         // Process queued locks
         this.lockQueue.forEach((queuedLock, index) => {
-            const componentId = this._extractComponentIdFromOperationId(queuedLock.operationId);
+            const { componentId } = this.lockScope(queuedLock.operationId, queuedLock.options);
             
             queuedLocks.push({
                 position: index + 1,
@@ -765,6 +1730,8 @@ class EventHandler {
                 operationId: queuedLock.operationId,
                 componentId: componentId || 'global',
                 priority: queuedLock.priority,
+                effectivePriority: this.effectivePriority(queuedLock),
+                owner: queuedLock.owner,
                 timestamp: queuedLock.timestamp,
                 waitTime: Date.now() - queuedLock.timestamp,
                 context: queuedLock.context,
@@ -781,6 +1748,8 @@ class EventHandler {
             },
             activeLocks,
             queuedLocks,
+            intentionLocks: this.getIntentionLocks(),
+            ruleSet: this.ruleSetName,
             conflictRules: Object.fromEntries(this.conflictRules),
             lockPriorities: this.lockPriorities
         };
@@ -797,14 +1766,14 @@ class EventHandler {
         
         // Find active locks for this component
         for (const [lockKey, lockInfo] of this.activeLocks) {
-            const [lockType, operationId] = lockKey.split('_', 2);
-            const lockComponentId = this._extractComponentIdFromOperationId(operationId);
+            const { lockType, operationId, componentId: lockComponentId } = lockInfo;
             
             if (lockComponentId === componentId || (!lockComponentId && componentId === 'global')) {
                 componentLocks.active.push({
                     lockKey,
                     lockType,
                     operationId,
+                    mode: lockInfo.mode,
                     priority: lockInfo.priority,
                     timestamp: lockInfo.timestamp,
                     duration: Date.now() - lockInfo.timestamp,
@@ -815,7 +1784,7 @@ class EventHandler {
         
         // Find queued locks for this component
         this.lockQueue.forEach((queuedLock, index) => {
-            const lockComponentId = this._extractComponentIdFromOperationId(queuedLock.operationId);
+            const { componentId: lockComponentId } = this.lockScope(queuedLock.operationId, queuedLock.options);
             
             if (lockComponentId === componentId || (!lockComponentId && componentId === 'global')) {
                 componentLocks.queued.push({
@@ -836,26 +1805,23 @@ class EventHandler {
     /**
      * Check what would conflict with a potential lock
      */
-    checkPotentialConflicts(lockType, operationId) {
-        const componentId = this._extractComponentIdFromOperationId(operationId);
+    checkPotentialConflicts(lockType, operationId, options = {}) {
         const conflicts = [];
         
-        for (const [activeLockKey, lockInfo] of this.activeLocks) {
-            const [activeLockType, activeOperationId] = activeLockKey.split('_', 2);
-            const activeComponentId = this._extractComponentIdFromOperationId(activeOperationId);
+        for (const activeLockKey of this.checkConflicts(lockType, operationId, options)) {
+            const lockInfo = this.activeLocks.get(activeLockKey);
+            const active = this.describeLock(lockInfo.lockType, lockInfo.operationId, lockInfo.options);
             
-            // Check if there would be a conflict
-            if (this._wouldConflict(lockType, componentId, activeLockType, activeComponentId)) {
-                conflicts.push({
-                    conflictingLock: activeLockKey,
-                    conflictingLockType: activeLockType,
-                    conflictingOperationId: activeOperationId,
-                    conflictingComponentId: activeComponentId || 'global',
-                    priority: lockInfo.priority,
-                    duration: Date.now() - lockInfo.timestamp,
-                    reason: 'operation conflict'
-                });
-            }
+            conflicts.push({
+                conflictingLock: activeLockKey,
+                conflictingLockType: lockInfo.lockType,
+                conflictingOperationId: lockInfo.operationId,
+                conflictingComponentId: active.componentId || 'global',
+                mode: active.mode,
+                priority: lockInfo.priority,
+                duration: Date.now() - lockInfo.timestamp,
+                reason: 'operation conflict'
+            });
         }
         
         return {
@@ -865,25 +1831,6 @@ class EventHandler {
         };
     }
     
-    /**
-     * Helper method to check if two locks would conflict
-     */
-    _wouldConflict(lockType1, componentId1, lockType2, componentId2) {
-        // Global locks block everything
-        if (lockType2 === 'modal_lock' || lockType2 === 'global_lock') {
-            return true;
-        }
-        
-        // Different components don't conflict (unless global)
-        if (componentId1 && componentId2 && componentId1 !== componentId2) {
-            return false;
-        }
-        
-        // Check conflict rules
-        const conflictingTypes = this.conflictRules.get(lockType2);
-        return conflictingTypes && (conflictingTypes.includes(lockType1) || conflictingTypes.includes('*'));
-    }
-    
     /**
      * Check if a specific operation is locked
      */
@@ -896,21 +1843,63 @@ class EventHandler {
         return false;
     }
     
+    /**
+     * Release every lock held by a handler, e.g. one that stopped heartbeating
+     * Also clears lock_registry records granted by that handler when it was an
+     * Event Handler itself, since nobody else would ever release them
+     * Returns the released lock keys
+     */
+    async releaseLocksHeldBy(handlerName, reason = 'handler_lost') {
+        const released = [];
+        
+        for (const [lockKey, lockInfo] of Array.from(this.activeLocks)) {
+            if (lockInfo.source !== handlerName) continue;
+            if (await this.revokeLock(lockInfo.lockType, lockInfo.operationId, reason)) {
+                released.push(lockKey);
+            }
+        }
+        
+        for (const [lockKey, record] of Object.entries(this.changeLog.getRecordedLocks())) {
+            if (this.activeLocks.has(lockKey) || record.granted_by !== handlerName) continue;
+            
+            await this.changeLog.recordLock(lockKey, null);
+            
+            // The flag stays set while this or another Event Handler still holds a lock of this type
+            const stillLocked = this.isLocked(record.lock_type) ||
+                Object.values(this.changeLog.getRecordedLocks()).some(other => other.lock_type === record.lock_type);
+            await this.changeLog.updateContext(
+                `current_context_meta.interaction_locks.${record.lock_type}`,
+                stillLocked,
+                'lock_released',
+                {
+                    operation_id: record.operation_id,
+                    reason,
+                    duration: Date.now() - record.acquired_at,
+                    timestamp: Date.now()
+                }
+            );
+            console.log(`EventHandler: Orphaned lock released - ${lockKey} (${reason})`);
+            released.push(lockKey);
+        }
+        
+        return released;
+    }
+    
     /**
      * Emergency release all locks
      */
     async releaseAllLocks(reason = 'emergency') {
         console.log(`EventHandler: Emergency release of all locks - ${reason}`);
         
-        const lockKeys = Array.from(this.activeLocks.keys());
+        // Clear queue first, so releasing does not grant waiting requests
+        this.lockQueue.forEach(queuedLock => clearTimeout(queuedLock.timer));
+        this.lockQueue = [];
         
-        for (const lockKey of lockKeys) {
-            const [lockType, operationId] = lockKey.split('_', 2);
-            await this.releaseLock(lockType, operationId, reason);
-        }
+        const locks = Array.from(this.activeLocks.values());
         
-        // Clear queue
-        this.lockQueue = [];
+        for (const { lockType, operationId } of locks) {
+            await this.revokeLock(lockType, operationId, reason);
+        }
         
         // Clear all timeouts
         this.lockTimeouts.forEach(timeout => clearTimeout(timeout));
@@ -928,6 +1917,81 @@ class EventHandler {
     }
 }
 
+/**
+ * Lock mode compatibility: shared (S), exclusive (X) and the intention modes (IS, IX)
+ * ancestors of a locked component receive
+ */
+EventHandler.LOCK_MODE_COMPATIBILITY = {
+    IS: ['IS', 'IX', 'shared'],
+    IX: ['IS', 'IX'],
+    shared: ['IS', 'shared'],
+    exclusive: []
+};
+
+/**
+ * Lock Rules module: window.LockRules in the browser, required alongside this file in Node
+ */
+EventHandler.resolveLockRules = function() {
+    if (typeof window !== 'undefined' && window.LockRules) {
+        return window.LockRules;
+    }
+    
+    if (typeof require !== 'undefined') {
+        try {
+            return require('./Lock Rules.js');
+        } catch (error) {
+            console.warn('EventHandler: Lock Rules.js not available:', error.message);
+        }
+    }
+    
+    return null;
+};
+
+/**
+ * Trigger Grammar module: window.TriggerGrammar in the browser, required alongside this file in Node
+ */
+EventHandler.resolveTriggerGrammar = function() {
+    if (typeof window !== 'undefined' && window.TriggerGrammar) {
+        return window.TriggerGrammar;
+    }
+    
+    if (typeof require !== 'undefined') {
+        return require('./Trigger Grammar.js');
+    }
+    
+    throw new Error('EventHandler: Trigger Grammar.js must be loaded to register function triggers');
+};
+
+EventHandler.resolveParameterContracts = function() {
+    if (typeof window !== 'undefined' && window.ParameterContracts) {
+        return window.ParameterContracts;
+    }
+    
+    if (typeof require !== 'undefined') {
+        return require('./Parameter Contracts.js');
+    }
+    
+    throw new Error('EventHandler: Parameter Contracts.js must be loaded to execute behavior functions');
+};
+
+EventHandler.DISPATCH_POLICIES = ['first', 'priority', 'broadcast'];
+
+// Named schema priorities; numbers are used as they are
+EventHandler.SCHEMA_PRIORITIES = {
+    critical: 1000,
+    high: 100,
+    normal: 50,
+    low: 10
+};
+
+EventHandler.modesCompatible = function(mode1, mode2) {
+    return EventHandler.LOCK_MODE_COMPATIBILITY[mode1].includes(mode2);
+};
+
+EventHandler.intentionFor = function(mode) {
+    return mode === 'shared' ? 'IS' : 'IX';
+};
+
 // Export for use
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = EventHandler;
@@ -802,6 +802,13 @@ class GraphicsHandler {
             if (containerInstance && containerInstance.resizeableBehavior) {
                 console.log(`✅ Found ResizeableBehavior for ${containerId}`);
                 
+                // Same schema gate (design mode, handle inside this container) as triggers dispatched by the Event Handler
+                const gate = this.eventHandler.checkFunctionGate(containerInstance.resizeableBehavior, 'startResize', e);
+                if (!gate.allowed) {
+                    console.log(`🚫 Resize blocked for ${containerId}: ${gate.reason}`);
+                    return;
+                }
+                
                 // Convert viewport coordinates to parent-relative coordinates
                 const parentContainer = container.closest('.canvas-area') || 
                                       container.closest('#canvas-area') ||
@@ -0,0 +1,77 @@
+/**
+ * Handler Supervisor - Detects handlers that stopped heartbeating
+ * Every registered handler stamps last_heartbeat in changelog.handlers; a handler
+ * silent for longer than the liveness timeout is marked lost, the locks it held
+ * are released through the Event Handler, and a handler_lost entry is logged
+ */
+
+class HandlerSupervisor {
+    constructor(changeLogManager, eventHandler, options = {}) {
+        this.changeLog = changeLogManager;
+        this.eventHandler = eventHandler;
+
+        this.livenessTimeout = options.livenessTimeout || 15000; // ms without a heartbeat
+        this.checkInterval = options.checkInterval || 5000; // ms between checks
+        this.checkTimer = null;
+    }
+
+    /**
+     * Start periodic liveness checks
+     */
+    start() {
+        if (this.checkTimer) return;
+
+        this.checkTimer = setInterval(() => {
+            this.checkLiveness().catch(error => console.error('HandlerSupervisor: liveness check failed:', error));
+        }, this.checkInterval);
+
+        if (this.checkTimer.unref) this.checkTimer.unref();
+        console.log(`HandlerSupervisor started (timeout ${this.livenessTimeout}ms)`);
+    }
+
+    /**
+     * Stop periodic liveness checks
+     */
+    stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+    }
+
+    /**
+     * Find and clean up after lost handlers; returns their names
+     */
+    async checkLiveness() {
+        const lost = await this.changeLog.markLostHandlers(this.livenessTimeout);
+
+        for (const record of lost) {
+            await this.handleLostHandler(record);
+        }
+
+        return lost.map(record => record.handler);
+    }
+
+    /**
+     * Release a lost handler's locks and log handler_lost
+     */
+    async handleLostHandler(record) {
+        const releasedLocks = await this.eventHandler.releaseLocksHeldBy(record.handler, 'handler_lost');
+
+        await this.changeLog.logChange('handler_lost', `handlers.${record.handler}`, 'alive', 'lost', 'liveness', {
+            last_heartbeat: record.last_heartbeat,
+            lost_at: record.lost_at,
+            liveness_timeout: this.livenessTimeout,
+            released_locks: releasedLocks
+        });
+
+        console.warn(`HandlerSupervisor: ${record.handler} lost (no heartbeat for ${record.lost_at - record.last_heartbeat}ms), released ${releasedLocks.length} lock(s)`);
+    }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HandlerSupervisor;
+} else if (typeof window !== 'undefined') {
+    window.HandlerSupervisor = HandlerSupervisor;
+}
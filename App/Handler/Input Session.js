@@ -0,0 +1,333 @@
+/**
+ * Input Session - Record and replay the raw input stream through the IO Handler
+ * InputRecorder listens to the same document/window events the IO Handler does
+ * and writes them, with their timings, into a JSON trace. InputPlayer feeds a
+ * trace back through a fresh IO Handler's own event handlers on a virtual clock
+ * and frame schedule, so the same trace always produces the same context writes,
+ * then checks the trace's expectations on the context and the graphics requests.
+ *
+ * Trace format:
+ *   { format: 'io-input-trace', version: 1, frame_interval: 16, viewport: {...},
+ *     events: [{ t, target: 'document' | 'window', type, data }],
+ *     expect: { context: { path: value }, graphics_requests: [{ type, componentId, ... }] } }
+ */
+
+const INPUT_TRACE_FORMAT = 'io-input-trace';
+const INPUT_TRACE_VERSION = 1;
+
+// Event fields the IO Handler reads; everything else is left out of the trace
+const RECORDED_EVENT_FIELDS = [
+    'clientX', 'clientY', 'offsetX', 'offsetY', 'button', 'buttons',
+    'deltaX', 'deltaY', 'deltaZ', 'deltaMode',
+    'key', 'code', 'repeat', 'ctrlKey', 'shiftKey', 'altKey', 'metaKey'
+];
+const RECORDED_TOUCH_FIELDS = ['identifier', 'clientX', 'clientY'];
+
+class InputRecorder {
+    constructor(ioHandler, options = {}) {
+        this.io = ioHandler;
+        this.graphicsHandler = options.graphicsHandler || null; // requests become expectations
+        this.expectPaths = options.expectPaths || []; // context paths captured on stop
+        this.frameInterval = options.frameInterval || 16; // ms
+
+        this.events = [];
+        this.graphicsRequests = [];
+        this.listeners = [];
+        this.startTime = 0;
+        this.restoreGraphics = null;
+        this.isRecording = false;
+    }
+
+    /**
+     * Start capturing every event the IO Handler listens to
+     */
+    start() {
+        if (this.isRecording) return;
+
+        this.events = [];
+        this.graphicsRequests = [];
+        this.startTime = Date.now();
+
+        this.io.eventListeners.forEach((eventMap, element) => {
+            const target = InputSession.targetName(element);
+            if (!target) return;
+
+            eventMap.forEach((handler, type) => {
+                const listener = event => this.capture(target, type, event);
+                element.addEventListener(type, listener);
+                this.listeners.push([element, type, listener]);
+            });
+        });
+
+        if (this.graphicsHandler) {
+            this.restoreGraphics = InputSession.tapGraphicsRequests(this.graphicsHandler, request => {
+                this.graphicsRequests.push(InputSession.describeRequest(request));
+            });
+        }
+
+        this.isRecording = true;
+        console.log(`InputRecorder: recording ${this.listeners.length} event types`);
+    }
+
+    capture(target, type, event) {
+        this.events.push({
+            t: Date.now() - this.startTime,
+            target,
+            type,
+            data: InputSession.serializeEvent(event)
+        });
+    }
+
+    /**
+     * Stop capturing; resolves to the trace once the resulting writes have landed
+     */
+    async stop() {
+        if (!this.isRecording) return null;
+
+        this.listeners.forEach(([element, type, listener]) => element.removeEventListener(type, listener));
+        this.listeners = [];
+        this.isRecording = false;
+
+        // Requests caused by the last recorded events still count
+        await InputSession.settle(this.io);
+        if (this.restoreGraphics) this.restoreGraphics();
+        this.restoreGraphics = null;
+
+        const context = {};
+        this.expectPaths.forEach(path => {
+            context[path] = this.io.changeLog.getValue(path);
+        });
+
+        console.log(`InputRecorder: ${this.events.length} events recorded`);
+        return {
+            format: INPUT_TRACE_FORMAT,
+            version: INPUT_TRACE_VERSION,
+            recorded_at: this.startTime,
+            frame_interval: this.frameInterval,
+            viewport: InputSession.viewport(),
+            events: this.events,
+            expect: {
+                context,
+                graphics_requests: this.graphicsHandler ? this.graphicsRequests : undefined
+            }
+        };
+    }
+}
+
+class InputPlayer {
+    constructor(ioHandler, options = {}) {
+        this.io = ioHandler;
+        this.graphicsHandler = options.graphicsHandler || null; // requests are checked against the trace
+    }
+
+    /**
+     * Feed a trace through the IO Handler and check its expectations
+     * The IO Handler should be fresh: the trace replays input deltas on top of its state.
+     * Resolves to { passed, failures, graphics_requests, events }
+     */
+    async play(trace, expect = trace.expect || {}) {
+        InputSession.validateTrace(trace);
+
+        const frameInterval = trace.frame_interval || 16;
+        // Replayed at the recorded wall time: the IO Handler's first velocity is measured from time 0
+        const baseTime = trace.recorded_at || Date.now();
+        const realNow = Date.now;
+        const frames = [];
+        const pending = [];
+        const graphicsRequests = [];
+
+        // Virtual clock and frames: timings come from the trace, not from how fast we replay
+        let now = baseTime;
+        Date.now = () => now;
+        const coalescer = this.io.input !== this.io.changeLog && 'requestFrame' in this.io.input ? this.io.input : null;
+        const realRequestFrame = coalescer ? coalescer.requestFrame : null;
+        if (coalescer) coalescer.requestFrame = callback => frames.push(callback);
+
+        const restoreGraphics = this.graphicsHandler
+            ? InputSession.tapGraphicsRequests(this.graphicsHandler, request => graphicsRequests.push(InputSession.describeRequest(request)))
+            : null;
+
+        const endFrame = async () => {
+            frames.splice(0).forEach(callback => callback());
+            await Promise.all(pending.splice(0));
+        };
+
+        try {
+            let frame = 0;
+            for (const recorded of trace.events) {
+                while ((frame + 1) * frameInterval <= recorded.t) {
+                    frame++;
+                    now = baseTime + frame * frameInterval;
+                    await endFrame();
+                }
+
+                now = baseTime + recorded.t;
+                const handler = this.handlerFor(recorded);
+                if (handler) pending.push(Promise.resolve(handler(this.createEvent(recorded))));
+            }
+
+            await endFrame();
+            await InputSession.settle(this.io);
+        } finally {
+            Date.now = realNow;
+            if (coalescer) coalescer.requestFrame = realRequestFrame;
+            if (restoreGraphics) restoreGraphics();
+        }
+
+        const failures = this.verify(expect, graphicsRequests);
+        console.log(`InputPlayer: ${trace.events.length} events replayed, ${failures.length} failure(s)`);
+        return { passed: failures.length === 0, failures, graphics_requests: graphicsRequests, events: trace.events.length };
+    }
+
+    handlerFor(recorded) {
+        for (const [element, eventMap] of this.io.eventListeners) {
+            if (InputSession.targetName(element) === recorded.target && eventMap.has(recorded.type)) {
+                return eventMap.get(recorded.type);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Rebuild an event object with the recorded fields
+     */
+    createEvent(recorded) {
+        const data = recorded.data || {};
+        const target = data.target_id && typeof document !== 'undefined' && typeof document.getElementById === 'function'
+            ? document.getElementById(data.target_id) || { id: data.target_id }
+            : { id: data.target_id || null };
+
+        return {
+            ...data,
+            type: recorded.type,
+            target,
+            timeStamp: recorded.t,
+            preventDefault() {},
+            stopPropagation() {}
+        };
+    }
+
+    /**
+     * Compare the replay against the expected context values and graphics requests
+     * Returns a list of failure messages
+     */
+    verify(expect, graphicsRequests) {
+        const failures = [];
+
+        Object.entries(expect.context || {}).forEach(([path, value]) => {
+            const actual = this.io.changeLog.getValue(path);
+            if (JSON.stringify(actual) !== JSON.stringify(value)) {
+                failures.push(`context ${path}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual)}`);
+            }
+        });
+
+        if (expect.graphics_requests) {
+            if (!this.graphicsHandler) {
+                failures.push('graphics requests expected but no graphicsHandler given to the player');
+            } else {
+                if (graphicsRequests.length !== expect.graphics_requests.length) {
+                    failures.push(`graphics requests: expected ${expect.graphics_requests.length}, got ${graphicsRequests.length}`);
+                }
+                expect.graphics_requests.forEach((expected, index) => {
+                    const actual = graphicsRequests[index];
+                    const mismatch = Object.keys(expected).find(key =>
+                        !actual || JSON.stringify(actual[key]) !== JSON.stringify(expected[key]));
+                    if (mismatch) {
+                        failures.push(`graphics request #${index + 1}: expected ${mismatch} ${JSON.stringify(expected[mismatch])}, ` +
+                            `got ${actual ? JSON.stringify(actual[mismatch]) : 'no request'}`);
+                    }
+                });
+            }
+        }
+
+        return failures;
+    }
+}
+
+/**
+ * Helpers shared by the recorder and the player
+ */
+const InputSession = {
+    targetName(element) {
+        if (typeof document !== 'undefined' && element === document) return 'document';
+        if (typeof window !== 'undefined' && element === window) return 'window';
+        return null;
+    },
+
+    serializeEvent(event) {
+        const data = {};
+        RECORDED_EVENT_FIELDS.forEach(field => {
+            if (event[field] !== undefined) data[field] = event[field];
+        });
+
+        ['touches', 'changedTouches'].forEach(list => {
+            if (!event[list]) return;
+            data[list] = Array.from(event[list], touch => {
+                const copy = {};
+                RECORDED_TOUCH_FIELDS.forEach(field => { copy[field] = touch[field]; });
+                return copy;
+            });
+        });
+
+        if (event.target && event.target.id) data.target_id = event.target.id;
+        return data;
+    },
+
+    /**
+     * Wrap executeRequest so every request is reported; returns the undo function
+     */
+    tapGraphicsRequests(graphicsHandler, onRequest) {
+        const hadOwn = Object.prototype.hasOwnProperty.call(graphicsHandler, 'executeRequest');
+        const original = graphicsHandler.executeRequest;
+        graphicsHandler.executeRequest = function(request) {
+            onRequest(request);
+            return original.call(this, request);
+        };
+        return () => {
+            if (hadOwn) graphicsHandler.executeRequest = original;
+            else delete graphicsHandler.executeRequest;
+        };
+    },
+
+    describeRequest(request) {
+        return JSON.parse(JSON.stringify(request || {}));
+    },
+
+    /**
+     * Wait for staged input writes and saves to land
+     */
+    async settle(ioHandler) {
+        if (ioHandler.input !== ioHandler.changeLog && typeof ioHandler.input.flush === 'function') {
+            await ioHandler.input.flush();
+        }
+        await ioHandler.changeLog.flush();
+    },
+
+    viewport() {
+        return typeof window !== 'undefined' && window.innerWidth !== undefined
+            ? { width: window.innerWidth, height: window.innerHeight }
+            : null;
+    },
+
+    validateTrace(trace) {
+        if (!trace || trace.format !== INPUT_TRACE_FORMAT) {
+            throw new Error('InputPlayer: not an input trace');
+        }
+        if (trace.version > INPUT_TRACE_VERSION) {
+            throw new Error(`InputPlayer: trace version ${trace.version} is newer than ${INPUT_TRACE_VERSION}`);
+        }
+        if (!Array.isArray(trace.events)) {
+            throw new Error('InputPlayer: trace has no events');
+        }
+    }
+};
+
+const InputSessions = { InputRecorder, InputPlayer, InputSession };
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InputSessions;
+} else if (typeof window !== 'undefined') {
+    window.InputRecorder = InputRecorder;
+    window.InputPlayer = InputPlayer;
+}
@@ -249,6 +249,9 @@ class InterfaceHandler {
         changes.forEach(change => {
             console.log(`InterfaceHandler received change from ${change.handler}: ${change.action} at ${change.context_path}`);
             
+            // Diagnostic entries (deadlocks, rule set changes, ...) have no context path
+            if (!change.context_path) return;
+            
             // React to input changes
             if (change.context_path.includes('current_mouse_input') || 
                 change.context_path.includes('current_keyboard_input')) {
@@ -0,0 +1,247 @@
+/**
+ * Lock Rules - Lock types, priorities, modes and conflict rules from a JSON config
+ * The config (lock_rules.json by default) declares every lock type with its
+ * priority, optional mode and lease (ms a lock lives without renewal, 0 for
+ * never), and named rule sets of conflict rules. A rule set may extend another
+ * one, overriding its conflicts, priorities, modes or leases per lock type.
+ * Configs are validated on load: a reference to a lock type the config does
+ * not declare is an error, not a silently dead rule.
+ *
+ *   { version: 1,
+ *     lock_types: { drag_lock: { priority: 700, mode: 'exclusive', lease: 5000 }, ... },
+ *     rule_sets: { default: { conflicts: { drag_lock: ['resize_lock'], modal_lock: ['*'] } },
+ *                  preview: { extends: 'default', conflicts: { ... }, priorities: { ... } } } }
+ */
+
+const LOCK_RULES_VERSION = 1;
+const LOCK_MODES = ['shared', 'exclusive'];
+
+// lock_rules.json, inlined so the rules are there before (or without) a fetch in the browser;
+// test_lock_rules.js checks that the two stay the same
+const BUNDLED_LOCK_RULES = {
+    "version": 1,
+    "lock_types": {
+        "global_lock": { "priority": 1000, "lease": 30000 },
+        "modal_lock": { "priority": 900, "lease": 0 },
+        "edit_lock": { "priority": 800, "lease": 60000 },
+        "drag_lock": { "priority": 700, "lease": 5000 },
+        "resize_lock": { "priority": 700, "lease": 5000 },
+        "validation_lock": { "priority": 600, "lease": 10000, "mode": "shared" },
+        "save_lock": { "priority": 500, "lease": 15000 },
+        "animation_lock": { "priority": 400, "lease": 5000 },
+        "async_operation_lock": { "priority": 300, "lease": 30000 },
+        "loading_lock": { "priority": 200, "lease": 30000 },
+        "network_lock": { "priority": 100, "lease": 30000 },
+        "render_lock": { "priority": 50, "lease": 5000 }
+    },
+    "rule_sets": {
+        "default": {
+            "description": "Design mode: conflicts apply within a component's subtree; modal and global locks block everything",
+            "conflicts": {
+                "edit_lock": ["drag_lock", "resize_lock"],
+                "drag_lock": ["edit_lock", "resize_lock"],
+                "resize_lock": ["edit_lock", "drag_lock"],
+                "modal_lock": ["*"],
+                "global_lock": ["*"],
+                "save_lock": ["edit_lock", "validation_lock"],
+                "animation_lock": ["drag_lock", "resize_lock"],
+                "async_operation_lock": ["save_lock"]
+            }
+        },
+        "preview": {
+            "description": "Preview mode: the form is being filled in, so saving also waits for pending requests and validation waits for edits",
+            "extends": "default",
+            "conflicts": {
+                "save_lock": ["edit_lock", "validation_lock", "async_operation_lock", "network_lock", "loading_lock"],
+                "validation_lock": ["edit_lock"]
+            }
+        }
+    }
+};
+
+class LockRulesError extends Error {
+    constructor(message, location) {
+        super(location ? `${location}: ${message}` : message);
+        this.name = 'LockRulesError';
+        this.location = location;
+    }
+}
+
+class LockRules {
+    constructor(config) {
+        LockRules.validate(config);
+        this.config = JSON.parse(JSON.stringify(config));
+    }
+
+    get lockTypes() {
+        return Object.keys(this.config.lock_types);
+    }
+
+    get ruleSetNames() {
+        return Object.keys(this.config.rule_sets);
+    }
+
+    /**
+     * Flatten a rule set and the ones it extends
+     * Returns { name, description, priorities, modes, leases, conflicts: Map(lockType -> [lockType | '*']) }
+     */
+    compile(name = 'default') {
+        const chain = [];
+        for (let current = name; current; current = this.config.rule_sets[current].extends) {
+            if (!this.config.rule_sets[current]) {
+                throw new LockRulesError(`unknown rule set "${current}"`, 'rule_sets');
+            }
+            chain.unshift(this.config.rule_sets[current]);
+        }
+
+        const priorities = {};
+        const modes = {};
+        const leases = {};
+        Object.entries(this.config.lock_types).forEach(([lockType, declaration]) => {
+            priorities[lockType] = declaration.priority;
+            modes[lockType] = declaration.mode || 'exclusive';
+            if (declaration.lease !== undefined) leases[lockType] = declaration.lease;
+        });
+
+        const conflicts = new Map();
+        chain.forEach(ruleSet => {
+            Object.assign(priorities, ruleSet.priorities);
+            Object.assign(modes, ruleSet.modes);
+            Object.assign(leases, ruleSet.leases);
+            Object.entries(ruleSet.conflicts || {}).forEach(([lockType, rules]) => conflicts.set(lockType, rules.slice()));
+        });
+
+        return { name, description: chain[chain.length - 1].description || '', priorities, modes, leases, conflicts };
+    }
+
+    /**
+     * Throw a LockRulesError naming the first problem in a config
+     */
+    static validate(config) {
+        if (!config || typeof config !== 'object') {
+            throw new LockRulesError('config must be an object');
+        }
+        if (config.version !== undefined && config.version > LOCK_RULES_VERSION) {
+            throw new LockRulesError(`version ${config.version} is newer than ${LOCK_RULES_VERSION}`, 'version');
+        }
+
+        const lockTypes = config.lock_types;
+        if (!lockTypes || typeof lockTypes !== 'object' || Object.keys(lockTypes).length === 0) {
+            throw new LockRulesError('at least one lock type must be declared', 'lock_types');
+        }
+        Object.entries(lockTypes).forEach(([lockType, declaration]) => {
+            const location = `lock_types.${lockType}`;
+            if (!declaration || !Number.isFinite(declaration.priority)) {
+                throw new LockRulesError('priority must be a number', location);
+            }
+            LockRules.validateMode(declaration.mode, `${location}.mode`);
+            LockRules.validateLease(declaration.lease, `${location}.lease`);
+        });
+
+        const ruleSets = config.rule_sets;
+        if (!ruleSets || typeof ruleSets !== 'object' || !ruleSets.default) {
+            throw new LockRulesError('a "default" rule set is required', 'rule_sets');
+        }
+
+        const knownType = (lockType, location) => {
+            if (!lockTypes[lockType]) {
+                throw new LockRulesError(`unknown lock type "${lockType}"`, location);
+            }
+        };
+
+        Object.entries(ruleSets).forEach(([name, ruleSet]) => {
+            const location = `rule_sets.${name}`;
+            if (!ruleSet || typeof ruleSet !== 'object') {
+                throw new LockRulesError('rule set must be an object', location);
+            }
+            if (ruleSet.extends !== undefined && !ruleSets[ruleSet.extends]) {
+                throw new LockRulesError(`extends unknown rule set "${ruleSet.extends}"`, `${location}.extends`);
+            }
+
+            Object.entries(ruleSet.conflicts || {}).forEach(([lockType, rules]) => {
+                knownType(lockType, `${location}.conflicts`);
+                if (!Array.isArray(rules)) {
+                    throw new LockRulesError('must be a list of lock types', `${location}.conflicts.${lockType}`);
+                }
+                rules.forEach(rule => rule === '*' || knownType(rule, `${location}.conflicts.${lockType}`));
+            });
+            Object.entries(ruleSet.priorities || {}).forEach(([lockType, priority]) => {
+                knownType(lockType, `${location}.priorities`);
+                if (!Number.isFinite(priority)) {
+                    throw new LockRulesError('priority must be a number', `${location}.priorities.${lockType}`);
+                }
+            });
+            Object.entries(ruleSet.modes || {}).forEach(([lockType, mode]) => {
+                knownType(lockType, `${location}.modes`);
+                LockRules.validateMode(mode, `${location}.modes.${lockType}`);
+            });
+            Object.entries(ruleSet.leases || {}).forEach(([lockType, lease]) => {
+                knownType(lockType, `${location}.leases`);
+                LockRules.validateLease(lease, `${location}.leases.${lockType}`);
+            });
+        });
+
+        // extends chains must end
+        Object.keys(ruleSets).forEach(name => {
+            const seen = new Set();
+            for (let current = name; current; current = ruleSets[current].extends) {
+                if (seen.has(current)) {
+                    throw new LockRulesError(`extends cycle through "${current}"`, `rule_sets.${name}.extends`);
+                }
+                seen.add(current);
+            }
+        });
+    }
+
+    static validateMode(mode, location) {
+        if (mode !== undefined && !LOCK_MODES.includes(mode)) {
+            throw new LockRulesError(`unknown lock mode "${mode}"`, location);
+        }
+    }
+
+    static validateLease(lease, location) {
+        if (lease !== undefined && !(Number.isFinite(lease) && lease >= 0)) {
+            throw new LockRulesError('lease must be a number of ms (0 never expires)', location);
+        }
+    }
+
+    /**
+     * Parse a config: a LockRules instance, a config object, JSON text, or (in Node) a file path
+     */
+    static load(source) {
+        if (source instanceof LockRules) return source;
+        if (typeof source === 'string') {
+            const text = source.trim().startsWith('{') ? source : require('fs').readFileSync(source, 'utf8');
+            return new LockRules(JSON.parse(text));
+        }
+        return new LockRules(source);
+    }
+
+    /**
+     * Fetch and parse a config in the browser
+     */
+    static async fetch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new LockRulesError(`could not load ${url} (${response.status})`);
+        }
+        return new LockRules(await response.json());
+    }
+
+    /**
+     * The bundled rules (the contents of lock_rules.json), available without reading a file
+     */
+    static defaults() {
+        return new LockRules(BUNDLED_LOCK_RULES);
+    }
+}
+
+LockRules.LockRulesError = LockRulesError;
+LockRules.VERSION = LOCK_RULES_VERSION;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LockRules;
+} else if (typeof window !== 'undefined') {
+    window.LockRules = LockRules;
+}
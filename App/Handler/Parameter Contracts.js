@@ -0,0 +1,189 @@
+/**
+ * Parameter Contracts - Validators compiled from the parameters of behavior schemas
+ * Each schema parameter is either a contract or a plain default value:
+ *
+ *   "required", "optional"             must be present / may be left out, any type
+ *   "coordinates", "componentId"       a type hint: checked when present
+ *   "required coordinates"             presence and type together
+ *   "optional number 0..1"             number ranges: 'min..max', 'min..' or '..max'
+ *   { "required": true, "type": "integer", "min": 1, "default": 1 }
+ *   true, 300, "ease-in-out"           anything else is a default, passed through as before
+ *
+ * Types: coordinates ({ x, y } numbers), componentId (non-empty string), string,
+ * number, integer, boolean, object, array, function, DOM_element, DOM_event.
+ * A spec that starts with "required" or "optional" but names no known type is a
+ * ParameterContractError, so a typo like "required nubmer" fails when the
+ * behavior is registered instead of never matching.
+ */
+
+const PARAMETER_TYPES = {
+    coordinates: value => isObject(value) && Number.isFinite(value.x) && Number.isFinite(value.y),
+    componentId: value => typeof value === 'string' && value.length > 0,
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    object: value => isObject(value),
+    array: value => Array.isArray(value),
+    function: value => typeof value === 'function',
+    DOM_element: value => isObject(value) && (value.nodeType === 1 || typeof value.tagName === 'string'),
+    DOM_event: value => isObject(value) && typeof value.type === 'string'
+};
+
+const RANGED_TYPES = ['number', 'integer'];
+const PRESENCE = ['required', 'optional'];
+const RANGE_PATTERN = /^(-?\d+(?:\.\d+)?)?\.\.(-?\d+(?:\.\d+)?)?$/;
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class ParameterContractError extends Error {
+    constructor(message, location, violations = []) {
+        super(location ? `${location}: ${message}` : message);
+        this.name = 'ParameterContractError';
+        this.location = location;
+        this.violations = violations;
+    }
+}
+
+class ParameterContracts {
+    /**
+     * Compile a schema's parameters object
+     * Returns { parameters: [{ name, required, type, min, max, default }], defaults: { name: value } }
+     */
+    static compile(parameters = {}, location = 'parameters') {
+        const contract = { parameters: [], defaults: {} };
+
+        Object.entries(parameters || {}).forEach(([name, spec]) => {
+            const parameter = ParameterContracts.parseSpec(spec, `${location}.${name}`);
+            if (parameter) {
+                contract.parameters.push({ name, ...parameter });
+            } else {
+                contract.defaults[name] = spec;
+            }
+        });
+
+        return contract;
+    }
+
+    /**
+     * Parse one parameter spec; null when the spec is a plain default value
+     */
+    static parseSpec(spec, location) {
+        if (isObject(spec) && ('required' in spec || 'type' in spec)) {
+            return ParameterContracts.checkRange({
+                required: spec.required === true,
+                type: spec.type || null,
+                min: spec.min !== undefined ? spec.min : null,
+                max: spec.max !== undefined ? spec.max : null,
+                default: spec.default
+            }, location);
+        }
+        if (typeof spec !== 'string') return null;
+
+        const words = spec.trim().split(/\s+/);
+        const presence = PRESENCE.includes(words[0]) ? words.shift() : null;
+        if (!presence && !PARAMETER_TYPES[words[0]]) return null;
+
+        const [type = null, range, ...extra] = words;
+        if (type !== null && !PARAMETER_TYPES[type]) {
+            throw new ParameterContractError(`unknown parameter type "${type}"`, location);
+        }
+        if (extra.length > 0) {
+            throw new ParameterContractError(`unexpected "${extra[0]}" in "${spec}"`, location);
+        }
+
+        const parameter = { required: presence === 'required', type, min: null, max: null, default: undefined };
+        if (range !== undefined) {
+            const bounds = range.match(RANGE_PATTERN);
+            if (!bounds || (bounds[1] === undefined && bounds[2] === undefined)) {
+                throw new ParameterContractError(`malformed range "${range}" (use min..max, min.. or ..max)`, location);
+            }
+            parameter.min = bounds[1] !== undefined ? Number(bounds[1]) : null;
+            parameter.max = bounds[2] !== undefined ? Number(bounds[2]) : null;
+        }
+        return ParameterContracts.checkRange(parameter, location);
+    }
+
+    static checkRange(parameter, location) {
+        if (parameter.type !== null && !PARAMETER_TYPES[parameter.type]) {
+            throw new ParameterContractError(`unknown parameter type "${parameter.type}"`, location);
+        }
+        const ranged = parameter.min !== null || parameter.max !== null;
+        if (ranged && !RANGED_TYPES.includes(parameter.type)) {
+            throw new ParameterContractError('only number and integer parameters take a range', location);
+        }
+        if (ranged && parameter.min !== null && parameter.max !== null && parameter.min > parameter.max) {
+            throw new ParameterContractError(`range ${parameter.min}..${parameter.max} is empty`, location);
+        }
+        return parameter;
+    }
+
+    /**
+     * Check call values against a compiled contract
+     * Returns [{ parameter, reason: 'missing' | 'type' | 'range', message }]; empty when they satisfy it
+     */
+    static validate(contract, values = {}) {
+        const violations = [];
+
+        contract.parameters.forEach(parameter => {
+            const value = values[parameter.name];
+            if (value === undefined || value === null) {
+                if (parameter.required) {
+                    violations.push({ parameter: parameter.name, reason: 'missing', message: `missing required parameter "${parameter.name}"` });
+                }
+                return;
+            }
+
+            if (parameter.type && !PARAMETER_TYPES[parameter.type](value)) {
+                violations.push({
+                    parameter: parameter.name,
+                    reason: 'type',
+                    message: `"${parameter.name}" must be ${parameter.type}, got ${ParameterContracts.typeOf(value)}`
+                });
+            } else if ((parameter.min !== null && value < parameter.min) || (parameter.max !== null && value > parameter.max)) {
+                violations.push({
+                    parameter: parameter.name,
+                    reason: 'range',
+                    message: `"${parameter.name}" must be in ${ParameterContracts.rangeText(parameter)}, got ${value}`
+                });
+            }
+        });
+
+        return violations;
+    }
+
+    /**
+     * One line per parameter, e.g. 'position: required coordinates', 'opacity: optional number 0..1'
+     */
+    static describe(contract) {
+        return contract.parameters.map(parameter => {
+            const parts = [parameter.required ? 'required' : 'optional'];
+            if (parameter.type) parts.push(parameter.type);
+            if (parameter.min !== null || parameter.max !== null) parts.push(ParameterContracts.rangeText(parameter));
+            if (parameter.default !== undefined) parts.push(`= ${JSON.stringify(parameter.default)}`);
+            return `${parameter.name}: ${parts.join(' ')}`;
+        });
+    }
+
+    static rangeText(parameter) {
+        return `${parameter.min !== null ? parameter.min : ''}..${parameter.max !== null ? parameter.max : ''}`;
+    }
+
+    static typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (Number.isNaN(value)) return 'NaN';
+        return typeof value;
+    }
+}
+
+ParameterContracts.ParameterContractError = ParameterContractError;
+ParameterContracts.TYPES = Object.keys(PARAMETER_TYPES);
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterContracts;
+} else if (typeof window !== 'undefined') {
+    window.ParameterContracts = ParameterContracts;
+}
@@ -0,0 +1,291 @@
+/**
+ * Trigger Grammar - Parses behavior schema triggers into something the Event Handler can match
+ * A trigger is one or more steps separated by spaces; a step is a chord of
+ * modifiers joined to one key, mouse action or named event with '+':
+ *
+ *   'Ctrl+S', 'Ctrl+Shift+Z'          modifier chords
+ *   'g g', 'Ctrl+K Ctrl+C'            key sequences, each key within the sequence timeout of the last
+ *   'keydown_Escape', 'keyup_Enter'   a key on one phase (keydown by default)
+ *   'Shift+mousedown', 'right_click'  mouse actions with the modifiers held
+ *   'mousedown_resize_handle',
+ *   'click:panel-toggle',
+ *   'right_click+delete'              element-qualified: the action on that element
+ *   'init', 'panel-state-change'      named events, fired by name
+ *
+ * Keys are single characters or named keys (Escape, Enter, ArrowUp, F5, ...);
+ * capitalised words that are neither keys nor modifiers are unknown tokens and
+ * fail to parse, so a typo like 'Ctlr+S' is a TriggerSyntaxError instead of a
+ * trigger that never fires.
+ */
+
+const MODIFIER_ALIASES = {
+    ctrl: 'ctrl', control: 'ctrl',
+    shift: 'shift',
+    alt: 'alt', option: 'alt',
+    meta: 'meta', cmd: 'meta', command: 'meta'
+};
+
+const KEY_ALIASES = {
+    Esc: 'Escape', Return: 'Enter', Space: ' ', Spacebar: ' ', Plus: '+',
+    Del: 'Delete', Ins: 'Insert', Up: 'ArrowUp', Down: 'ArrowDown', Left: 'ArrowLeft', Right: 'ArrowRight'
+};
+
+const NAMED_KEYS = [
+    'Escape', 'Enter', 'Tab', 'Backspace', 'Delete', 'Insert', 'Home', 'End', 'PageUp', 'PageDown',
+    'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'CapsLock', 'ContextMenu',
+    'Control', 'Shift', 'Alt', 'Meta',
+    'F1', 'F2', 'F3', 'F4', 'F5', 'F6', 'F7', 'F8', 'F9', 'F10', 'F11', 'F12'
+];
+
+const MODIFIER_KEYS = { Control: 'ctrl', Shift: 'shift', Alt: 'alt', Meta: 'meta' };
+
+const MOUSE_ACTIONS = [
+    'mousedown', 'mouseup', 'mousemove', 'click', 'dblclick', 'contextmenu', 'right_click', 'middle_click',
+    'wheel', 'mouseover', 'mouseout', 'mouseenter', 'mouseleave', 'touchstart', 'touchmove', 'touchend', 'touchcancel'
+];
+
+// Longest first, so 'mousedown_x' is not read as 'mouse' + ...
+const MOUSE_PREFIX = new RegExp(`^(${MOUSE_ACTIONS.slice().sort((a, b) => b.length - a.length).join('|')})(?:[_:]([\\w-]+))?$`);
+const KEY_PHASE = /^(keydown|keyup)_(.+)$/;
+const NAMED_EVENT = /^([a-z][a-z0-9_-]*)(?::([\w-]+))?$/;
+const QUALIFIER = /^[a-z][\w-]+$/;
+
+class TriggerSyntaxError extends Error {
+    constructor(message, pattern) {
+        super(`${message} in trigger "${pattern}"`);
+        this.name = 'TriggerSyntaxError';
+        this.pattern = pattern;
+    }
+}
+
+class TriggerGrammar {
+    /**
+     * Parse a trigger pattern
+     * Returns { source, kind: 'key' | 'sequence' | 'mouse' | 'event', steps: [step] } where a step is
+     * { type: 'key' | 'mouse' | 'event', key | name, phase, element, modifiers: { ctrl, shift, alt, meta } }
+     */
+    static parse(pattern) {
+        if (typeof pattern !== 'string' || pattern.trim() === '') {
+            throw new TriggerSyntaxError('empty trigger', pattern);
+        }
+
+        const steps = pattern.trim().split(/\s+/).map(chord => TriggerGrammar.parseChord(chord, pattern));
+        if (steps.length > 1 && steps.some(step => step.type !== 'key')) {
+            throw new TriggerSyntaxError('only keys can form a sequence', pattern);
+        }
+
+        const kind = steps.length > 1 ? 'sequence' : steps[0].type;
+        return { source: pattern, kind, steps };
+    }
+
+    /**
+     * Parse 'Ctrl+Shift+S', 'Shift+mousedown', 'Space+panel' into one step
+     */
+    static parseChord(chord, pattern) {
+        const tokens = chord.split('+');
+        if (tokens.some(token => token === '')) {
+            throw new TriggerSyntaxError(`empty token in "${chord}" (use Plus for the + key)`, pattern);
+        }
+
+        const modifiers = { ctrl: false, shift: false, alt: false, meta: false };
+        let step = null;
+        tokens.forEach((token, index) => {
+            const modifier = MODIFIER_ALIASES[token.toLowerCase()];
+            const isLast = index === tokens.length - 1;
+
+            // A lone modifier ('Shift') or one at the end of a chord ('Ctrl+Shift') is the key itself
+            if (modifier && !step && !isLast) {
+                modifiers[modifier] = true;
+                return;
+            }
+            if (modifier && step) {
+                throw new TriggerSyntaxError(`modifier "${token}" must come before the key`, pattern);
+            }
+
+            if (step) {
+                // A lowercase word after the key or action names the element it happens on
+                if (!QUALIFIER.test(token) || step.element) {
+                    throw new TriggerSyntaxError(`unexpected "${token}" after "${tokens[index - 1]}"`, pattern);
+                }
+                step.element = token;
+                return;
+            }
+
+            step = TriggerGrammar.parseToken(modifier ? TriggerGrammar.modifierKeyName(modifier) : token, pattern);
+        });
+
+        step.modifiers = modifiers;
+        if (step.type === 'key' && MODIFIER_KEYS[step.key]) {
+            step.modifiers[MODIFIER_KEYS[step.key]] = true;
+        }
+        return step;
+    }
+
+    static parseToken(token, pattern) {
+        const phased = KEY_PHASE.exec(token);
+        if (phased) {
+            const key = TriggerGrammar.keyName(phased[2]);
+            if (key === null) {
+                throw new TriggerSyntaxError(`unknown key "${phased[2]}"`, pattern);
+            }
+            return { type: 'key', key, phase: phased[1], element: null };
+        }
+
+        const key = TriggerGrammar.keyName(token);
+        if (key !== null) {
+            return { type: 'key', key, phase: 'keydown', element: null };
+        }
+
+        const mouse = MOUSE_PREFIX.exec(token);
+        if (mouse) {
+            return { type: 'mouse', name: mouse[1], element: mouse[2] || null };
+        }
+
+        const named = NAMED_EVENT.exec(token);
+        if (named) {
+            return { type: 'event', name: named[1], element: named[2] || null };
+        }
+
+        throw new TriggerSyntaxError(`unknown token "${token}"`, pattern);
+    }
+
+    /**
+     * KeyboardEvent.key for a key token, or null when it is not a key
+     */
+    static keyName(token) {
+        if (KEY_ALIASES[token]) return KEY_ALIASES[token];
+        if (NAMED_KEYS.includes(token)) return token;
+        if ([...token].length === 1 && token.trim() !== '') return token;
+        return null;
+    }
+
+    static modifierKeyName(modifier) {
+        return Object.keys(MODIFIER_KEYS).find(key => MODIFIER_KEYS[key] === modifier);
+    }
+
+    /**
+     * Whether a key step matches one last_key_sequence entry ({ key, modifiers })
+     * Letters match either case; shift is not required for characters that need it ('?')
+     */
+    static keyMatches(step, entry) {
+        const single = [...step.key].length === 1;
+        const letter = single && step.key.toLowerCase() !== step.key.toUpperCase();
+        const sameKey = letter ? step.key.toLowerCase() === String(entry.key).toLowerCase() : step.key === entry.key;
+        if (!sameKey) return false;
+
+        const held = entry.modifiers || {};
+        return ['ctrl', 'alt', 'meta', 'shift'].every(modifier => {
+            if (modifier === 'shift' && single && !letter && !step.modifiers.shift) return true;
+            return Boolean(held[modifier]) === step.modifiers[modifier];
+        });
+    }
+
+    /**
+     * Match a key trigger against the tail of the IO Handler's last_key_sequence
+     * Modifier keydowns between the steps are skipped; consecutive steps must be at most
+     * `timeout` ms apart and, when `after` is given, the first step must come later than it.
+     * Returns the matched entries or null.
+     */
+    static matchSequence(trigger, sequence, { timeout = 1000, after = 0 } = {}) {
+        if (trigger.kind !== 'key' && trigger.kind !== 'sequence') return null;
+
+        const lastStep = trigger.steps[trigger.steps.length - 1];
+        const entries = (sequence || []).filter(entry =>
+            !MODIFIER_KEYS[entry.key] || entry === sequence[sequence.length - 1] || MODIFIER_KEYS[lastStep.key]);
+        if (entries.length < trigger.steps.length) return null;
+
+        const tail = entries.slice(entries.length - trigger.steps.length);
+        for (let i = 0; i < tail.length; i++) {
+            if (!TriggerGrammar.keyMatches(trigger.steps[i], tail[i])) return null;
+            if (i > 0 && tail[i].timestamp - tail[i - 1].timestamp > timeout) return null;
+        }
+        if (trigger.steps.length > 1 && tail[0].timestamp <= after) return null;
+        return tail;
+    }
+
+    /**
+     * Match a single-step trigger against a fired trigger ('mousedown', 'click:panel-toggle',
+     * 'keydown_Escape', 'init') and its DOM event
+     */
+    static matchEvent(trigger, fired, event = null) {
+        if (trigger.kind === 'sequence') return false;
+
+        const step = trigger.steps[0];
+        const held = TriggerGrammar.heldModifiers(fired, event);
+
+        if (step.type === 'key') {
+            const key = fired.type === 'key' ? fired.key : event && event.key;
+            if (key === undefined || key === null) return false;
+            const phase = fired.type === 'key' ? fired.phase : (event && event.type) || fired.name;
+            if (step.phase === 'keyup' ? phase !== 'keyup' : phase === 'keyup') return false;
+            return TriggerGrammar.keyMatches(step, { key, modifiers: held }) && TriggerGrammar.elementMatches(step, fired, event);
+        }
+
+        if (step.type !== fired.type || !TriggerGrammar.actionMatches(step.name, fired.name, event)) return false;
+
+        // Mouse actions and named events fire with extra modifiers held; the named ones are required
+        return Object.keys(step.modifiers).every(modifier => !step.modifiers[modifier] || held[modifier]) &&
+            TriggerGrammar.elementMatches(step, fired, event);
+    }
+
+    static actionMatches(wanted, fired, event) {
+        if (wanted === fired) return true;
+        const button = event && event.button;
+        if (wanted === 'right_click' || wanted === 'contextmenu') {
+            return fired === 'right_click' || fired === 'contextmenu' || (['mousedown', 'mouseup', 'click'].includes(fired) && button === 2);
+        }
+        if (wanted === 'middle_click') {
+            return ['mousedown', 'mouseup', 'click'].includes(fired) && button === 1;
+        }
+        return false;
+    }
+
+    /**
+     * An element qualifier matches the fired trigger's qualifier or the event target's id or classes
+     * ('resize_handle' matches 'resize-handle')
+     */
+    static elementMatches(step, fired, event) {
+        if (!step.element) return true;
+
+        const normalize = name => String(name).replace(/-/g, '_');
+        const wanted = normalize(step.element);
+        if (fired.element && normalize(fired.element) === wanted) return true;
+
+        const target = event && event.target;
+        if (!target) return false;
+        const classes = target.classList ? Array.from(target.classList) : String(target.className || '').split(/\s+/);
+        return normalize(target.id || '') === wanted || classes.some(name => normalize(name) === wanted);
+    }
+
+    static heldModifiers(fired, event) {
+        const held = { ...(fired.modifiers || {}) };
+        if (event) {
+            const fromEvent = event.modifiers || { ctrl: event.ctrlKey, shift: event.shiftKey, alt: event.altKey, meta: event.metaKey };
+            Object.keys(fromEvent).forEach(modifier => { held[modifier] = held[modifier] || Boolean(fromEvent[modifier]); });
+        }
+        return held;
+    }
+
+    /**
+     * Describe a fired trigger key as a step; keys that do not parse are named events
+     */
+    static describe(triggerKey) {
+        try {
+            const trigger = TriggerGrammar.parse(triggerKey);
+            if (trigger.kind !== 'sequence') return trigger.steps[0];
+        } catch (error) {
+            if (!(error instanceof TriggerSyntaxError)) throw error;
+        }
+        return { type: 'event', name: triggerKey, element: null, modifiers: {} };
+    }
+}
+
+TriggerGrammar.TriggerSyntaxError = TriggerSyntaxError;
+TriggerGrammar.MOUSE_ACTIONS = MOUSE_ACTIONS;
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TriggerGrammar;
+} else if (typeof window !== 'undefined') {
+    window.TriggerGrammar = TriggerGrammar;
+}
@@ -0,0 +1,422 @@
+#!/usr/bin/env node
+/**
+ * ChangeLog CLI - Inspect and replay a changelog.json offline
+ * Reads the changelog (plus context and snapshot next to it) through
+ * ChangeLogManager and never writes to them.
+ *
+ *   node changelog_cli.js tail   [-n 10] [--no-follow] [filters]
+ *   node changelog_cli.js query  [filters] [--limit N] [--offset N] [--desc]
+ *   node changelog_cli.js stats  [filters]
+ *   node changelog_cli.js replay --to <seq> [--path <context path>]
+ *   node changelog_cli.js diff   <seqA> <seqB>
+ *
+ * Filters: --path <glob> --handler <name> --action <name> --type <change_type>
+ *          --since <time> --until <time> --from <seq> --to <seq>
+ *          (lists are comma separated; times are ms timestamps, ISO dates or 30s/10m/2h ago)
+ * Files:   --file <changelog.json> (default App/Context/changelog.json)
+ *          --context <context.json> (default current_context_meta.json next to it)
+ * Output:  --json for machine-readable output
+ */
+
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+
+const DEFAULT_CHANGELOG = path.join(__dirname, 'App', 'Context', 'changelog.json');
+const LOCK_PREFIX = 'current_context_meta.interaction_locks.';
+const BOOLEAN_FLAGS = ['json', 'desc', 'no-follow', 'help'];
+
+class ChangeLogCLI {
+    constructor() {
+        this.stdout = process.stdout;
+        this.stderr = process.stderr;
+        this.pollTimer = null;
+        this.changeLog = null;
+    }
+
+    /**
+     * Run a command line (without the node/script arguments); resolves to an exit code
+     * Output goes to `stdout`, errors to `stderr` (writable streams, process.stdout/stderr by default).
+     * `tail` without --no-follow keeps running until stop()
+     */
+    async run(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+        this.stdout = stdout;
+        this.stderr = stderr;
+
+        try {
+            return await this.execute(ChangeLogCLI.parseArgs(argv));
+        } catch (error) {
+            this.printError(`❌ ${error.message}`);
+            return 1;
+        }
+    }
+
+    async execute({ command, positional, flags }) {
+        if (!command || flags.help) {
+            if (command || flags.help) {
+                this.print(ChangeLogCLI.usage());
+                return 0;
+            }
+            this.printError(ChangeLogCLI.usage());
+            return 1;
+        }
+
+        const handler = {
+            tail: () => this.tail(flags),
+            query: () => this.query(flags),
+            stats: () => this.stats(flags),
+            replay: () => this.replay(flags),
+            diff: () => this.diff(positional)
+        }[command];
+
+        if (!handler) {
+            this.printError(`Unknown command: ${command}\n\n${ChangeLogCLI.usage()}`);
+            return 1;
+        }
+
+        this.flags = flags;
+        this.changeLog = await this.open(flags);
+
+        try {
+            await handler();
+            return 0;
+        } finally {
+            if (!this.pollTimer) await this.close();
+        }
+    }
+
+    /**
+     * Load the changelog read-only: no handler is registered, so nothing is written back
+     */
+    async open(flags) {
+        const changelogPath = path.resolve(flags.file || DEFAULT_CHANGELOG);
+        const contextPath = path.resolve(flags.context || path.join(path.dirname(changelogPath), 'current_context_meta.json'));
+
+        const changeLog = new ChangeLogManager(changelogPath, contextPath, {
+            bus: new ChangeLogManager.ChangeEventBus(),
+            crossProcessPolling: false,
+            heartbeatInterval: 0
+        });
+        await changeLog.ready;
+        return changeLog;
+    }
+
+    async close() {
+        if (!this.changeLog) return;
+        await this.changeLog.destroy();
+        this.changeLog = null;
+    }
+
+    /**
+     * Print the last entries, then poll the file for new ones
+     */
+    async tail(flags) {
+        const count = flags.n !== undefined ? Number(flags.n) : 10;
+        const criteria = ChangeLogCLI.criteria(flags);
+        const recent = this.changeLog.query({ ...criteria, order: 'desc', limit: count }).entries.reverse();
+        recent.forEach(entry => this.printEntry(entry));
+
+        if (flags['no-follow']) return;
+
+        let lastSequence = this.changeLog.changelogCache.changelog.last_sequence_id;
+        const interval = Number(flags.interval) || 250;
+
+        await new Promise(resolve => {
+            this.stopFollowing = resolve;
+            this.pollTimer = setInterval(async () => {
+                await this.changeLog.loadChangelog();
+                const entries = this.changeLog.query({ ...criteria, fromSequence: lastSequence + 1 }).entries;
+                entries.forEach(entry => this.printEntry(entry));
+                lastSequence = Math.max(lastSequence, this.changeLog.changelogCache.changelog.last_sequence_id);
+            }, interval);
+        });
+    }
+
+    /**
+     * Stop following in `tail`
+     */
+    async stop() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+            this.stopFollowing();
+        }
+        await this.close();
+    }
+
+    async query(flags) {
+        const result = this.changeLog.query({
+            ...ChangeLogCLI.criteria(flags),
+            offset: flags.offset !== undefined ? Number(flags.offset) : 0,
+            limit: flags.limit !== undefined ? Number(flags.limit) : undefined,
+            order: flags.desc ? 'desc' : 'asc'
+        });
+
+        if (flags.json) {
+            this.print(JSON.stringify(result, null, 2));
+            return;
+        }
+
+        result.entries.forEach(entry => this.printEntry(entry));
+        const shown = result.entries.length > 0 ? `${result.offset + 1}-${result.offset + result.entries.length}` : '0';
+        this.print(`(${shown} of ${result.total}${result.hasMore ? ', more with --offset' : ''})`);
+    }
+
+    /**
+     * Entry counts per handler and action, and lock hold durations
+     */
+    async stats(flags) {
+        const entries = this.changeLog.query(ChangeLogCLI.criteria(flags)).entries;
+        const stats = {
+            entries: entries.length,
+            first_sequence: entries.length > 0 ? entries[0].sequence_id : null,
+            last_sequence: entries.length > 0 ? entries[entries.length - 1].sequence_id : null,
+            by_handler: ChangeLogCLI.countBy(entries, 'handler'),
+            by_action: ChangeLogCLI.countBy(entries, 'action'),
+            locks: ChangeLogCLI.lockHolds(entries)
+        };
+
+        if (flags.json) {
+            this.print(JSON.stringify(stats, null, 2));
+            return;
+        }
+
+        this.print(`Entries: ${stats.entries}${stats.entries > 0 ? ` (#${stats.first_sequence}-#${stats.last_sequence})` : ''}`);
+        this.print('\nBy handler:');
+        Object.entries(stats.by_handler).forEach(([name, count]) => this.print(`  ${name.padEnd(24)} ${count}`));
+        this.print('\nBy action:');
+        Object.entries(stats.by_action).forEach(([name, count]) => this.print(`  ${name.padEnd(24)} ${count}`));
+        this.print('\nLock holds (ms):');
+        if (Object.keys(stats.locks).length === 0) this.print('  none');
+        Object.entries(stats.locks).forEach(([lockType, lock]) => {
+            this.print(`  ${lockType.padEnd(24)} ${lock.count} held, min ${lock.min_ms} / avg ${lock.avg_ms} / max ${lock.max_ms}` +
+                (lock.still_held > 0 ? `, ${lock.still_held} still held` : ''));
+        });
+    }
+
+    /**
+     * Print the context as reconstructed right after a sequence id
+     */
+    async replay(flags) {
+        if (flags.to === undefined) {
+            throw new Error('replay needs --to <seq>');
+        }
+
+        const target = ChangeLogCLI.sequence(flags.to);
+        const replay = this.changeLog.createReplay();
+        const reached = replay.seek(target);
+
+        let context = replay.getContext();
+        if (flags.path) {
+            context = flags.path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), context);
+        }
+
+        if (!flags.json) {
+            this.print(reached === target ? `Context at #${reached}:` : `Context at #${reached} (requested #${target}, outside the retained log):`);
+        }
+        this.print(JSON.stringify(context === undefined ? null : context, null, 2));
+    }
+
+    /**
+     * Print the context differences between two sequence ids
+     */
+    async diff(positional) {
+        if (positional.length < 2) {
+            throw new Error('diff needs <seqA> <seqB>');
+        }
+
+        const [sequenceA, sequenceB] = positional.map(ChangeLogCLI.sequence);
+        const changes = this.changeLog.diffContext(sequenceA, sequenceB);
+
+        if (this.flags.json) {
+            this.print(JSON.stringify(changes, null, 2));
+            return;
+        }
+
+        this.print(`${changes.length} change(s) from #${sequenceA} to #${sequenceB}`);
+        changes.forEach(change => {
+            this.print(`  ${change.path}: ${ChangeLogCLI.format(change.from)} → ${ChangeLogCLI.format(change.to)}`);
+        });
+    }
+
+    printEntry(entry) {
+        if (this.flags.json) {
+            this.print(JSON.stringify(entry));
+            return;
+        }
+
+        const time = new Date(entry.timestamp).toISOString().slice(11, 23);
+        this.print(`#${entry.sequence_id} ${time} ${entry.handler} ${entry.action}/${entry.change_type} ${entry.context_path}: ` +
+            `${ChangeLogCLI.format(entry.old_value)} → ${ChangeLogCLI.format(entry.new_value)}`);
+    }
+
+    print(text) {
+        this.stdout.write(`${text}\n`);
+    }
+
+    printError(text) {
+        this.stderr.write(`${text}\n`);
+    }
+
+    /**
+     * Split argv into command, positional arguments and --flags
+     */
+    static parseArgs(argv) {
+        const positional = [];
+        const flags = {};
+
+        for (let i = 0; i < argv.length; i++) {
+            const arg = argv[i];
+            if (!arg.startsWith('-')) {
+                positional.push(arg);
+                continue;
+            }
+
+            const name = arg.replace(/^--?/, '');
+            if (BOOLEAN_FLAGS.includes(name)) {
+                flags[name] = true;
+            } else if (i + 1 < argv.length) {
+                flags[name] = argv[++i];
+            } else {
+                throw new Error(`Missing value for ${arg}`);
+            }
+        }
+
+        return { command: positional.shift(), positional, flags };
+    }
+
+    /**
+     * ChangeLogManager.query criteria from the filter flags
+     */
+    static criteria(flags) {
+        const list = value => (value.includes(',') ? value.split(',') : value);
+        const criteria = {};
+
+        if (flags.path) criteria.path = list(flags.path);
+        if (flags.handler) criteria.handler = list(flags.handler);
+        if (flags.action) criteria.action = list(flags.action);
+        if (flags.type) criteria.changeType = list(flags.type);
+        if (flags.since) criteria.since = ChangeLogCLI.time(flags.since);
+        if (flags.until) criteria.until = ChangeLogCLI.time(flags.until);
+        if (flags.from !== undefined) criteria.fromSequence = ChangeLogCLI.sequence(flags.from);
+        if (flags.to !== undefined) criteria.toSequence = ChangeLogCLI.sequence(flags.to);
+
+        return criteria;
+    }
+
+    /**
+     * Timestamp from ms, an ISO date or a relative age like 30s / 10m / 2h / 1d
+     */
+    static time(value) {
+        const relative = /^(\d+)(ms|s|m|h|d)$/.exec(value);
+        if (relative) {
+            const unit = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[relative[2]];
+            return Date.now() - Number(relative[1]) * unit;
+        }
+        if (/^\d+$/.test(value)) return Number(value);
+
+        const parsed = Date.parse(value);
+        if (Number.isNaN(parsed)) {
+            throw new Error(`Invalid time: ${value}`);
+        }
+        return parsed;
+    }
+
+    static sequence(value) {
+        const sequenceId = Number(value);
+        if (!Number.isInteger(sequenceId) || sequenceId < 0) {
+            throw new Error(`Invalid sequence id: ${value}`);
+        }
+        return sequenceId;
+    }
+
+    static countBy(entries, field) {
+        const counts = {};
+        entries.forEach(entry => {
+            const key = entry[field] || 'unknown';
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Pair lock_acquired/lock_released updates on interaction_locks into hold durations per lock type
+     * Pairs by operation_id when the entries carry one, else by lock type alone
+     */
+    static lockHolds(entries) {
+        const open = new Map();
+        const holds = {};
+
+        const statsFor = lockType => holds[lockType] || (holds[lockType] = { count: 0, durations: [], still_held: 0 });
+
+        entries.forEach(entry => {
+            if (entry.action !== 'context_update' || !entry.context_path.startsWith(LOCK_PREFIX)) return;
+
+            const lockType = entry.context_path.slice(LOCK_PREFIX.length);
+            const operationId = entry.metadata && entry.metadata.operation_id;
+            const key = `${lockType}:${operationId || ''}`;
+
+            if (entry.change_type === 'lock_acquired') {
+                open.set(key, entry);
+            } else if (entry.change_type === 'lock_released') {
+                const acquired = open.get(key) || (!operationId ? null : open.get(`${lockType}:`));
+                if (!acquired) return;
+                open.delete(key);
+                statsFor(lockType).durations.push(entry.timestamp - acquired.timestamp);
+            }
+        });
+
+        open.forEach(entry => {
+            statsFor(entry.context_path.slice(LOCK_PREFIX.length)).still_held++;
+        });
+
+        const summary = {};
+        for (const [lockType, { durations, still_held }] of Object.entries(holds)) {
+            const total = durations.reduce((sum, duration) => sum + duration, 0);
+            summary[lockType] = {
+                count: durations.length,
+                min_ms: durations.length > 0 ? Math.min(...durations) : null,
+                avg_ms: durations.length > 0 ? Math.round(total / durations.length) : null,
+                max_ms: durations.length > 0 ? Math.max(...durations) : null,
+                still_held
+            };
+        }
+        return summary;
+    }
+
+    static format(value) {
+        const text = JSON.stringify(value === undefined ? null : value);
+        return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    }
+
+    static usage() {
+        return [
+            'Usage: node changelog_cli.js <command> [options]',
+            '',
+            'Commands:',
+            '  tail [-n 10] [--no-follow]   Print the last entries, then follow new ones',
+            '  query                        List entries matching the filters',
+            '  stats                        Entries per handler/action and lock hold durations',
+            '  replay --to <seq>            Print the context right after a sequence id',
+            '  diff <seqA> <seqB>           Context differences between two sequence ids',
+            '',
+            'Filters: --path <glob> --handler <name> --action <name> --type <change_type>',
+            '         --since <time> --until <time> --from <seq> --to <seq>',
+            'Options: --file <changelog.json> --context <context.json> --json',
+            '         --limit N --offset N --desc (query), --path (replay), --interval ms (tail)'
+        ].join('\n');
+    }
+}
+
+// Run from the command line
+if (require.main === module) {
+    // Keep stdout for command output; ChangeLogManager's own logging goes to stderr
+    console.log = (...args) => console.error(...args);
+
+    const cli = new ChangeLogCLI();
+    process.on('SIGINT', () => cli.stop());
+
+    cli.run(process.argv.slice(2), { stdout: process.stdout, stderr: process.stderr })
+        .then(code => { process.exitCode = code; });
+}
+
+module.exports = ChangeLogCLI;
@@ -14,7 +14,8 @@ class MockContainer {
         this.inputMode = 'design';
         this.isResizeable = true;
         this.element = {
-            getBoundingClientRect: () => ({ width: 100, height: 50, left: 0, top: 0 })
+            getBoundingClientRect: () => ({ width: 100, height: 50, left: 0, top: 0 }),
+            contains: target => target === this.element
         };
     }
     
@@ -48,13 +49,20 @@ try {
     console.log('✅ ResizeableBehavior instance created');
     console.log(`📊 ResizeableBehavior componentId: ${resizeableBehavior.componentId}`);
     
-    // Test _isAllowedInCurrentMode
-    console.log('\n🔍 Testing _isAllowedInCurrentMode()...');
+    // Test the schema gate (requiredMode, contextDependent) the Event Handler applies
+    console.log('\n🔍 Testing checkFunctionGate(startResize)...');
     try {
-        const isAllowed = resizeableBehavior._isAllowedInCurrentMode();
-        console.log(`📊 _isAllowedInCurrentMode() result: ${isAllowed}`);
+        const ChangeLogManager = require('./App/Context/ChangeLog.js');
+        const EventHandler = require('./App/Handler/Event Handler.js');
+        const changeLog = new ChangeLogManager(undefined, undefined, {
+            storage: 'memory', crossProcessPolling: false, heartbeatInterval: 0, snapshotInterval: 0
+        });
+        const eventHandler = new EventHandler(changeLog);
+        const gate = eventHandler.checkFunctionGate(resizeableBehavior, 'startResize', { type: 'mousedown', target: container.element });
+        console.log(`📊 Application mode: ${eventHandler.getApplicationMode()}`);
+        console.log(`📊 checkFunctionGate() result: allowed=${gate.allowed}${gate.reason ? `, reason: ${gate.reason}` : ''}`);
     } catch (error) {
-        console.log(`❌ _isAllowedInCurrentMode() error: ${error.message}`);
+        console.log(`❌ checkFunctionGate() error: ${error.message}`);
     }
     
     // Test showResizeHandles
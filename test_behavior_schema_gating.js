@@ -0,0 +1,118 @@
+/**
+ * Test Behavior Schema Gating
+ * Verifies that the Event Handler applies each behavior schema when a trigger
+ * fires: functions run only in their requiredMode, contextDependent functions
+ * only for the component being interacted with, and matched functions run in
+ * declared priority order.
+ */
+
+const EventHandler = require('./App/Handler/Event Handler.js');
+const MovableBehavior = require('./App/Components/User Level/Base User Container/MovableBehavior.js');
+const ResizeableBehavior = require('./App/Components/User Level/Base User Container/ResizeableBehavior.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const META = 'current_context_meta';
+
+// The interface handler owns the hover and selection context, so it writes them on its own manager
+async function openHandlers() {
+    const [changeLog, interfaceLog] = await openChangeLogs(null, 'interface_handler');
+    return { changeLog, interfaceLog, eventHandler: new EventHandler(changeLog) };
+}
+
+// A component's element: contains itself and its handle
+function element(id) {
+    const node = { id, handle: { id: `${id}_handle` } };
+    node.contains = target => target === node || target === node.handle;
+    return node;
+}
+
+async function testBehaviorSchemaGating() {
+    console.log('🔧 Testing behavior schema gating...\n');
+
+    const { changeLog, interfaceLog, eventHandler } = await openHandlers();
+    changeLog.setValue('application.mode', 'design');
+
+    const calls = [];
+    const behavior = (name, schema, component = null) => {
+        const instance = { component };
+        Object.keys(schema).forEach(functionName => {
+            instance[functionName] = () => calls.push(`${name}.${functionName}`);
+        });
+        eventHandler.registerBehavior(name, { instance, schema });
+        Object.entries(schema).forEach(([functionName, entry]) => entry.triggers && entry.triggers.forEach(trigger =>
+            eventHandler.registerFunctionTrigger(trigger, name, functionName)));
+    };
+    const fire = async (triggerKey, event = {}) => {
+        calls.length = 0;
+        await eventHandler.handleTriggerEvent(triggerKey, event);
+        return calls.join();
+    };
+
+    const box = { containerId: 'box_1', element: element('box_1') };
+    behavior('selectable', { select: { triggers: ['mousedown'], requiredMode: 'any', priority: 'low' } });
+    behavior('movable', { startMove: { triggers: ['Shift+mousedown'], requiredMode: 'design', contextDependent: true, priority: 'high' } }, box);
+    behavior('designer', { pick: { triggers: ['click'], requiredMode: ['design'] } });
+    behavior('tester', { fillIn: { triggers: ['click:field'], requiredMode: 'preview' } });
+    behavior('guard', { veto: { triggers: ['Alt+mousedown'], priority: 500 } });
+    behavior('disabled', { never: { triggers: ['dblclick'], enabled: false } });
+
+    console.log('1️⃣ requiredMode:');
+    check('design-only function runs in design mode', await fire('click') === 'designer.pick');
+    changeLog.setValue('application.mode', 'preview');
+    check('and is skipped in preview mode', await fire('click') === '' && await fire('click:field') === 'tester.fillIn');
+    check('"any" runs in every mode', await fire('mousedown', { shiftKey: true, target: box.element }) === 'selectable.select');
+    changeLog.setValue('application.mode', 'design');
+    check('disabled schema entries never run', await fire('dblclick') === '');
+
+    console.log('\n2️⃣ contextDependent:');
+    check('runs when the event targets the component', await fire('mousedown', { shiftKey: true, target: box.element.handle }) ===
+        'movable.startMove,selectable.select');
+    check('skipped for another component', await fire('mousedown', { shiftKey: true, target: element('box_2') }) === 'selectable.select');
+    await interfaceLog.setValue(`${META}.currently_in_object.component_id`, 'box_1');
+    const hovered = await fire('mousedown', { shiftKey: true });
+    await interfaceLog.setValue(`${META}.currently_in_object.component_id`, null);
+    await interfaceLog.setValue(`${META}.selection_context.selected_components`, ['box_1']);
+    const selected = await fire('mousedown', { shiftKey: true });
+    await interfaceLog.setValue(`${META}.selection_context.selected_components`, []);
+    const elsewhere = await fire('mousedown', { shiftKey: true });
+    check('without a target: hovered or selected component', hovered === 'movable.startMove,selectable.select' &&
+        selected === 'movable.startMove,selectable.select' && elsewhere === 'selectable.select');
+
+    console.log('\n3️⃣ Priority:');
+    check('ordered by declared priority', await fire('mousedown', { shiftKey: true, altKey: true, target: box.element }) ===
+        'guard.veto,movable.startMove,selectable.select');
+    check('named and numeric priorities', eventHandler.getFunctionPriority('movable', 'startMove') === 100 &&
+        eventHandler.getFunctionPriority('guard', 'veto') === 500 && eventHandler.getFunctionPriority('selectable', 'select') === 10);
+    check('undeclared: the behavior\'s registration priority', eventHandler.getFunctionPriority('designer', 'pick') === 10);
+
+    console.log('\n4️⃣ Behaviors and key triggers:');
+    const component = { containerId: 'box_3', element: element('box_3'), isMovable: true, isResizeable: true };
+    const movable = new MovableBehavior(component);
+    const resizeable = new ResizeableBehavior(component);
+    check('behaviors no longer carry their own mode check', movable._isAllowedInCurrentMode === undefined &&
+        resizeable._isAllowedInCurrentMode === undefined);
+    changeLog.setValue('application.mode', 'preview');
+    const previewGate = eventHandler.checkFunctionGate(resizeable, 'startResize', { target: component.element.handle });
+    changeLog.setValue('application.mode', 'design');
+    const designGate = eventHandler.checkFunctionGate(resizeable, 'startResize', { target: component.element.handle });
+    check('direct callers get the same gate from the schema', !previewGate.allowed && /requires design mode/.test(previewGate.reason) &&
+        designGate.allowed && !eventHandler.checkFunctionGate(movable, 'startMove', { target: element('box_9') }).allowed);
+
+    behavior('shortcuts', { save: { triggers: ['Ctrl+S'], requiredMode: 'design' }, jump: { triggers: ['g g'], requiredMode: 'design' } });
+    const keys = (...entries) => entries.map(([key, ctrl, timestamp]) => ({ key, timestamp, modifiers: { ctrl, shift: false, alt: false, meta: false } }));
+    const press = async sequence => {
+        calls.length = 0;
+        await eventHandler.handleKeySequence(sequence);
+        return calls.join();
+    };
+    changeLog.setValue('application.mode', 'preview');
+    const blocked = await press(keys(['s', true, 1000])) + await press(keys(['g', false, 2000], ['g', false, 2100]));
+    changeLog.setValue('application.mode', 'design');
+    check('key triggers gated by mode too', blocked === '' && await press(keys(['s', true, 3000])) === 'shortcuts.save');
+    check('a blocked sequence does not consume its keys', await press(keys(['g', false, 2000], ['g', false, 2100])) === 'shortcuts.jump');
+
+    eventHandler.destroy();
+    await Promise.all([changeLog, interfaceLog].map(log => log.destroy()));
+}
+
+runTest('behavior schema gating', testBehaviorSchemaGating);
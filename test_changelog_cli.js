@@ -0,0 +1,129 @@
+/**
+ * Test ChangeLog CLI
+ * Runs the tail/query/stats/replay/diff commands against a changelog.json in a
+ * temp directory and checks that the tool never writes to it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const ChangeLogCLI = require('./changelog_cli.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-cli-'));
+const changelogPath = path.join(tmpDir, 'changelog.json');
+const contextPath = path.join(tmpDir, 'current_context_meta.json');
+fs.copyFileSync(path.join(__dirname, 'App', 'Context', 'current_context_meta.json'), contextPath);
+
+const dragLock = 'current_context_meta.interaction_locks.drag_lock';
+const dragDelta = 'current_context_meta.current_mouse_input.drag_delta';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function buffer() {
+    let text = '';
+    return {
+        write(chunk) { text += chunk; return true; },
+        toString() { return text; }
+    };
+}
+
+/**
+ * Run one command in-process; resolves to { code, output, errors }
+ */
+async function cli(...args) {
+    const stdout = buffer();
+    const stderr = buffer();
+    const code = await new ChangeLogCLI().run([...args, '--file', changelogPath], { stdout, stderr });
+    return { code, output: stdout.toString(), errors: stderr.toString() };
+}
+
+async function writeHistory(changeLog) {
+    changeLog.registerHandler('event_handler');
+    await changeLog.updateContext(dragLock, true, 'lock_acquired', { operation_id: 'drag_1' });   // 1
+    changeLog.registerHandler('io_handler');
+    await changeLog.updateContext(dragDelta, { x: 10, y: 0 });                                     // 2
+    await changeLog.updateContext(dragDelta, { x: 25, y: 5 });                                     // 3
+    changeLog.registerHandler('event_handler');
+    await changeLog.updateContext(dragLock, false, 'lock_released', { operation_id: 'drag_1' });  // 4
+    await changeLog.updateContext(dragLock, true, 'lock_acquired', { operation_id: 'drag_2' });   // 5
+    await changeLog.flush();
+
+    // Spread the lock holds out so durations are known: drag_1 held 400ms
+    await changeLog.saveChangelog(() => {
+        const entries = changeLog.changelogCache.changelog.entries;
+        const base = entries[0].timestamp - 1000;
+        entries.forEach((entry, index) => { entry.timestamp = base + index * 100; });
+        entries[3].timestamp = entries[0].timestamp + 400;
+    });
+}
+
+async function testChangeLogCLI() {
+    console.log('🔧 Testing changelog CLI...\n');
+    const writer = new ChangeLogManager(changelogPath, contextPath, { crossProcessPolling: false, heartbeatInterval: 0 });
+    await writer.ready;
+    await writeHistory(writer);
+
+    const filesBefore = fs.readdirSync(tmpDir).sort().join();
+
+    console.log('1️⃣ query:');
+    const byHandler = await cli('query', '--handler', 'io_handler');
+    check('filters by handler', byHandler.code === 0 && /#2 .*drag_delta/.test(byHandler.output) && /#3 /.test(byHandler.output) && !/#1 /.test(byHandler.output));
+    check('reports the total', /\(1-2 of 2\)/.test(byHandler.output));
+    const byPath = await cli('query', '--path', '**.drag_lock', '--type', 'lock_acquired', '--json');
+    const parsed = JSON.parse(byPath.output);
+    check('path glob and change type as JSON', parsed.entries.map(entry => entry.sequence_id).join() === '1,5');
+    const paged = await cli('query', '--limit', '2', '--offset', '1', '--desc');
+    check('paging and order', /^#4 [\s\S]*^#3 /m.test(paged.output) && /more with --offset/.test(paged.output));
+
+    console.log('\n2️⃣ stats:');
+    const stats = JSON.parse((await cli('stats', '--json')).output);
+    check('entries per handler', stats.by_handler.event_handler === 3 && stats.by_handler.io_handler === 2);
+    check('entries per action', stats.by_action.context_update === 5);
+    check('lock hold durations', stats.locks.drag_lock && stats.locks.drag_lock.count === 1 && stats.locks.drag_lock.max_ms === 400);
+    check('unreleased lock reported', stats.locks.drag_lock && stats.locks.drag_lock.still_held === 1);
+    check('readable summary', /drag_lock\s+1 held, min 400/.test((await cli('stats')).output));
+
+    console.log('\n3️⃣ replay and diff:');
+    const replay = await cli('replay', '--to', '2', '--path', dragDelta, '--json');
+    check('context reconstructed at a sequence id', JSON.stringify(JSON.parse(replay.output)) === '{"x":10,"y":0}');
+    const lockAt4 = await cli('replay', '--to', '4', '--path', dragLock, '--json');
+    check('lock released at #4', lockAt4.output.trim() === 'false');
+    const diff = await cli('diff', '1', '3');
+    check('diff lists changed paths', /2 change\(s\) from #1 to #3/.test(diff.output) && /drag_delta\.x: 0 → 25/.test(diff.output));
+
+    const missing = await cli('replay');
+    check('replay without --to rejected', missing.code === 1 && /--to/.test(missing.errors) && missing.output === '');
+    const unknown = await cli('bogus');
+    check('unknown command exits non-zero', unknown.code === 1 && /Unknown command: bogus/.test(unknown.errors));
+
+    console.log('\n4️⃣ tail:');
+    const tailOnce = await cli('tail', '-n', '2', '--no-follow');
+    check('last entries', /^#4 [\s\S]*^#5 /m.test(tailOnce.output) && !/#3 /.test(tailOnce.output));
+
+    const child = spawn(process.execPath, [path.join(__dirname, 'changelog_cli.js'), 'tail', '-n', '0', '--interval', '50', '--file', changelogPath], {
+        stdio: ['ignore', 'pipe', 'ignore']
+    });
+    let followed = '';
+    child.stdout.on('data', chunk => { followed += chunk; });
+    await wait(500);
+    writer.registerHandler('io_handler');
+    await writer.updateContext(dragDelta, { x: 30, y: 5 }); // 6, written while tail runs
+    for (let i = 0; i < 40 && !/#6 /.test(followed); i++) await wait(50);
+    child.kill();
+    await new Promise(resolve => child.once('exit', resolve));
+    check('follows new entries', /#6 .*io_handler.*drag_delta/.test(followed) && !/#5 /.test(followed));
+
+    await writer.destroy();
+    const afterWriter = fs.readFileSync(changelogPath, 'utf8');
+
+    await cli('stats');
+    await cli('replay', '--to', '1');
+    check('read-only: changelog untouched by commands', fs.readFileSync(changelogPath, 'utf8') === afterWriter);
+    check('read-only: no files created', fs.readdirSync(tmpDir).sort().join() === filesBefore);
+}
+
+runTest('changelog CLI', testChangeLogCLI)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,99 @@
+/**
+ * Test Changelog Snapshots and Compaction
+ * Verifies that the log stays bounded, that dropped entries are folded into a
+ * snapshot first, and that snapshot + tail rebuilds the live context.
+ */
+
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const clickPath = 'current_context_meta.current_mouse_input.click_count';
+
+async function createLog(storage, options = {}) {
+    const log = new ChangeLogManager(undefined, undefined, { storage, crossProcessPolling: false, ...options });
+    await log.ready;
+    log.registerHandler('io_handler');
+    return log;
+}
+
+async function ageStoredEntries(storage, hours) {
+    await storage.update('changelog', stored => {
+        const data = JSON.parse(stored);
+        data.changelog.entries.forEach(entry => { entry.timestamp -= hours * 60 * 60 * 1000; });
+        return JSON.stringify(data);
+    });
+}
+
+async function testCompaction() {
+    console.log('🔧 Testing changelog snapshots and compaction...\n');
+
+    console.log('1️⃣ Count-based compaction:');
+    const [log] = await openChangeLogs('io_handler');
+    const storage = log.storage;
+    await log.configureChangelog({ max_entries: 5 });
+    for (let i = 1; i <= 14; i++) {
+        await log.setValue(clickPath, i);
+    }
+    const config = log.changelogCache.changelog;
+    check('log bounded by max_entries', config.entries.length === 5);
+    check('tail starts right after the compacted range', config.entries[0].sequence_id === config.compacted_through + 1);
+    check('snapshot covers every dropped entry', log.snapshot && log.snapshot.sequence_id >= config.compacted_through);
+    check('snapshot id recorded in the changelog', config.snapshot_sequence_id === log.snapshot.sequence_id);
+    check('snapshot + tail equals the live context',
+        JSON.stringify(log.restoreContext()) === JSON.stringify(log.contextCache));
+    check('snapshot is behind the head', log.snapshot.sequence_id === 12);
+    check('snapshot + partial tail stops at the requested sequence',
+        log.restoreContext(13).current_context_meta.current_mouse_input.click_count === 13);
+    check('time travel still reaches the start of the tail', log.getContextAt(10).current_context_meta.current_mouse_input.click_count === 10);
+
+    console.log('\n2️⃣ Restore on load:');
+    await storage.remove('context');
+    const restored = await createLog(storage);
+    check('snapshot loaded from storage', restored.snapshot && restored.snapshot.sequence_id === log.snapshot.sequence_id);
+    check('missing context rebuilt from snapshot + tail', restored.getValue(clickPath) === 14);
+    await log.destroy();
+    await restored.destroy();
+
+    console.log('\n3️⃣ Periodic snapshots:');
+    const periodic = await createLog(new MemoryStorageAdapter(), { snapshotInterval: 4 });
+    for (let i = 1; i <= 9; i++) {
+        await periodic.setValue('application.mode', i % 2 ? 'design' : 'preview');
+    }
+    check('snapshot taken every 4 sequences', periodic.snapshot && periodic.snapshot.sequence_id === 8);
+    check('periodic snapshots do not drop entries', periodic.changelogCache.changelog.entries.length === 9);
+    await periodic.destroy();
+
+    console.log('\n4️⃣ Age-based compaction:');
+    const agedStorage = new MemoryStorageAdapter();
+    const aged = await createLog(agedStorage, { snapshotInterval: 0 });
+    await aged.setValue(clickPath, 1);
+    await aged.setValue(clickPath, 2);
+    await ageStoredEntries(agedStorage, 48);
+    await aged.setValue(clickPath, 3);
+    check('expired entries dropped', aged.changelogCache.changelog.entries.map(entry => entry.sequence_id).join() === '3');
+    check('expired entries folded into the snapshot', aged.snapshot && aged.restoreContext(2) !== null);
+
+    await aged.configureChangelog({ auto_cleanup: false });
+    await ageStoredEntries(agedStorage, 48);
+    await aged.setValue(clickPath, 4);
+    check('auto_cleanup: false keeps entries', aged.changelogCache.changelog.entries.length === 2);
+    await aged.destroy();
+
+    console.log('\n5️⃣ Failed snapshot keeps the entries:');
+    const failing = new MemoryStorageAdapter();
+    const originalWrite = failing.write.bind(failing);
+    failing.write = async (key, data) => {
+        if (key === 'snapshot') throw new Error('quota exceeded');
+        return originalWrite(key, data);
+    };
+    const unsafe = await createLog(failing, { snapshotInterval: 0 });
+    await unsafe.configureChangelog({ max_entries: 2 });
+    for (let i = 1; i <= 4; i++) {
+        await unsafe.setValue(clickPath, i);
+    }
+    check('no entries dropped without a snapshot', unsafe.changelogCache.changelog.entries.length === 4);
+    await unsafe.destroy();
+}
+
+runTest('compaction', testCompaction);
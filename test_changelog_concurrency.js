@@ -0,0 +1,155 @@
+/**
+ * Test Concurrent Changelog Writers
+ * Stress test: several Node processes append to one changelog.json at once.
+ * Every entry must survive, sequence ids must be unique and consecutive, and
+ * the file must parse at every point a reader looks at it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fork } = require('child_process');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const WORKERS = 4;
+const WRITES_PER_WORKER = 25;
+
+/**
+ * Worker process: log WRITES_PER_WORKER changes as fast as possible
+ */
+async function runWorker(changelogPath, contextPath, workerName) {
+    const changeLog = new ChangeLogManager(changelogPath, contextPath, { crossProcessPolling: false, snapshotInterval: 0 });
+    await changeLog.ready;
+    changeLog.registerHandler(workerName);
+
+    for (let i = 0; i < WRITES_PER_WORKER; i++) {
+        await changeLog.logChange('stress_write', `stress.${workerName}`, i - 1, i, 'update', { worker: workerName, index: i });
+    }
+
+    await changeLog.destroy();
+}
+
+if (process.argv[2] === 'worker') {
+    runWorker(process.argv[3], process.argv[4], process.argv[5]).catch(error => {
+        console.error(`Worker ${process.argv[5]} failed:`, error);
+        process.exitCode = 1;
+    });
+    return;
+}
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-concurrency-'));
+const changelogPath = path.join(tmpDir, 'changelog.json');
+const contextPath = path.join(tmpDir, 'current_context_meta.json');
+fs.copyFileSync('./App/Context/changelog.json', changelogPath);
+fs.copyFileSync('./App/Context/current_context_meta.json', contextPath);
+
+function runWorkerProcess(name) {
+    return new Promise(resolve => {
+        // Worker logging would drown the report; errors still come through stderr
+        const child = fork(__filename, ['worker', changelogPath, contextPath, name], { stdio: ['ignore', 'ignore', 'inherit', 'ipc'] });
+        child.on('exit', code => resolve(code));
+    });
+}
+
+async function testConcurrentWriters() {
+    console.log(`🔧 Testing ${WORKERS} concurrent changelog writers (${WRITES_PER_WORKER} writes each)...\n`);
+
+    // Read the file continuously while the workers write
+    let torn = 0;
+    let reads = 0;
+    const reader = setInterval(() => {
+        try {
+            JSON.parse(fs.readFileSync(changelogPath, 'utf8'));
+            reads++;
+        } catch (error) {
+            torn++;
+        }
+    }, 5);
+
+    const names = Array.from({ length: WORKERS }, (_, i) => `stress_handler_${i}`);
+    const exitCodes = await Promise.all(names.map(runWorkerProcess));
+    clearInterval(reader);
+
+    console.log('1️⃣ Workers:');
+    check('all workers exited cleanly', exitCodes.every(code => code === 0));
+    check(`file parsed on every read (${reads} reads)`, torn === 0);
+
+    const data = JSON.parse(fs.readFileSync(changelogPath, 'utf8'));
+    const entries = data.changelog.entries.filter(entry => entry.action === 'stress_write');
+    const ids = entries.map(entry => entry.sequence_id);
+
+    console.log('\n2️⃣ Entries:');
+    check(`no entries lost (${entries.length}/${WORKERS * WRITES_PER_WORKER})`, entries.length === WORKERS * WRITES_PER_WORKER);
+    check('sequence ids unique', new Set(ids).size === ids.length);
+    check('sequence ids consecutive', ids.every((id, index) => index === 0 || id === ids[index - 1] + 1));
+    check('last_sequence_id matches the newest entry', data.changelog.last_sequence_id === ids[ids.length - 1]);
+    check('each worker\'s writes kept in order', names.every(name => {
+        const indexes = entries.filter(entry => entry.handler === name).map(entry => entry.metadata.index);
+        return indexes.length === WRITES_PER_WORKER && indexes.every((value, i) => value === i);
+    }));
+
+    console.log('\n3️⃣ Handler records and cleanup:');
+    check('every worker registered', names.every(name => data.handlers[name]));
+    check('last_write_sequence recorded per worker', names.every(name => {
+        const own = entries.filter(entry => entry.handler === name);
+        return data.handlers[name].last_write_sequence === own[own.length - 1].sequence_id;
+    }));
+    const leftovers = fs.readdirSync(tmpDir).filter(file => file.endsWith('.lock') || file.endsWith('.tmp'));
+    check('no lock or temp files left behind', leftovers.length === 0);
+
+    console.log('\n4️⃣ Stale lock recovery:');
+    fs.writeFileSync(`${changelogPath}.lock`, JSON.stringify({ pid: 999999, acquired: Date.now() }));
+    const recovering = new ChangeLogManager(changelogPath, contextPath, { crossProcessPolling: false, snapshotInterval: 0 });
+    await recovering.ready;
+    recovering.registerHandler('recovering_handler');
+    const broken = [];
+    const breakStaleLock = recovering.storage.breakStaleLock.bind(recovering.storage);
+    recovering.storage.breakStaleLock = async lockPath => {
+        const result = await breakStaleLock(lockPath);
+        broken.push(result);
+        return result;
+    };
+    const sequenceId = await recovering.logChange('after_crash', 'stress.recovery', null, true);
+    check('lock of a dead process is broken', sequenceId === data.changelog.last_sequence_id + 1 && broken.includes(true));
+    await recovering.destroy();
+
+    const { NodeFileStorageAdapter } = require('./App/Context/StorageAdapters.js');
+    const lockPath = `${changelogPath}.lock`;
+    const liveLock = JSON.stringify({ pid: process.ppid, acquired: Date.now() - 60000 });
+    fs.writeFileSync(lockPath, liveLock);
+    const patient = new NodeFileStorageAdapter({ changelog: changelogPath }, { lockTimeout: 200 });
+    const timedOut = await patient.update('changelog', text => text).then(() => null, error => error);
+    check('old lock of a live process is not broken', timedOut && /Timed out/.test(timedOut.message) &&
+        fs.readFileSync(lockPath, 'utf8') === liveLock);
+
+    // Another process releases the dead holder's lock and takes it between our read and our break
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: 999999, acquired: Date.now() }));
+    const racing = new NodeFileStorageAdapter({ changelog: changelogPath });
+    racing.fs = Object.create(fs.promises, {
+        readFile: { value: async (file, encoding) => {
+            const content = await fs.promises.readFile(file, encoding);
+            if (file === lockPath && racing.fs.swapped !== true) {
+                racing.fs.swapped = true;
+                fs.writeFileSync(lockPath, liveLock);
+            }
+            return content;
+        }, writable: true }
+    });
+    await racing.breakStaleLock(lockPath);
+    check('a lock taken meanwhile is not deleted', fs.existsSync(lockPath) && fs.readFileSync(lockPath, 'utf8') === liveLock &&
+        !fs.readdirSync(tmpDir).some(file => file.endsWith('.claimed')));
+    fs.unlinkSync(lockPath);
+
+    console.log('\n5️⃣ Adapters in one process:');
+    // Each adapter takes the lock for itself; their temp lock files must not share names
+    const adapters = [new NodeFileStorageAdapter({ changelog: changelogPath }), new NodeFileStorageAdapter({ changelog: changelogPath })];
+    const increments = Array.from({ length: 20 }, (_, i) =>
+        adapters[i % 2].update('counter', text => String(Number(text || 0) + 1)).then(() => true, () => false));
+    const settled = await Promise.all(increments);
+    check('no updates lost between adapters sharing a file', settled.every(Boolean) &&
+        await adapters[0].read('counter') === '20' && !fs.existsSync(`${adapters[0].pathFor('counter')}.lock`));
+}
+
+runTest('concurrency', testConcurrentWriters)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,109 @@
+/**
+ * Test ChangeLog Event Bus
+ * Verifies that logged changes reach other handlers in the same process
+ * through the in-process bus, without any polling timer, and that
+ * path-scoped subscriptions and getValue/setValue behave like the old mock.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, runTest } = require('./test_helpers.js');
+
+// Work on throwaway copies so the real context files stay untouched
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-bus-'));
+const changelogPath = path.join(tmpDir, 'changelog.json');
+const contextPath = path.join(tmpDir, 'current_context_meta.json');
+fs.copyFileSync('./App/Context/changelog.json', changelogPath);
+fs.copyFileSync('./App/Context/current_context_meta.json', contextPath);
+
+async function testEventBus() {
+    console.log('🔧 Testing in-process change delivery...\n');
+    
+    const options = { crossProcessPolling: false };
+    const ioLog = new ChangeLogManager(changelogPath, contextPath, options);
+    const eventLog = new ChangeLogManager(changelogPath, contextPath, options);
+    await Promise.all([ioLog.ready, eventLog.ready]);
+    
+    ioLog.registerHandler('io_handler');
+    eventLog.registerHandler('event_handler');
+    
+    const received = [];
+    eventLog.startListening(entries => received.push(...entries));
+    ioLog.startListening(() => {});
+    
+    console.log('1️⃣ Listening without a poll timer:');
+    check('no poll timer armed', eventLog.pollTimer === null && ioLog.pollTimer === null);
+    
+    console.log('\n2️⃣ Delivery on a microtask:');
+    const pending = ioLog.updateContext('current_context_meta.current_mouse_input.is_dragging', true);
+    await Promise.resolve();
+    await pending;
+    check('event handler received the entry', received.length === 1);
+    check('entry carries the writer handler', received[0] && received[0].handler === 'io_handler');
+    check('receiver context cache updated', eventLog.getContextValue('current_context_meta.current_mouse_input.is_dragging') === true);
+    check('sequence id assigned', received[0] && received[0].sequence_id === 1);
+    
+    console.log('\n3️⃣ Own changes are not echoed back:');
+    const before = received.length;
+    await eventLog.updateContext('current_context_meta.interaction_locks.drag_lock', true, 'lock_acquired');
+    await Promise.resolve();
+    check('event handler skipped its own entry', received.length === before);
+    
+    console.log('\n4️⃣ Synchronous delivery mode:');
+    const syncLog = new ChangeLogManager(changelogPath, contextPath, { crossProcessPolling: false, deliveryMode: 'sync' });
+    await syncLog.ready;
+    syncLog.registerHandler('interface_handler');
+    const syncReceived = [];
+    syncLog.startListening(entries => syncReceived.push(...entries));
+    await ioLog.logChange('component_entered', 'current_context_meta.currently_in_object.component_id', null, 'element_1');
+    check('sync listener notified before logChange resolved', syncReceived.length === 1);
+    
+    console.log('\n5️⃣ Path-scoped subscriptions:');
+    const lockChanges = [];
+    const modeChanges = [];
+    const stopLocks = eventLog.subscribe('current_context_meta.interaction_locks.*', (value, entry) => {
+        lockChanges.push(entry.context_path);
+    });
+    eventLog.subscribe('application.mode', mode => modeChanges.push(mode));
+    
+    // Locks belong to the Event Handler, so the second writer is another Event Handler manager
+    const lockLog = new ChangeLogManager(changelogPath, contextPath, options);
+    await lockLog.ready;
+    lockLog.registerHandler('event_handler');
+    await lockLog.updateContext('current_context_meta.interaction_locks.resize_lock', true);
+    await eventLog.updateContext('current_context_meta.interaction_locks.edit_lock', true);
+    await ioLog.updateContext('current_context_meta.current_mouse_input.wheel_delta', 3);
+    await Promise.resolve();
+    check('wildcard matched locks from both writers', lockChanges.length === 2);
+    check('unrelated path ignored', !lockChanges.some(p => p.includes('wheel_delta')));
+    
+    stopLocks();
+    await lockLog.updateContext('current_context_meta.interaction_locks.save_lock', true);
+    await Promise.resolve();
+    check('returned function unsubscribes', lockChanges.length === 2);
+    
+    console.log('\n6️⃣ getValue / setValue:');
+    check('default returned for unset path', eventLog.getValue('application.mode', 'design') === 'design');
+    const write = eventLog.setValue('application.mode', 'preview');
+    check('value readable synchronously after setValue', eventLog.getValue('application.mode') === 'preview');
+    await write;
+    await Promise.resolve();
+    check('subscriber received the new mode', modeChanges[0] === 'preview');
+    check('other manager sees the new mode', ioLog.getValue('application.mode') === 'preview');
+    
+    eventLog.unsubscribe('application.mode');
+    check('unsubscribe without callback clears the path', !eventLog.subscriptions.has('application.mode'));
+    
+    console.log('\n7️⃣ Path pattern matching:');
+    const match = ChangeLogManager.matchesPathPattern;
+    check("'*' matches one segment", match('a.*.c', 'a.b.c') && !match('a.*', 'a.b.c'));
+    check("'**' matches any depth", match('a.**', 'a.b.c') && match('a.**.c', 'a.c') && !match('a.**.d', 'a.b.c'));
+    
+    await Promise.all([ioLog, eventLog, syncLog, lockLog].map(log => log.destroy()));
+    check('destroyed managers left the bus', ChangeLogManager.bus.managers.size === 0);
+}
+
+runTest('event bus', testEventBus)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,84 @@
+/**
+ * Test Changelog Query API
+ * Verifies filtering by path glob, action, change_type, handler and time range,
+ * pagination, and that the indexes follow appends, merges and compaction.
+ */
+
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const dragLock = 'current_context_meta.interaction_locks.drag_lock';
+const resizeLock = 'current_context_meta.interaction_locks.resize_lock';
+
+const ids = entries => entries.map(entry => entry.sequence_id).join(',');
+
+async function testQuery() {
+    console.log('🔧 Testing changelog query API...\n');
+
+    const [changeLog] = await openChangeLogs();
+
+    changeLog.registerHandler('event_handler');
+    await changeLog.updateContext(dragLock, true, 'lock_acquired', { operation_id: 'drag_1' });      // 1
+    await changeLog.updateContext(resizeLock, true, 'lock_acquired', { operation_id: 'resize_1' }); // 2
+    await changeLog.updateContext(dragLock, false, 'lock_released', { operation_id: 'drag_1' });    // 3
+
+    changeLog.registerHandler('interface_handler');
+    await changeLog.setValue('current_context_meta.selection_context.selected_components', ['a']);  // 4
+    await changeLog.setValue('current_context_meta.selection_context.last_selected', 'a');          // 5
+    await changeLog.logChange('component_registered', 'components.a', null, { id: 'a' });          // 6
+
+    changeLog.registerHandler('event_handler');
+    await changeLog.updateContext(dragLock, true, 'lock_acquired', { operation_id: 'drag_2' });      // 7
+
+    // Age the first three entries so time ranges can tell them apart
+    changeLog.changelogCache.changelog.entries.slice(0, 3).forEach(entry => { entry.timestamp -= 60000; });
+
+    console.log('1️⃣ Filters:');
+    check('lock_acquired on drag_lock in the last 10s',
+        ids(changeLog.query({ changeType: 'lock_acquired', path: '**.drag_lock', since: Date.now() - 10000 }).entries) === '7');
+    check('every drag_lock acquisition',
+        ids(changeLog.query({ changeType: 'lock_acquired', path: '**.drag_lock' }).entries) === '1,7');
+    check('changes under selection_context by interface_handler',
+        ids(changeLog.query({ path: 'current_context_meta.selection_context.**', handler: 'interface_handler' }).entries) === '4,5');
+    check('single-segment glob', ids(changeLog.query({ path: 'current_context_meta.interaction_locks.*' }).entries) === '1,2,3,7');
+    check('action filter', ids(changeLog.query({ action: 'component_registered' }).entries) === '6');
+    check('any of several change types', ids(changeLog.query({ changeType: ['lock_acquired', 'lock_released'], until: Date.now() - 30000 }).entries) === '1,2,3');
+    check('sequence range', ids(changeLog.query({ fromSequence: 3, toSequence: 5 }).entries) === '3,4,5');
+    check('no match is empty', changeLog.query({ handler: 'graphics_handler' }).total === 0);
+    check('getRecentChanges still filters by handler', ids(changeLog.getRecentChanges(2, 'event_handler')) === '3,7');
+
+    console.log('\n2️⃣ Pagination:');
+    const first = changeLog.query({ limit: 3 });
+    const second = changeLog.query({ limit: 3, offset: 3 });
+    const last = changeLog.query({ limit: 3, offset: 6 });
+    check('first page', ids(first.entries) === '1,2,3' && first.total === 7 && first.hasMore);
+    check('second page', ids(second.entries) === '4,5,6' && second.hasMore);
+    check('last page', ids(last.entries) === '7' && !last.hasMore);
+    check('newest first', ids(changeLog.query({ order: 'desc', limit: 2 }).entries) === '7,6');
+
+    console.log('\n3️⃣ Incremental indexes:');
+    // Own bus: the entry reaches changeLog by merging from storage, not by delivery
+    const other = new ChangeLogManager(undefined, undefined, {
+        storage: changeLog.storage,
+        bus: new ChangeLogManager.ChangeEventBus(),
+        crossProcessPolling: false,
+        snapshotInterval: 0
+    });
+    await other.ready;
+    other.registerHandler('io_handler');
+    await other.setValue('current_context_meta.current_mouse_input.click_count', 1); // 8, written elsewhere
+    await changeLog.updateContext(dragLock, false, 'lock_released', { operation_id: 'drag_2' }); // 9, merged after 8
+    check('entries merged from another writer are indexed', ids(changeLog.query({ handler: 'io_handler' }).entries) === '8');
+    check('index counts per handler', JSON.stringify(changeLog.index.values('handler')) === JSON.stringify({ event_handler: 5, interface_handler: 3, io_handler: 1 }));
+
+    await changeLog.configureChangelog({ max_entries: 4 });
+    await changeLog.logChange('component_registered', 'components.b', null, { id: 'b' }); // 10
+    check('compacted entries leave the index', ids(changeLog.query({}).entries) === '7,8,9,10');
+    check('compacted buckets emptied', changeLog.query({ handler: 'interface_handler' }).entries.length === 0 &&
+        !('interface_handler' in changeLog.index.values('handler')));
+
+    await changeLog.destroy();
+    await other.destroy();
+}
+
+runTest('changelog query', testQuery);
@@ -0,0 +1,85 @@
+/**
+ * Test ChangeLog Transactions
+ * Verifies that multi-path updates land as one sequenced entry group,
+ * with a single save and a single listener notification.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-tx-'));
+const changelogPath = path.join(tmpDir, 'changelog.json');
+const contextPath = path.join(tmpDir, 'current_context_meta.json');
+fs.copyFileSync('./App/Context/changelog.json', changelogPath);
+fs.copyFileSync('./App/Context/current_context_meta.json', contextPath);
+
+async function testTransactions() {
+    console.log('🔧 Testing changelog transactions...\n');
+    
+    const options = { crossProcessPolling: false };
+    const ioLog = new ChangeLogManager(changelogPath, contextPath, options);
+    const eventLog = new ChangeLogManager(changelogPath, contextPath, options);
+    await Promise.all([ioLog.ready, eventLog.ready]);
+    ioLog.registerHandler('io_handler');
+    eventLog.registerHandler('event_handler');
+    
+    const notifications = [];
+    eventLog.startListening(entries => notifications.push(entries));
+    
+    let saves = 0;
+    const originalSave = ioLog.saveChangelog.bind(ioLog);
+    ioLog.saveChangelog = async () => { saves++; return originalSave(); };
+    
+    console.log('1️⃣ Batch update (keydown):');
+    const sequenceIds = await ioLog.updateContextBatch([
+        { path: 'current_context_meta.current_keyboard_input.keys_pressed', value: ['Control'] },
+        { path: 'current_context_meta.current_keyboard_input.modifier_keys', value: { ctrl: true, shift: false, alt: false, meta: false, tab: false, escape: false } }
+    ], { event_type: 'keydown' });
+    await Promise.resolve();
+    
+    check('consecutive sequence ids', sequenceIds.length === 2 && sequenceIds[1] === sequenceIds[0] + 1);
+    check('changelog saved once', saves === 1);
+    check('listener notified once with the whole group', notifications.length === 1 && notifications[0].length === 2);
+    const group = notifications[0] || [];
+    check('entries share a transaction id', group.length === 2 && group[0].metadata.transaction_id === group[1].metadata.transaction_id);
+    check('batch metadata carried on each entry', group.every(entry => entry.metadata.event_type === 'keydown'));
+    
+    console.log('\n2️⃣ Staged transaction:');
+    const transaction = ioLog.beginTransaction();
+    transaction.update('current_context_meta.current_mouse_input.is_dragging', true);
+    transaction.update('current_context_meta.current_mouse_input.drag_delta', { x: 12, y: 4 });
+    check('context untouched before commit', ioLog.getValue('current_context_meta.current_mouse_input.is_dragging') === false);
+    check('transaction reads its staged value', transaction.get('current_context_meta.current_mouse_input.is_dragging') === true);
+    await transaction.commit();
+    check('context updated after commit', ioLog.getValue('current_context_meta.current_mouse_input.is_dragging') === true);
+    
+    let threw = false;
+    try { transaction.update('current_context_meta.current_mouse_input.wheel_delta', 1); } catch (error) { threw = true; }
+    check('committed transaction cannot be reused', threw);
+    
+    console.log('\n3️⃣ Rollback:');
+    const before = ioLog.getRecentChanges().length;
+    const rolledBack = ioLog.beginTransaction();
+    rolledBack.update('current_context_meta.current_mouse_input.wheel_delta', 99);
+    rolledBack.rollback();
+    check('rolled back update never applied', ioLog.getValue('current_context_meta.current_mouse_input.wheel_delta') === 0);
+    check('no entries written', ioLog.getRecentChanges().length === before);
+    
+    console.log('\n4️⃣ Strict schema rejects the whole group:');
+    ioLog.setSchemaStrictness('strict');
+    const rejected = await ioLog.updateContextBatch([
+        { path: 'current_context_meta.current_mouse_input.wheel_delta', value: 5 },
+        { path: 'current_context_meta.modal_context.modal_stack', value: 'not-an-array' }
+    ]);
+    check('batch rejected', rejected === false);
+    check('valid half not applied either', ioLog.getValue('current_context_meta.current_mouse_input.wheel_delta') === 0);
+    
+    await ioLog.destroy();
+    await eventLog.destroy();
+}
+
+runTest('transaction', testTransactions)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
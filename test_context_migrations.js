@@ -0,0 +1,144 @@
+/**
+ * Test Context Migrations
+ * Checks that stored context and changelog data written by older code are
+ * upgraded step by step on load, and that data from newer code is refused
+ * without being overwritten.
+ */
+
+const fs = require('fs');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const ContextMigrations = require('./App/Context/ContextMigrations.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const template = JSON.parse(fs.readFileSync('./App/Context/current_context_meta.json', 'utf8'));
+
+// 1.1.0 renames selection_context to selection; 1.2.0 adds selection.anchor
+const renameSelection = context => {
+    const meta = context.current_context_meta;
+    meta.selection = meta.selection_context;
+    delete meta.selection_context;
+    return context;
+};
+const upgrades = () => new ContextMigrations({
+    versions: { context: '1.2.0', changelog: '1.1.0' },
+    migrations: [
+        { kind: 'context', from: '1.1.0', to: '1.2.0', migrate: context => { context.current_context_meta.selection.anchor = null; } },
+        { kind: 'context', from: '1.0.0', to: '1.1.0', migrate: renameSelection },
+        {
+            kind: 'changelog', from: '1.0.0', to: '1.1.0', migrate: log => {
+                log.changelog.entries.forEach(entry => {
+                    entry.context_path = entry.context_path.replace('.selection_context.', '.selection.');
+                });
+                return log;
+            }
+        }
+    ]
+});
+
+function storedContext(version) {
+    const context = JSON.parse(JSON.stringify(template));
+    context.current_context_meta.meta_information.context_version = version;
+    context.current_context_meta.selection_context.last_selected = 'box_1';
+    return JSON.stringify(context);
+}
+
+function storedChangelog(version) {
+    return JSON.stringify({
+        changelog: {
+            entries: [{
+                sequence_id: 1, timestamp: Date.now(), handler: 'interface_handler', action: 'context_update',
+                context_path: 'current_context_meta.selection_context.last_selected', old_value: null, new_value: 'box_1'
+            }],
+            last_sequence_id: 1, last_updated: Date.now(), version,
+            max_entries: 1000, auto_cleanup: true, retention_hours: 24
+        },
+        handlers: {},
+        lock_registry: { active_locks: {}, lock_queue: [], lock_history: [] }
+    });
+}
+
+async function open(storage, migrations) {
+    const changeLog = new ChangeLogManager(undefined, undefined, {
+        storage,
+        migrations,
+        bus: new ChangeLogManager.ChangeEventBus(),
+        crossProcessPolling: false,
+        heartbeatInterval: 0,
+        snapshotInterval: 0
+    });
+    const error = await changeLog.ready.then(() => null, refused => refused);
+    return { changeLog, error };
+}
+
+async function testContextMigrations() {
+    console.log('🔧 Testing context migrations...\n');
+
+    console.log('1️⃣ Registry:');
+    check('versions compare numerically', ContextMigrations.compareVersions('1.10.0', '1.9.2') > 0 &&
+        ContextMigrations.compareVersions('1.0', '1.0.0') === 0);
+    const registry = upgrades();
+    const migrated = registry.migrate('context', JSON.parse(storedContext('1.0.0')));
+    check('steps applied in version order', migrated.applied.join() === '1.0.0 → 1.1.0,1.1.0 → 1.2.0');
+    check('data reshaped', migrated.data.current_context_meta.selection.last_selected === 'box_1' &&
+        migrated.data.current_context_meta.selection.anchor === null && !migrated.data.current_context_meta.selection_context);
+    check('version stamped', migrated.data.current_context_meta.meta_information.context_version === '1.2.0');
+    check('current data untouched', registry.migrate('context', migrated.data).applied.length === 0);
+    const rejects = step => { try { upgrades().register(step); return false; } catch (error) { return true; } };
+    check('backward and duplicate steps rejected', rejects({ kind: 'context', from: '1.2.0', to: '1.1.0' }) &&
+        rejects({ kind: 'context', from: '1.0.0', to: '1.0.5' }) && rejects({ kind: 'styles', from: '1.0.0', to: '1.1.0' }));
+
+    console.log('\n2️⃣ Upgrade on load:');
+    const storage = new MemoryStorageAdapter();
+    await storage.write('context', storedContext('1.0.0'));
+    await storage.write('changelog', storedChangelog('1.0.0'));
+    const { changeLog, error } = await open(storage, upgrades());
+    check('older data loads', error === null);
+    check('context upgraded', changeLog.getValue('current_context_meta.selection.last_selected') === 'box_1' &&
+        changeLog.getValue('current_context_meta.meta_information.context_version') === '1.2.0');
+    check('changelog upgraded', changeLog.changelogCache.changelog.version === '1.1.0' &&
+        changeLog.query({ path: 'current_context_meta.selection.**' }).total === 1);
+
+    changeLog.registerHandler('interface_handler');
+    await changeLog.updateContext('current_context_meta.selection.last_selected', 'box_2');
+    await changeLog.flush();
+    const saved = JSON.parse(await storage.read('context'));
+    const savedLog = JSON.parse(await storage.read('changelog'));
+    check('upgraded shape written back on save', saved.current_context_meta.meta_information.context_version === '1.2.0' &&
+        saved.current_context_meta.selection.last_selected === 'box_2');
+    check('stored changelog merged in the upgraded shape', savedLog.changelog.version === '1.1.0' &&
+        savedLog.changelog.entries.every(entry => !entry.context_path.includes('selection_context')));
+
+    const current = new MemoryStorageAdapter();
+    await current.write('context', JSON.stringify(template));
+    const plain = await open(current);
+    check('data at the current version loads as is', plain.error === null &&
+        plain.changeLog.getValue('current_context_meta.meta_information.context_version') === ContextMigrations.VERSIONS.context);
+
+    console.log('\n3️⃣ Newer data refused:');
+    const newer = new MemoryStorageAdapter();
+    await newer.write('context', storedContext('2.0.0'));
+    await newer.write('changelog', storedChangelog('1.0.0'));
+    const before = [await newer.read('context'), await newer.read('changelog')].join();
+    const refused = await open(newer);
+    refused.changeLog.registerHandler('io_handler');
+    const write = await refused.changeLog.updateContext('current_context_meta.current_mouse_input.position.x', 5).catch(e => e);
+    await refused.changeLog.destroy();
+    check('ready rejects with a version error', refused.error instanceof ContextMigrations.ContextVersionError &&
+        refused.error.kind === 'context' && /2\.0\.0.*newer than 1\.0\.0/.test(refused.error.message));
+    check('writes fail instead of landing', write instanceof ContextMigrations.ContextVersionError);
+    check('stored data left as it was', [await newer.read('context'), await newer.read('changelog')].join() === before);
+
+    const newerLog = new MemoryStorageAdapter();
+    await newerLog.write('changelog', storedChangelog('3.1.0'));
+    const refusedLog = await open(newerLog);
+    const gap = new MemoryStorageAdapter();
+    await gap.write('context', storedContext('1.1.0'));
+    const missingStep = await open(gap, new ContextMigrations({ versions: { context: '1.2.0' } }));
+    check('newer changelog refused', refusedLog.error && refusedLog.error.kind === 'changelog');
+    check('missing step refused', missingStep.error && /No context migration from version 1\.1\.0/.test(missingStep.error.message));
+
+    await Promise.all([changeLog, plain.changeLog, refusedLog.changeLog, missingStep.changeLog].map(log => log.destroy()));
+}
+
+runTest('context migration', testContextMigrations);
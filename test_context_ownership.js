@@ -0,0 +1,118 @@
+/**
+ * Test Context Ownership
+ * Verifies that handlers can only write the context paths they own, that
+ * rejected and warned writes are audited as ownership_violation entries, and
+ * that warn mode lets writes through.
+ */
+
+const fs = require('fs');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const ContextOwnership = require('./App/Context/ContextOwnership.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const template = fs.readFileSync('./App/Context/current_context_meta.json', 'utf8');
+const dragLock = 'current_context_meta.interaction_locks.drag_lock';
+const mousePosition = 'current_context_meta.current_mouse_input.position';
+const keysPressed = 'current_context_meta.current_keyboard_input.keys_pressed';
+const inputMode = 'current_context_meta.current_keyboard_input.input_mode';
+
+async function openHandler(handlerName, options = {}) {
+    const storage = new MemoryStorageAdapter();
+    await storage.write('context', template);
+    const changeLog = new ChangeLogManager(undefined, undefined, {
+        storage,
+        bus: new ChangeLogManager.ChangeEventBus(),
+        crossProcessPolling: false,
+        heartbeatInterval: 0,
+        ...options
+    });
+    await changeLog.ready;
+    if (handlerName) changeLog.registerHandler(handlerName);
+    return changeLog;
+}
+
+const violations = changeLog => changeLog.query({ action: 'ownership_violation' }).entries;
+
+async function testContextOwnership() {
+    console.log('🔧 Testing context ownership...\n');
+
+    console.log('1️⃣ Ownership map:');
+    const ownership = new ContextOwnership();
+    check('locks owned by the Event Handler', ownership.ownersOf(dragLock).join() === 'event_handler');
+    check('most specific prefix wins', ownership.ownersOf(inputMode).join() === 'interface_handler');
+    check('uncovered paths have no owner', ownership.ownersOf('current_context_meta.style_updates') === null);
+    check('parent write needs every owner below it', !ownership.canWrite('io_handler', 'current_context_meta.current_keyboard_input'));
+    check('shared prefix open to any handler', ownership.canWrite('interface_handler', 'current_context_meta.data_mutation.version_control.conflicts'));
+
+    console.log('\n2️⃣ Enforced:');
+    const io = await openHandler('io_handler');
+    const notified = [];
+    io.subscribe('current_context_meta.interaction_locks.*', (value, entry) => notified.push(entry.action));
+    const rejected = await io.updateContext(dragLock, true, 'lock_acquired');
+    const allowed = await io.updateContext(mousePosition, { x: 5, y: 6, relative_x: 0, relative_y: 0 });
+    await io.flush();
+    check('non-owner write rejected', rejected === false && io.getValue(dragLock) === false);
+    check('owner write accepted', typeof allowed === 'number' && io.getValue(`${mousePosition}.x`) === 5);
+    const [audit] = violations(io);
+    check('violation audited in the changelog', audit && audit.context_path === dragLock &&
+        audit.change_type === 'rejected' && audit.handler === 'io_handler' && audit.new_value === true);
+    check('audit names the owners', audit && audit.metadata.owners.join() === 'event_handler');
+    check('audit is not replayed as a context update', !io.query({ action: 'context_update', path: dragLock }).total);
+    check('rejected write does not notify path subscribers', notified.length === 0);
+
+    const graphics = await openHandler('graphics_handler');
+    const overwrite = await graphics.setValue(mousePosition, { x: 0, y: 0, relative_x: 0, relative_y: 0 });
+    const style = await graphics.updateContext('current_context_meta.style_updates', { box_1: { color: 'red' } });
+    await graphics.flush();
+    check('Graphics Handler cannot overwrite mouse input', overwrite === false);
+    check('unowned sections stay open', typeof style === 'number');
+
+    const ui = await openHandler('interface_handler');
+    const ownMode = await ui.updateContext(inputMode, 'text');
+    const keys = await ui.updateContext(keysPressed, ['a']);
+    const batch = await ui.updateContextBatch([
+        { path: 'current_context_meta.selection_context.last_selected', value: 'box_1' },
+        { path: dragLock, value: true }
+    ]);
+    const direct = await ui.logChange('context_update', dragLock, false, true);
+    const other = await ui.logChange('component_registered', 'components.box_1', null, { id: 'box_1' });
+    await ui.flush();
+    check('derived input state writable by its owner', typeof ownMode === 'number');
+    check('raw input not writable by the Interface Handler', keys === false);
+    check('one foreign path rejects the whole transaction', batch === false &&
+        ui.getValue('current_context_meta.selection_context.last_selected') === null);
+    check('direct context_update logChange checked too', direct === false);
+    check('other actions are not checked', typeof other === 'number');
+    check('each rejection audited', violations(ui).map(entry => entry.context_path).join() === [keysPressed, dragLock, dragLock].join());
+
+    console.log('\n3️⃣ Warn mode and exemptions:');
+    const dev = await openHandler('io_handler', { ownershipMode: 'warn' });
+    const warned = await dev.updateContext(dragLock, true, 'lock_acquired');
+    await dev.flush();
+    check('warn mode lets the write through', typeof warned === 'number' && dev.getValue(dragLock) === true);
+    check('warned write still audited', violations(dev)[0] && violations(dev)[0].change_type === 'allowed' && violations(dev)[0].sequence_id < warned);
+
+    dev.setOwnershipMode('enforce');
+    const switched = await dev.updateContext(dragLock, false, 'lock_released');
+    check('mode switchable at runtime', switched === false);
+    let modeError = null;
+    try {
+        dev.setOwnershipMode('strict');
+    } catch (error) {
+        modeError = error;
+    }
+    check('unknown mode rejected', modeError && /strict/.test(modeError.message));
+
+    const anonymous = await openHandler(null);
+    const unattributed = await anonymous.updateContext(dragLock, true, 'lock_acquired');
+    const custom = await openHandler('io_handler', { ownership: { 'current_context_meta.interaction_locks': ['io_handler'] } });
+    const customWrite = await custom.updateContext(dragLock, true, 'lock_acquired');
+    const customOpen = await custom.updateContext('current_context_meta.state_context.has_unsaved_changes', true);
+    check('writers without a registered handler are not checked', typeof unattributed === 'number');
+    check('custom ownership map honoured', typeof customWrite === 'number' && typeof customOpen === 'number');
+
+    await Promise.all([io, graphics, ui, dev, anonymous, custom].map(log => log.destroy()));
+}
+
+runTest('context ownership', testContextOwnership);
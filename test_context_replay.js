@@ -0,0 +1,72 @@
+/**
+ * Test Context Replay
+ * Verifies that the context can be rebuilt at any sequence id or timestamp,
+ * stepped forward and backward, and diffed between two points.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-replay-'));
+fs.copyFileSync('./App/Context/changelog.json', path.join(tmpDir, 'changelog.json'));
+fs.copyFileSync('./App/Context/current_context_meta.json', path.join(tmpDir, 'current_context_meta.json'));
+
+const LOCK = 'current_context_meta.interaction_locks.drag_lock';
+const DELTA = 'current_context_meta.current_mouse_input.drag_delta';
+
+async function testContextReplay() {
+    console.log('🔧 Testing context replay...\n');
+    
+    const changeLog = new ChangeLogManager(
+        path.join(tmpDir, 'changelog.json'),
+        path.join(tmpDir, 'current_context_meta.json'),
+        { crossProcessPolling: false }
+    );
+    await changeLog.ready;
+    changeLog.registerHandler('event_handler');
+    
+    const seqLock = await changeLog.updateContext(LOCK, true, 'lock_acquired');
+    changeLog.registerHandler('io_handler');
+    const seqMove1 = await changeLog.updateContext(DELTA, { x: 10, y: 0 });
+    const seqMove2 = await changeLog.updateContext(DELTA, { x: 25, y: 5 });
+    changeLog.registerHandler('event_handler');
+    const seqRelease = await changeLog.updateContext(LOCK, false, 'lock_released');
+    
+    console.log('1️⃣ Rebuild at a sequence id:');
+    const atLock = changeLog.getContextAt(seqLock);
+    check('lock held right after acquisition', atLock.current_context_meta.interaction_locks.drag_lock === true);
+    check('drag delta still initial', atLock.current_context_meta.current_mouse_input.drag_delta.x === 0);
+    const beforeAll = changeLog.getContextAt(seqLock - 1);
+    check('lock free before acquisition', beforeAll.current_context_meta.interaction_locks.drag_lock === false);
+    check('live context untouched by replay', changeLog.getValue(LOCK) === false);
+    
+    console.log('\n2️⃣ Step forward and backward:');
+    const replay = changeLog.createReplay();
+    check('cursor starts at the latest entry', replay.position === seqRelease);
+    const undone = replay.stepBackward();
+    check('step back undoes the release', undone.sequence_id === seqRelease && replay.getContext().current_context_meta.interaction_locks.drag_lock === true);
+    replay.stepBackward();
+    check('second step back restores first move', replay.getContext().current_context_meta.current_mouse_input.drag_delta.x === 10);
+    replay.stepForward();
+    check('step forward re-applies second move', replay.getContext().current_context_meta.current_mouse_input.drag_delta.x === 25);
+    
+    console.log('\n3️⃣ Seek by timestamp:');
+    const entries = changeLog.getRecentChanges();
+    const atTime = changeLog.getContextAtTime(entries[0].timestamp - 1);
+    check('context before the first entry', atTime.current_context_meta.interaction_locks.drag_lock === false);
+    
+    console.log('\n4️⃣ Diff between two points:');
+    const diff = changeLog.diffContext(seqLock, seqMove2);
+    check('only the drag delta differs', diff.length === 2 && diff.every(change => change.path.startsWith(DELTA)));
+    const xChange = diff.find(change => change.path === `${DELTA}.x`);
+    check('diff reports from/to values', xChange && xChange.from === 0 && xChange.to === 25);
+    check('identical points have no diff', changeLog.diffContext(seqMove1, seqMove1).length === 0);
+    
+    await changeLog.destroy();
+}
+
+runTest('context replay', testContextReplay)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
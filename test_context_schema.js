@@ -0,0 +1,64 @@
+/**
+ * Test Context Schema
+ * Verifies the schema derived from current_context_meta.json and how
+ * ChangeLogManager handles invalid writes in each strictness level.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ContextSchema = require('./App/Context/ContextSchema.js');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const template = JSON.parse(fs.readFileSync('./App/Context/current_context_meta.json', 'utf8'));
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'context-schema-'));
+fs.copyFileSync('./App/Context/changelog.json', path.join(tmpDir, 'changelog.json'));
+fs.copyFileSync('./App/Context/current_context_meta.json', path.join(tmpDir, 'current_context_meta.json'));
+
+async function testContextSchema() {
+    console.log('🔧 Testing context schema...\n');
+    
+    console.log('1️⃣ Schema derived from the template:');
+    const schema = ContextSchema.fromTemplate(template);
+    check('valid boolean lock write', schema.validate('current_context_meta.interaction_locks.drag_lock', true).length === 0);
+    check('typo in section name rejected', schema.validate('current_context_meta.interaction_lock.drag_lock', true).length === 1);
+    check('string into modal_stack rejected', schema.validate('current_context_meta.modal_context.modal_stack', 'modal_1').length === 1);
+    check('modal_stack items must be strings', schema.validate('current_context_meta.modal_context.modal_stack', [{}]).length === 1);
+    check('enum enforced for selection_type', schema.validate('current_context_meta.selection_context.selection_type', 'everything').length === 1);
+    check('nullable id accepts null', schema.validate('current_context_meta.focus_context.focused_component', null).length === 0);
+    check('unknown nested property reported', schema.validate('current_context_meta.current_mouse_input.position', { x: 1, y: 2, z: 3 }).length === 1);
+    check('paths outside the template are not governed', schema.validate('application.mode', 'design').length === 0);
+    check('schema is plain JSON', JSON.parse(JSON.stringify(schema)).type === 'object');
+    
+    console.log('\n2️⃣ Strictness levels in ChangeLogManager:');
+    const changeLog = new ChangeLogManager(
+        path.join(tmpDir, 'changelog.json'),
+        path.join(tmpDir, 'current_context_meta.json'),
+        { crossProcessPolling: false }
+    );
+    await changeLog.ready;
+    changeLog.registerHandler('interface_handler');
+    
+    const warned = await changeLog.updateContext('current_context_meta.selection_context.selection_type', 'everything');
+    check('warn mode lets the write through', warned !== false && changeLog.getValue('current_context_meta.selection_context.selection_type') === 'everything');
+    
+    changeLog.setSchemaStrictness('strict');
+    const rejected = await changeLog.updateContext('current_context_meta.modal_context.modal_stack', 'modal_1');
+    check('strict mode rejects the write', rejected === false);
+    check('context left untouched', Array.isArray(changeLog.getValue('current_context_meta.modal_context.modal_stack')));
+    
+    const violations = changeLog.getValue('current_context_meta.error_recovery.schema_violations', []);
+    check('both violations recorded in error_recovery', violations.length === 2);
+    check('rejection flagged on the record', violations[1] && violations[1].rejected === true);
+    check('error_count bumped', changeLog.getValue('current_context_meta.error_recovery.error_count') === 2);
+    
+    changeLog.setSchemaStrictness('off');
+    await changeLog.updateContext('current_context_meta.modal_context.modal_stack', 'modal_1');
+    check('off mode skips validation', changeLog.getValue('current_context_meta.error_recovery.schema_violations').length === 2);
+    
+    await changeLog.destroy();
+}
+
+runTest('context schema', testContextSchema)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
@@ -0,0 +1,124 @@
+/**
+ * Test Cross-Tab Context Sync
+ * Two "tabs" (managers with their own storage and bus) share context writes over
+ * a BroadcastChannel; concurrent writes are resolved per conflict_resolution.
+ */
+
+const fs = require('fs');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const ContextSync = require('./App/Context/ContextSync.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const template = fs.readFileSync('./App/Context/current_context_meta.json', 'utf8');
+const channelName = `context_sync_test_${process.pid}`;
+const unsavedPath = 'current_context_meta.state_context.has_unsaved_changes';
+const operationPath = 'current_context_meta.active_operations.operation_type';
+const strategyPath = 'current_context_meta.data_mutation.conflict_resolution';
+const conflictsPath = 'current_context_meta.data_mutation.version_control.conflicts';
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 30));
+
+async function openTab(tabId) {
+    const storage = new MemoryStorageAdapter();
+    await storage.write('context', template);
+    const changeLog = new ChangeLogManager(undefined, undefined, {
+        storage,
+        bus: new ChangeLogManager.ChangeEventBus(),
+        crossProcessPolling: false,
+        ownership: false // each tab stands in for every handler
+    });
+    await changeLog.ready;
+    changeLog.registerHandler('interface_handler');
+
+    const sync = new ContextSync(changeLog, { tabId, channelName });
+    await sync.start();
+    return { changeLog, sync };
+}
+
+function lastConflictEntry(changeLog) {
+    const entries = changeLog.changelogCache.changelog.entries.filter(entry => entry.action === 'sync_conflict_resolved');
+    return entries[entries.length - 1];
+}
+
+async function testContextSync() {
+    console.log('🔧 Testing cross-tab context sync...\n');
+
+    const a = await openTab('tab_a');
+    const b = await openTab('tab_b');
+
+    console.log('1️⃣ Propagation:');
+    const seen = [];
+    b.changeLog.subscribe(unsavedPath, (value, entry) => seen.push(entry));
+    await a.changeLog.setValue(unsavedPath, true);
+    await settle();
+    check('sync enabled flag set', a.changeLog.getValue('current_context_meta.meta_information.sync_enabled') === true);
+    check('remote tab applies the write', b.changeLog.getValue(unsavedPath) === true);
+    check('remote subscribers notified', seen.length === 1 && seen[0].metadata.sync_origin === 'tab_a');
+    check('writer advanced current_version', a.changeLog.getValue('current_context_meta.data_mutation.version_control.current_version') === 2);
+    check('reader advanced last_synced_version', b.changeLog.getValue('current_context_meta.data_mutation.version_control.last_synced_version') === 2);
+    check('applied write not logged twice', !b.changeLog.changelogCache.changelog.entries.some(entry => entry.context_path === unsavedPath));
+
+    await a.changeLog.setValue('current_context_meta.current_mouse_input.position', { x: 40, y: 50, relative_x: 0, relative_y: 0 });
+    await b.changeLog.setValue(unsavedPath, false);
+    await settle();
+    check('per-tab input state stays local', b.changeLog.getValue('current_context_meta.current_mouse_input.position.x') === 0);
+    check('follow-up write from the other tab is not a conflict', a.changeLog.getValue(unsavedPath) === false && !lastConflictEntry(a.changeLog));
+
+    console.log('\n2️⃣ last_write_wins:');
+    await Promise.all([a.changeLog.setValue(operationPath, 'move'), b.changeLog.setValue(operationPath, 'resize')]);
+    await settle();
+    const lww = lastConflictEntry(a.changeLog);
+    check('tabs converge', a.changeLog.getValue(operationPath) === b.changeLog.getValue(operationPath));
+    check('conflict resolution logged with the strategy', lww && lww.metadata.strategy === 'last_write_wins');
+    check('both tabs picked the same winner', lww && lastConflictEntry(b.changeLog).metadata.winner === lww.metadata.winner);
+    check('converged on the winner\'s value', lww && b.changeLog.getValue(operationPath) === (lww.metadata.winner.startsWith('tab_b') ? 'resize' : 'move'));
+    check('each tab logs the kept value, not the discarded one', [a, b].every(tab => {
+        const entry = lastConflictEntry(tab.changeLog);
+        return entry && entry.new_value === tab.changeLog.getValue(operationPath) && entry.metadata.discarded_value !== entry.new_value;
+    }));
+
+    console.log('\n3️⃣ first_write_wins:');
+    await a.changeLog.setValue(strategyPath, 'first_write_wins');
+    await settle();
+    check('strategy synced to the other tab', b.changeLog.getValue(strategyPath) === 'first_write_wins');
+    const before = a.changeLog.getValue(operationPath);
+    await Promise.all([a.changeLog.setValue(operationPath, 'select'), b.changeLog.setValue(operationPath, 'delete')]);
+    await settle();
+    const fww = lastConflictEntry(b.changeLog);
+    check('tabs converge', a.changeLog.getValue(operationPath) === b.changeLog.getValue(operationPath));
+    check('conflict resolved first-write-wins', fww && fww.metadata.strategy === 'first_write_wins');
+    check('value changed from before the race', a.changeLog.getValue(operationPath) !== before);
+
+    console.log('\n4️⃣ manual:');
+    await a.changeLog.setValue(strategyPath, 'manual');
+    await settle();
+    await Promise.all([a.changeLog.setValue(operationPath, 'copy'), b.changeLog.setValue(operationPath, 'paste')]);
+    await settle();
+    const conflictsA = a.changeLog.getValue(conflictsPath);
+    const conflictsB = b.changeLog.getValue(conflictsPath);
+    check('each tab keeps its own value', a.changeLog.getValue(operationPath) === 'copy' && b.changeLog.getValue(operationPath) === 'paste');
+    check('conflict recorded in version_control.conflicts on both tabs', conflictsA.length === 1 && conflictsB.length === 1);
+    check('conflict describes both values', conflictsA[0].local_value === 'copy' && conflictsA[0].remote_value === 'paste');
+
+    await a.sync.resolveConflict(conflictsA[0].id, 'remote');
+    await settle();
+    check('resolution applied in the resolving tab', a.changeLog.getValue(operationPath) === 'paste');
+    check('resolution propagated', b.changeLog.getValue(operationPath) === 'paste');
+    check('conflict cleared on both tabs', a.changeLog.getValue(conflictsPath).length === 0 && b.changeLog.getValue(conflictsPath).length === 0);
+
+    let unknownError = null;
+    try {
+        await a.sync.resolveConflict('conflict_missing');
+    } catch (error) {
+        unknownError = error;
+    }
+    check('unknown conflict id rejected', unknownError && /conflict_missing/.test(unknownError.message));
+
+    a.sync.stop();
+    b.sync.stop();
+    await a.changeLog.destroy();
+    await b.changeLog.destroy();
+}
+
+runTest('context sync', testContextSync);
@@ -93,9 +93,8 @@ try {
         
         if (container.resizeableBehavior) {
             try {
-                // Test _isAllowedInCurrentMode
-                const isAllowed = container.resizeableBehavior._isAllowedInCurrentMode();
-                console.log(`✅ _isAllowedInCurrentMode(): ${isAllowed}`);
+                // Mode gating lives in the Event Handler; the behavior only checks the capability
+                console.log(`✅ isResizeable: ${container.isResizeable}`);
                 
                 // Test showResizeHandles
                 const showResult = container.resizeableBehavior.showResizeHandles({ visible: true });
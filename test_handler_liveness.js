@@ -0,0 +1,128 @@
+/**
+ * Test Handler Liveness
+ * Verifies heartbeats in changelog.handlers, that the supervisor marks silent
+ * handlers lost, releases their locks through the Event Handler and logs
+ * handler_lost, and that live or cleanly stopped handlers are left alone.
+ */
+
+const fs = require('fs');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+const EventHandler = require('./App/Handler/Event Handler.js');
+const HandlerSupervisor = require('./App/Handler/Handler Supervisor.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const template = fs.readFileSync('./App/Context/current_context_meta.json', 'utf8');
+const dragLock = 'current_context_meta.interaction_locks.drag_lock';
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * A manager standing in for a separate handler process sharing the same storage
+ */
+async function openProcess(storage, handlerName) {
+    const changeLog = new ChangeLogManager(undefined, undefined, {
+        storage,
+        bus: new ChangeLogManager.ChangeEventBus(),
+        crossProcessPolling: false,
+        heartbeatInterval: 20
+    });
+    await changeLog.ready;
+    if (handlerName) changeLog.registerHandler(handlerName);
+    return changeLog;
+}
+
+async function testHandlerLiveness() {
+    console.log('🔧 Testing handler liveness...\n');
+
+    const storage = new MemoryStorageAdapter();
+    await storage.write('context', template);
+    const eventLog = await openProcess(storage, null);
+    const eventHandler = new EventHandler(eventLog);
+    const ioLog = await openProcess(storage, 'io_handler');
+    const interfaceLog = await openProcess(storage, 'interface_handler');
+    const stoppedLog = await openProcess(storage, 'graphics_handler');
+    await wait(50);
+
+    console.log('1️⃣ Heartbeats:');
+    const handlers = () => eventLog.changelogCache.handlers;
+    await eventLog.saveChangelog();
+    const firstBeat = handlers().io_handler.last_heartbeat;
+    check('registration recorded as alive', handlers().io_handler.status === 'alive' && handlers().io_handler.is_listening);
+    await wait(50);
+    await eventLog.saveChangelog();
+    check('heartbeat advances last_heartbeat', handlers().io_handler.last_heartbeat > firstBeat);
+
+    await stoppedLog.destroy();
+    await eventLog.saveChangelog();
+    check('clean shutdown recorded as stopped', handlers().graphics_handler.status === 'stopped');
+
+    console.log('\n2️⃣ Lost handler:');
+    await eventHandler.requestLock('drag_lock', 'mouse_drag_box_1', { source: 'io_handler' });
+    await eventHandler.requestLock('resize_lock', 'resize_operation_box_2', { source: 'interface_handler' });
+    check('lock recorded in lock_registry', eventLog.getRecordedLocks().drag_lock_mouse_drag_box_1.holder === 'io_handler');
+
+    // The io_handler process "crashes": no more heartbeats
+    ioLog.stopHeartbeat();
+    await wait(150);
+
+    const supervisor = new HandlerSupervisor(eventLog, eventHandler, { livenessTimeout: 100 });
+    const lost = await supervisor.checkLiveness();
+    check('only the silent handler is lost', lost.join() === 'io_handler');
+    check('record marked lost', handlers().io_handler.status === 'lost' && !handlers().io_handler.is_listening && handlers().io_handler.lost_at);
+    check('its lock released through the Event Handler', !eventHandler.activeLocks.has('drag_lock_mouse_drag_box_1'));
+    check('lock flag cleared in context', eventLog.getValue(dragLock) === false);
+    check('lock removed from lock_registry', !eventLog.getRecordedLocks().drag_lock_mouse_drag_box_1);
+    check('live handler keeps its lock', eventHandler.activeLocks.has('resize_lock_resize_operation_box_2'));
+    const lostEntry = eventLog.query({ action: 'handler_lost' }).entries[0];
+    check('handler_lost logged', lostEntry && lostEntry.context_path === 'handlers.io_handler' &&
+        lostEntry.metadata.released_locks.join() === 'drag_lock_mouse_drag_box_1');
+    check('lost handler reported once', (await supervisor.checkLiveness()).length === 0);
+
+    console.log('\n3️⃣ Recovery and orphans:');
+    await ioLog.heartbeat();
+    ioLog.startHeartbeat();
+    await eventLog.saveChangelog();
+    check('heartbeat revives a handler wrongly declared lost', handlers().io_handler.status === 'alive');
+
+    // A lock granted by an Event Handler in a process that died with it
+    const remoteLog = await openProcess(storage, 'remote_event_handler');
+    await remoteLog.recordLock('edit_lock_edit_operation_box_3', {
+        lock_type: 'edit_lock',
+        operation_id: 'edit_operation_box_3',
+        holder: 'interface_handler',
+        granted_by: 'remote_event_handler',
+        acquired_at: Date.now()
+    });
+    await remoteLog.updateContext('current_context_meta.interaction_locks.edit_lock', true, 'lock_acquired');
+    remoteLog.stopHeartbeat();
+    await wait(150);
+    const lostRemote = await supervisor.checkLiveness();
+    check('dead Event Handler detected', lostRemote.join() === 'remote_event_handler');
+    check('its orphaned registry lock released', !eventLog.getRecordedLocks().edit_lock_edit_operation_box_3);
+    check('orphaned lock flag cleared', eventLog.getValue('current_context_meta.interaction_locks.edit_lock') === false);
+
+    // Two holders of one lock type: a live one here, an orphan of a process that dies
+    await eventHandler.requestLock('save_lock', 'save_box_4', { source: 'interface_handler' });
+    const droppedLog = await openProcess(storage, 'dropped_event_handler');
+    await droppedLog.recordLock('save_lock_save_box_5', {
+        lock_type: 'save_lock',
+        operation_id: 'save_box_5',
+        holder: 'io_handler',
+        granted_by: 'dropped_event_handler',
+        acquired_at: Date.now()
+    });
+    droppedLog.stopHeartbeat();
+    await wait(150);
+    const lostHolder = await supervisor.checkLiveness();
+    check('only the lost holder\'s lock released', lostHolder.join() === 'dropped_event_handler' &&
+        !eventLog.getRecordedLocks().save_lock_save_box_5 && eventHandler.activeLocks.has('save_lock_save_box_4'));
+    check('lock flag stays set while the other holder remains',
+        eventLog.getValue('current_context_meta.interaction_locks.save_lock') === true);
+
+    eventHandler.destroy();
+    await wait(20);
+    await Promise.all([eventLog, ioLog, interfaceLog, remoteLog, droppedLog].map(log => log.destroy()));
+}
+
+runTest('handler liveness', testHandlerLiveness);
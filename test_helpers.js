@@ -0,0 +1,60 @@
+/**
+ * Test Helpers
+ * Shared setup for the node test scripts: changelog managers on in-memory storage
+ * seeded with the context template, a check() that counts failures, and runTest()
+ * to report the result and set the exit code.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const { MemoryStorageAdapter } = require('./App/Context/StorageAdapters.js');
+
+const contextTemplate = fs.readFileSync(path.join(__dirname, 'App/Context/current_context_meta.json'), 'utf8');
+
+let failures = 0;
+
+function check(label, condition) {
+    console.log(`   ${condition ? '✅' : '❌'} ${label}`);
+    if (!condition) failures++;
+}
+
+/**
+ * Open one changelog manager per handler name, all on the same storage and bus
+ * Pass null for a manager that registers no handler. Polling, heartbeats and
+ * snapshots are off so the script exits once the test is done.
+ */
+async function openChangeLogs(...handlers) {
+    const storage = new MemoryStorageAdapter();
+    await storage.write('context', contextTemplate);
+    const bus = new ChangeLogManager.ChangeEventBus();
+
+    const managers = [];
+    for (const handler of handlers.length > 0 ? handlers : [null]) {
+        const changeLog = new ChangeLogManager(undefined, undefined, {
+            storage,
+            bus,
+            crossProcessPolling: false,
+            heartbeatInterval: 0,
+            snapshotInterval: 0
+        });
+        await changeLog.ready;
+        if (handler) changeLog.registerHandler(handler);
+        managers.push(changeLog);
+    }
+    return managers;
+}
+
+function runTest(name, test) {
+    return test()
+        .catch(error => {
+            console.error('❌ Test execution failed:', error);
+            failures++;
+        })
+        .finally(() => {
+            console.log(failures === 0 ? `\n✅ All ${name} tests passed` : `\n❌ ${failures} check(s) failed`);
+            process.exitCode = failures === 0 ? 0 : 1;
+        });
+}
+
+module.exports = { check, openChangeLogs, runTest };
@@ -0,0 +1,103 @@
+/**
+ * Test Hierarchical Locks
+ * Verifies shared/exclusive lock modes and subtree locking on the container
+ * hierarchy: a lock on a container covers its descendants, and a lock on a
+ * descendant places an intention lock (IS/IX) on every ancestor.
+ */
+
+const EventHandler = require('./App/Handler/Event Handler.js');
+const BaseContainer = require('./App/Components/Developer Level/base container.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+async function openEventHandler() {
+    const [changeLog] = await openChangeLogs();
+    const eventHandler = new EventHandler(changeLog);
+    eventHandler.useContainerTree(BaseContainer);
+    return { changeLog, eventHandler };
+}
+
+async function testHierarchicalLocks() {
+    console.log('🔧 Testing shared/exclusive and hierarchical locks...\n');
+
+    // form_root > section_1 > field_a, field_b; form_root > section_2 > field_c
+    const root = new BaseContainer('form_root', null, 'canvas');
+    const section1 = new BaseContainer('section_1', root);
+    new BaseContainer('field_a', section1);
+    new BaseContainer('field_b', section1);
+    const section2 = new BaseContainer('section_2', root);
+    new BaseContainer('field_c', section2);
+    const { changeLog, eventHandler } = await openEventHandler();
+    check('paths come from the container tree', eventHandler.getContainerPath('field_a').join() === 'form_root,section_1,field_a' &&
+        eventHandler.getContainerPath('loose_1').join() === 'loose_1');
+
+    console.log('\n1️⃣ Subtree locks:');
+    const parentDrag = await eventHandler.requestLock('drag_lock', 'drag_section_1', { source: 'test' });
+    const childResize = await eventHandler.requestLock('resize_lock', 'resize_field_a', { onReject: () => {} });
+    const childDrag = await eventHandler.requestLock('drag_lock', 'drag_field_b', { onReject: () => {} });
+    const otherBranch = await eventHandler.requestLock('resize_lock', 'resize_field_c', {});
+    const unrelated = await eventHandler.requestLock('loading_lock', 'load_field_a', {});
+    check('dragging a container blocks resizing inside it', parentDrag === true && childResize === false);
+    check('same lock type inside the subtree is blocked too', childDrag === false);
+    check('other branches stay free', otherBranch === true);
+    check('queued child requests wait for the parent', eventHandler.lockQueue.length === 2);
+    check('types without conflict rules do not interact', unrelated === true);
+
+    await eventHandler.releaseLock('drag_lock', 'drag_section_1');
+    await eventHandler.releaseLock('loading_lock', 'load_field_a');
+    check('releasing the parent grants the children', eventHandler.activeLocks.has('resize_lock_resize_field_a') &&
+        eventHandler.activeLocks.has('drag_lock_drag_field_b'));
+
+    console.log('\n2️⃣ Intention locks:');
+    const intentions = eventHandler.getIntentionLocks();
+    check('ancestors carry IX for exclusive child locks', intentions.section_1.length === 2 &&
+        intentions.section_1.every(lock => lock.mode === 'IX') && intentions.form_root.length === 3);
+    check('the locked component itself has no intention', !intentions.field_a);
+    const rootResize = await eventHandler.requestLock('resize_lock', 'resize_form_root', { onReject: () => {} });
+    const rootConflicts = eventHandler.checkConflicts('resize_lock', 'resize_form_root');
+    check('exclusive lock on an ancestor conflicts with the child\'s intention', rootResize === false &&
+        rootConflicts.includes('resize_lock_resize_field_a') && rootConflicts.includes('resize_lock_resize_field_c'));
+    const acquired = changeLog.query({ path: 'current_context_meta.interaction_locks.resize_lock' }).entries
+        .find(entry => entry.change_type === 'lock_acquired' && entry.metadata.operation_id === 'resize_field_a');
+    check('lock_acquired records mode and intention path', acquired && acquired.metadata.mode === 'exclusive' &&
+        acquired.metadata.component_id === 'field_a' && acquired.metadata.intention_on.join() === 'form_root,section_1');
+
+    await eventHandler.releaseAllLocks('test');
+
+    console.log('\n3️⃣ Shared and exclusive modes:');
+    const firstCheck = await eventHandler.requestLock('validation_lock', 'validate_field_a', {});
+    const secondCheck = await eventHandler.requestLock('validation_lock', 'check_field_a', {});
+    const save = await eventHandler.requestLock('save_lock', 'save_field_a', { onReject: () => {} });
+    const parentCheck = await eventHandler.requestLock('validation_lock', 'validate_section_1', {});
+    const parentSave = await eventHandler.requestLock('save_lock', 'save_section_1', { onReject: () => {} });
+    check('shared locks on one component coexist', firstCheck === true && secondCheck === true);
+    check('an exclusive lock waits for the shared holders', save === false);
+    check('shared parent lock is compatible with shared children (IS)', parentCheck === true);
+    check('exclusive parent lock is not (IS vs X)', parentSave === false);
+    check('detailed status lists modes and intentions', (() => {
+        const status = eventHandler.getDetailedLockStatus();
+        return status.activeLocks.filter(lock => lock.mode === 'shared').length === 3 &&
+            status.intentionLocks.section_1.every(lock => lock.mode === 'IS');
+    })());
+
+    await eventHandler.releaseLock('validation_lock', 'validate_field_a');
+    check('lock flag stays set while another shared holder remains',
+        changeLog.getValue('current_context_meta.interaction_locks.validation_lock') === true);
+    await eventHandler.releaseLock('validation_lock', 'check_field_a');
+    await eventHandler.releaseLock('validation_lock', 'validate_section_1');
+    check('exclusive lock granted once the readers leave', eventHandler.activeLocks.has('save_lock_save_field_a') &&
+        !eventHandler.activeLocks.has('save_lock_save_section_1'));
+
+    let modeError = null;
+    try {
+        await eventHandler.requestLock('edit_lock', 'edit_field_a', { mode: 'optimistic' });
+    } catch (error) {
+        modeError = error;
+    }
+    check('unknown lock modes rejected', modeError && /Unknown lock mode/.test(modeError.message));
+
+    await eventHandler.releaseAllLocks('test');
+    eventHandler.destroy();
+    await changeLog.destroy();
+}
+
+runTest('hierarchical lock', testHierarchicalLocks);
@@ -0,0 +1,136 @@
+/**
+ * Test Input Coalescing
+ * Drives IOHandler with synthetic mouse events and checks that moves are folded
+ * into one changelog entry per frame, that velocity and drag deltas stay exact,
+ * and that button transitions are never coalesced or reordered.
+ */
+
+const ContextCoalescer = require('./App/Context/ContextCoalescer.js');
+const IOHandler = require('./App/Handler/io Handler');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const MOUSE = 'current_context_meta.current_mouse_input';
+
+// IOHandler listens on the DOM; EventTargets stand in for document and window
+global.document = new EventTarget();
+global.window = new EventTarget();
+
+// Frames and the clock are driven by the test
+const frames = [];
+const nextFrame = async () => {
+    const callbacks = frames.splice(0);
+    callbacks.forEach(callback => callback());
+    await new Promise(resolve => setTimeout(resolve, 10));
+};
+let now = Date.now();
+const realNow = Date.now;
+Date.now = () => now;
+
+const move = (x, y) => ({ clientX: x, clientY: y, offsetX: 0, offsetY: 0 });
+const button = (x, y) => ({ ...move(x, y), button: 0 });
+
+async function openIO() {
+    const [changeLog] = await openChangeLogs();
+    const io = new IOHandler(changeLog, { coalescing: { requestFrame: callback => frames.push(callback) } });
+    return { changeLog, io };
+}
+
+const entriesAt = (changeLog, path) => changeLog.query({ path: `${MOUSE}.${path}` }).entries;
+
+async function testInputCoalescing() {
+    console.log('🔧 Testing input coalescing...\n');
+
+    const { changeLog, io } = await openIO();
+
+    console.log('1️⃣ Moves within a frame:');
+    const moves = [];
+    for (let i = 1; i <= 50; i++) {
+        now += 2;
+        moves.push(io.handleMouseMove(move(i * 4, 100)));
+    }
+    let settled = false;
+    Promise.all(moves).then(() => { settled = true; });
+    await Promise.resolve();
+    const beforeFrame = changeLog.query({}).total;
+    const settledBeforeFrame = settled;
+    await nextFrame();
+    await Promise.all(moves);
+    const positions = entriesAt(changeLog, 'position');
+    check('nothing written before the frame ends', beforeFrame === 0);
+    check('one position entry per frame', positions.length === 1);
+    check('latest position kept', positions[0].new_value.x === 200 && changeLog.getValue(`${MOUSE}.position.x`) === 200);
+    check('old_value is the position before the frame', positions[0].old_value.x === 0);
+    check('entry counts the writes it stands for', positions[0].metadata.coalesced_writes === 50);
+    check('moves resolve once their frame is written', !settledBeforeFrame && settled);
+    check('velocity from the raw events (4px / 2ms)', changeLog.getValue(`${MOUSE}.movement_velocity.x`) === 2000);
+
+    console.log('\n2️⃣ Dragging:');
+    now += 100;
+    await io.handleMouseDown(button(200, 100));
+    const downEntry = entriesAt(changeLog, 'buttons_pressed').pop();
+    for (let i = 1; i <= 30; i++) {
+        now += 5;
+        io.handleMouseMove(move(200 + i * 3, 100 + i));
+    }
+    await Promise.resolve();
+    await nextFrame();
+    check('button press written at once', downEntry && downEntry.new_value.join() === '0');
+    const dragStart = entriesAt(changeLog, 'is_dragging');
+    check('drag start never coalesced', dragStart.length === 1 && dragStart[0].new_value === true &&
+        dragStart[0].metadata.event_type === 'drag_start');
+    check('drag start position recorded', entriesAt(changeLog, 'drag_start_position')[0].new_value.x === 200);
+    const deltas = entriesAt(changeLog, 'drag_delta');
+    check('drag deltas coalesced', deltas.length === 2);
+    check('final drag delta exact', JSON.stringify(changeLog.getValue(`${MOUSE}.drag_delta`)) === JSON.stringify({ x: 90, y: 30 }));
+    check('velocity exact during the drag (3px / 5ms)', changeLog.getValue(`${MOUSE}.movement_velocity.x`) === 600);
+
+    now += 5;
+    io.handleMouseMove(move(300, 140)); // staged, frame not over yet
+    await Promise.resolve();
+    now += 5;
+    await io.handleMouseUp(button(300, 140));
+    const lastDelta = entriesAt(changeLog, 'drag_delta').pop();
+    const upEntry = entriesAt(changeLog, 'buttons_pressed').pop();
+    const dragEnd = entriesAt(changeLog, 'is_dragging').pop();
+    check('button release flushes staged moves first', lastDelta.new_value.x === 100 && lastDelta.sequence_id < upEntry.sequence_id);
+    check('button release written without waiting for a frame', upEntry.new_value.length === 0 && dragEnd.new_value === false);
+
+    console.log('\n3️⃣ Button transitions:');
+    const before = entriesAt(changeLog, 'buttons_pressed').length;
+    for (let i = 0; i < 3; i++) {
+        io.handleMouseMove(move(300 + i, 140));
+        io.handleMouseDown(button(300 + i, 140));
+        io.handleMouseUp(button(300 + i, 140));
+    }
+    await changeLog.flush();
+    await nextFrame();
+    const presses = entriesAt(changeLog, 'buttons_pressed').slice(before);
+    check('every press and release kept within one frame', presses.map(entry => entry.metadata.event_type).join() ===
+        'mousedown,mouseup,mousedown,mouseup,mousedown,mouseup');
+
+    console.log('\n4️⃣ Buffer pressure and rules:');
+    const start = changeLog.query({}).total;
+    for (let frame = 0; frame < 4; frame++) {
+        for (let i = 0; i < 50; i++) {
+            now += 1;
+            io.handleMouseMove(move(i, frame));
+        }
+        await Promise.resolve();
+        await nextFrame();
+    }
+    check('200 moves over 4 frames take 8 entries instead of 400', changeLog.query({}).total - start === 8);
+
+    const coalescer = new ContextCoalescer(changeLog, { rules: { [`current_context_meta.*.wheel_delta`]: 50 } });
+    check('glob rules', coalescer.ruleFor(`${MOUSE}.wheel_delta`) === 50 && coalescer.ruleFor(`${MOUSE}.position`) === null);
+    Date.now = realNow;
+    const wheel = [1, 2, 3].map(delta => coalescer.updateContext(`${MOUSE}.wheel_delta`, delta));
+    const wheelIds = await Promise.all(wheel);
+    check('ms window rule writes the latest value once', entriesAt(changeLog, 'wheel_delta').length === 1 &&
+        changeLog.getValue(`${MOUSE}.wheel_delta`) === 3 && new Set(wheelIds.flat()).size === 1);
+
+    io.destroy();
+    await changeLog.destroy();
+}
+
+runTest('input coalescing', testInputCoalescing)
+    .finally(() => { Date.now = realNow; });
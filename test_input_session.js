@@ -0,0 +1,133 @@
+/**
+ * Test Input Session
+ * Records a select/deselect/drag/shortcut session through IOHandler, replays the
+ * trace into fresh handlers and checks that replays are deterministic and that
+ * the trace's context and graphics request expectations catch a regression.
+ */
+
+const IOHandler = require('./App/Handler/io Handler');
+const { InputRecorder, InputPlayer } = require('./App/Handler/Input Session.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const MOUSE = 'current_context_meta.current_mouse_input';
+const KEYS = 'current_context_meta.current_keyboard_input.keys_pressed';
+const BOX = { id: 'box_1', x: 100, y: 100, width: 80, height: 40 };
+
+// IOHandler listens on the DOM; EventTargets stand in for document and window
+global.document = new EventTarget();
+global.window = new EventTarget();
+
+/**
+ * Stand-in for the selection behavior: a press on the box toggles its selection
+ * and asks the Graphics Handler to restyle it. `buggy` drops the second select.
+ */
+function attachSelection(changeLog, graphics, buggy = false) {
+    let selected = false;
+    let selections = 0;
+    return changeLog.subscribe(`${MOUSE}.buttons_pressed`, (value, entry) => {
+        if (entry.metadata.event_type !== 'mousedown') return;
+        const { x, y } = changeLog.getValue(`${MOUSE}.position`);
+        if (x < BOX.x || x > BOX.x + BOX.width || y < BOX.y || y > BOX.y + BOX.height) return;
+
+        selected = !selected;
+        if (selected && ++selections === 2 && buggy) return;
+        graphics.executeRequest({ type: 'class_update', componentId: BOX.id, options: { selected } });
+    });
+}
+
+async function openSession(buggy = false) {
+    const [changeLog] = await openChangeLogs();
+    const io = new IOHandler(changeLog);
+    const graphics = { requests: 0, async executeRequest() { this.requests++; return { success: true }; } };
+    attachSelection(changeLog, graphics, buggy);
+    return { changeLog, io, graphics };
+}
+
+const fire = (target, type, fields) => target.dispatchEvent(Object.assign(new Event(type), fields));
+const mouse = (x, y, button = 0) => ({ clientX: x, clientY: y, offsetX: 0, offsetY: 0, button });
+
+async function testInputSession() {
+    console.log('🔧 Testing input record and replay...\n');
+    const realNow = Date.now;
+    let now = realNow();
+
+    console.log('1️⃣ Recording:');
+    const recording = await openSession();
+    const recorder = new InputRecorder(recording.io, {
+        graphicsHandler: recording.graphics,
+        expectPaths: [`${MOUSE}.position`, `${MOUSE}.buttons_pressed`, `${MOUSE}.drag_delta`, `${MOUSE}.movement_velocity`, KEYS]
+    });
+    Date.now = () => now;
+    recorder.start();
+    const step = (ms, target, type, fields) => { now += ms; fire(target, type, fields); };
+
+    // Select and deselect the box twice
+    for (let i = 0; i < 4; i++) {
+        step(40, document, 'mousemove', mouse(120 + i, 110));
+        step(30, document, 'mousedown', mouse(120 + i, 110));
+        step(60, document, 'mouseup', mouse(120 + i, 110));
+    }
+    // Drag across empty canvas
+    step(50, document, 'mousedown', mouse(200, 150));
+    for (let i = 1; i <= 10; i++) step(8, document, 'mousemove', mouse(200 + i * 6, 150 + i * 2));
+    step(20, document, 'mouseup', mouse(260, 170));
+    // Ctrl+S
+    step(100, document, 'keydown', { key: 'Control', ctrlKey: true });
+    step(30, document, 'keydown', { key: 's', ctrlKey: true });
+    step(50, document, 'keyup', { key: 's', ctrlKey: true });
+    step(20, document, 'keyup', { key: 'Control' });
+    step(10, window, 'resize', {});
+    Date.now = realNow;
+
+    const trace = JSON.parse(JSON.stringify(await recorder.stop()));
+    check('every event captured with its timing', trace.events.length === 29 &&
+        trace.events[1].t === 70 && trace.events[1].type === 'mousedown' && trace.events[28].target === 'window');
+    check('only the fields IOHandler reads', JSON.stringify(trace.events[1].data) === JSON.stringify(mouse(120, 110)));
+    check('context expectations captured', JSON.stringify(trace.expect.context[`${MOUSE}.drag_delta`]) === '{"x":60,"y":20}' &&
+        trace.expect.context[KEYS].length === 0);
+    check('graphics requests captured', trace.expect.graphics_requests.map(request => request.options.selected).join() ===
+        'true,false,true,false');
+
+    console.log('\n2️⃣ Replay:');
+    const replays = [];
+    for (let run = 0; run < 2; run++) {
+        const session = await openSession();
+        const report = await new InputPlayer(session.io, { graphicsHandler: session.graphics }).play(trace);
+        replays.push({ session, report });
+    }
+    const [first, second] = replays;
+    check('replay meets the recorded expectations', first.report.passed && first.report.failures.length === 0);
+    check('graphics requests reissued', first.session.graphics.requests === 4 && first.report.graphics_requests.length === 4);
+    check('velocity from trace timings, not replay speed (6px / 8ms)',
+        first.session.changeLog.getValue(`${MOUSE}.movement_velocity.x`) === trace.expect.context[`${MOUSE}.movement_velocity`].x &&
+        trace.expect.context[`${MOUSE}.movement_velocity`].x === 750);
+    const written = ({ session }) => JSON.stringify(session.changeLog.query({ action: 'context_update' }).entries
+        .map(entry => [entry.context_path, entry.new_value, entry.metadata.coalesced_writes]));
+    check('replays are deterministic', written(first) === written(second));
+    check('clock restored after replay', Math.abs(Date.now() - realNow()) < 5);
+
+    console.log('\n3️⃣ Regressions:');
+    const broken = await openSession(true);
+    const report = await new InputPlayer(broken.io, { graphicsHandler: broken.graphics }).play(trace);
+    check('missing render caught', !report.passed && report.failures.some(failure => /expected 4, got 3/.test(failure)));
+    check('mismatch named', report.failures.some(failure => /#3: expected options \{"selected":true\}/.test(failure)));
+
+    const moved = await openSession();
+    const contextReport = await new InputPlayer(moved.io).play(trace, { context: { [`${MOUSE}.position.x`]: 0 } });
+    check('context mismatch caught', !contextReport.passed && /position\.x: expected 0, got 260/.test(contextReport.failures[0]));
+
+    let formatError = null;
+    try {
+        await new InputPlayer(moved.io).play({ events: [] });
+    } catch (error) {
+        formatError = error;
+    }
+    check('non-trace input rejected', formatError && /not an input trace/.test(formatError.message));
+
+    for (const { io, changeLog } of [recording, first.session, second.session, broken, moved]) {
+        io.destroy();
+        await changeLog.destroy();
+    }
+}
+
+runTest('input session', testInputSession);
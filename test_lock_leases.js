@@ -0,0 +1,141 @@
+/**
+ * Test Lock Leases
+ * Verifies that locks expire after their per-type lease unless the owner renews
+ * them, that the owner is told when a lock expires or is revoked, and that
+ * MovableBehavior aborts a move cleanly when its drag lease is taken away.
+ */
+
+const fs = require('fs');
+const EventHandler = require('./App/Handler/Event Handler.js');
+const MovableBehavior = require('./App/Components/User Level/Base User Container/MovableBehavior.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const rules = JSON.parse(fs.readFileSync('./App/Handler/lock_rules.json', 'utf8'));
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function openEventHandler() {
+    const [changeLog] = await openChangeLogs();
+
+    // Same rules with leases short enough to watch expire
+    rules.rule_sets.test = { extends: 'default', leases: { drag_lock: 60, resize_lock: 60, edit_lock: 60 } };
+    return { changeLog, eventHandler: new EventHandler(changeLog, { lockRules: rules, ruleSet: 'test' }) };
+}
+
+async function testLockLeases() {
+    console.log('🔧 Testing lock leases...\n');
+
+    console.log('1️⃣ Leases:');
+    const { changeLog, eventHandler } = await openEventHandler();
+    check('lease per lock type from the rules', eventHandler.lockLeases.drag_lock === 60 && eventHandler.lockLeases.save_lock === 15000 &&
+        eventHandler.lockLeases.modal_lock === 0);
+
+    const expired = [];
+    await eventHandler.requestLock({ type: 'drag_lock', scope: { componentId: 'box_1' }, owner: 'dragger', onExpire: info => expired.push(info) });
+    const expiresAt = eventHandler.getDetailedLockStatus().activeLocks[0].expiresAt;
+    const leaseTimer = eventHandler.lockTimeouts.get('drag_lock_box_1@dragger');
+    await wait(120);
+    await changeLog.flush();
+    const released = changeLog.query({ path: 'current_context_meta.interaction_locks.drag_lock' }).entries
+        .find(entry => entry.change_type === 'lock_released');
+    check('lease timer does not hold the process open', leaseTimer && leaseTimer.hasRef() === false);
+    check('unrenewed lock expires after its lease', eventHandler.activeLocks.size === 0 && expiresAt > Date.now() - 200);
+    check('owner told on expiry', expired.length === 1 && expired[0].reason === 'lease_expired' && expired[0].owner === 'dragger' &&
+        expired[0].heldFor >= 60);
+    check('expiry logged as a release', released && released.metadata.reason === 'lease_expired');
+
+    const edit = { type: 'edit_lock', scope: { componentId: 'box_2' }, owner: 'editor' };
+    await eventHandler.requestLock(edit);
+    for (let i = 0; i < 8; i++) {
+        await wait(20);
+        eventHandler.renewLock(edit);
+    }
+    check('renewal heartbeat keeps a long operation locked', eventHandler.activeLocks.has('edit_lock_box_2@editor'));
+    await wait(120);
+    check('stopping the heartbeat lets it lapse', !eventHandler.activeLocks.has('edit_lock_box_2@editor') && eventHandler.renewLock(edit) === false);
+
+    await eventHandler.requestLock('drag_lock', 'drag_box_3', { lease: 0 });
+    await eventHandler.requestLock('resize_lock', 'resize_box_4', { persistent: true });
+    // modal_lock's lease is 0 in the rules
+    await eventHandler.requestLock('modal_lock', 'modal_confirm', {});
+    await wait(100);
+    check('lease 0 and persistent locks never expire', eventHandler.activeLocks.size === 3 && eventHandler.lockTimeouts.size === 0);
+    await eventHandler.releaseAllLocks('test');
+
+    console.log('\n2️⃣ Context-driven locks:');
+    const moving = (handler, value) => ({
+        handler, action: 'context_update', context_path: 'current_context_meta.active_operations.is_moving', old_value: !value, new_value: value
+    });
+    const activity = handler => ({ handler, action: 'context_update', context_path: 'current_context_meta.selection_context.last_selected' });
+    await eventHandler.handleContextChanges([moving('interface_handler', true)]);
+    for (let i = 0; i < 6; i++) {
+        await wait(20);
+        await eventHandler.handleContextChanges([activity('interface_handler')]);
+    }
+    const keptAlive = eventHandler.activeLocks.size === 1;
+    for (let i = 0; i < 6; i++) {
+        await wait(20);
+        await eventHandler.handleContextChanges([activity('io_handler')]);
+    }
+    check('renewed while the source handler keeps writing', keptAlive);
+    check('writes from other handlers do not renew it', eventHandler.activeLocks.size === 0);
+
+    const lost = [];
+    await eventHandler.requestLock('save_lock', 'save_form_1', { source: 'interface_handler', onExpire: info => lost.push(info) });
+    await eventHandler.releaseLocksHeldBy('interface_handler', 'handler_lost');
+    check('revocation reported to the owner', lost.length === 1 && lost[0].reason === 'handler_lost');
+
+    console.log('\n3️⃣ MovableBehavior:');
+    const graphics = { requests: [], executeRequest(request) { this.requests.push(request); } };
+    global.window = {
+        toolsApp: { eventHandler, graphicsHandler: graphics },
+        getComputedStyle: () => ({ left: '100px', top: '50px' })
+    };
+    let selections = 0;
+    const component = {
+        containerId: 'box_5', element: {}, isMovable: true, isDragging: false,
+        isDesignMode: () => true,
+        selectableBehavior: { suppressSelection: false, selectSingle() { selections++; } }
+    };
+    const movable = new MovableBehavior(component);
+
+    movable.startMove({ position: { x: 110, y: 60 } });
+    await wait(0);
+    const dragging = movable.performMove({ position: { x: 140, y: 90 } });
+    const held = eventHandler.activeLocks.has('drag_lock_box_5@movable_box_5');
+    await wait(120);
+    const afterRevoke = movable.performMove({ position: { x: 150, y: 95 } });
+    const ended = movable.endMove({});
+    const cancellation = graphics.requests[graphics.requests.length - 1];
+    check('move takes the drag lease', dragging.success && held && component.isDragging === false);
+    check('revoked lease aborts back to the start position', cancellation && cancellation.type === 'movement_cancellation' &&
+        cancellation.styles.left === '100px' && cancellation.styles.top === '50px' && !eventHandler.activeLocks.size);
+    check('later moves and the mouseup are ignored', !afterRevoke.success && ended.graphics_request.type === 'movement_reset' && selections === 0);
+
+    movable.startMove({ position: { x: 110, y: 60 } });
+    await wait(0);
+    for (let i = 1; i <= 6; i++) {
+        await wait(20);
+        movable.performMove({ position: { x: 110 + i * 10, y: 60 } });
+    }
+    const stillHeld = eventHandler.activeLocks.has('drag_lock_box_5@movable_box_5');
+    const completed = movable.endMove({});
+    await wait(0);
+    check('moving renews the lease', stillHeld && completed.graphics_request.type === 'movement_completion');
+    check('lease released when the move ends', eventHandler.activeLocks.size === 0);
+
+    await eventHandler.requestLock({ type: 'resize_lock', scope: { componentId: 'box_5' }, owner: 'resizer', lease: 0 });
+    movable.startMove({ position: { x: 110, y: 60 } });
+    await wait(0);
+    await wait(0);
+    const refused = movable.performMove({ position: { x: 160, y: 60 } });
+    check('busy component refuses the move and withdraws the request', !refused.success && eventHandler.lockQueue.length === 0 &&
+        !eventHandler.activeLocks.has('drag_lock_box_5@movable_box_5'));
+
+    delete global.window;
+    await eventHandler.releaseAllLocks('test');
+    eventHandler.destroy();
+    await changeLog.destroy();
+}
+
+runTest('lock lease', testLockLeases);
@@ -0,0 +1,113 @@
+/**
+ * Test Lock Queue
+ * Verifies deadlock detection on the Event Handler's wait-for graph, priority
+ * aging so low-priority requests are not starved, queue timeouts with the
+ * rejection callback, and the lock_deadlock_detected changelog entry.
+ */
+
+const EventHandler = require('./App/Handler/Event Handler.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function openEventHandler() {
+    const [changeLog] = await openChangeLogs();
+    return { changeLog, eventHandler: new EventHandler(changeLog) };
+}
+
+/**
+ * Hold drag and resize locks on box_3 in turn (both conflict with animation), handing over every
+ * 400ms, with the next request always already queued. Returns how long the
+ * animation_lock request waited, or null if it never got through.
+ */
+async function runContention(eventHandler, clock) {
+    const stream = ['resize_lock', 'drag_lock'];
+    let rejected = null;
+    await eventHandler.requestLock('drag_lock', 'drag0_box_3', { owner: 'stream' });
+    await eventHandler.requestLock('resize_lock', 'resize1_box_3', { owner: 'stream' });
+    const queuedAt = clock.now;
+    await eventHandler.requestLock('animation_lock', 'animate_box_3', {
+        owner: 'animator', queueTimeout: 60000, onReject: info => { rejected = info; }
+    });
+
+    let holder = ['drag_lock', 'drag0_box_3'];
+    for (let i = 1; i <= 40; i++) {
+        clock.now += 400;
+        await eventHandler.releaseLock(...holder);
+        if (eventHandler.activeLocks.has('animation_lock_animate_box_3')) {
+            await eventHandler.releaseLock('animation_lock', 'animate_box_3');
+            return { waited: clock.now - queuedAt, rejected };
+        }
+        holder = [stream[(i - 1) % 2], `${stream[(i - 1) % 2].split('_')[0]}${i}_box_3`];
+        const next = stream[i % 2];
+        await eventHandler.requestLock(next, `${next.split('_')[0]}${i + 1}_box_3`, { owner: 'stream' });
+    }
+    return { waited: null, rejected };
+}
+
+async function testLockQueue() {
+    console.log('🔧 Testing lock queue deadlocks and starvation...\n');
+    const realNow = Date.now;
+    const clock = { now: realNow() };
+
+    console.log('1️⃣ Deadlock:');
+    const { changeLog, eventHandler } = await openEventHandler();
+    Date.now = () => clock.now;
+    const rejections = [];
+    const onReject = info => rejections.push(info);
+    await eventHandler.requestLock('drag_lock', 'move_box_1', { owner: 'A', source: 'interface_handler' });
+    await eventHandler.requestLock('drag_lock', 'move_box_2', { owner: 'B', source: 'interface_handler' });
+    clock.now += 10;
+    const aWaits = await eventHandler.requestLock('resize_lock', 'resize_box_2', { owner: 'A', onReject });
+    const graph = eventHandler.getWaitForGraph();
+    clock.now += 10;
+    const bWaits = await eventHandler.requestLock('resize_lock', 'resize_box_1', { owner: 'B', onReject });
+    await changeLog.flush();
+    check('wait-for graph follows held locks', aWaits === false && [...graph.get('A')].join() === 'B');
+    check('circular wait rejected instead of queued', bWaits === false && rejections.length === 1 &&
+        rejections[0].reason === 'deadlock' && rejections[0].operationId === 'resize_box_1' && rejections[0].owner === 'B');
+    const [entry] = changeLog.query({ action: 'lock_deadlock_detected' }).entries;
+    check('lock_deadlock_detected logged', entry && entry.metadata.cycle.slice().sort().join() === 'A,B' &&
+        entry.metadata.victim === 'resize_lock_resize_box_1' && entry.metadata.held.length === 2);
+    check('diagnostic entry carries no context path or value', entry && entry.context_path === null && entry.new_value === null);
+    check('older waiter keeps its place', eventHandler.lockQueue.length === 1 && eventHandler.lockQueue[0].owner === 'A');
+    check('no cycle left', eventHandler.findWaitCycle() === null);
+
+    await eventHandler.releaseLock('drag_lock', 'move_box_2');
+    check('victim backing off lets the other finish', eventHandler.activeLocks.has('resize_lock_resize_box_2'));
+
+    console.log('\n2️⃣ Starvation:');
+    const fair = await openEventHandler();
+    const aged = await runContention(fair.eventHandler, clock);
+    const unfair = await openEventHandler();
+    unfair.eventHandler.queueAging.step = 0;
+    const starved = await runContention(unfair.eventHandler, clock);
+    check('without aging a low priority waits forever', starved.waited === null);
+    check('aging lets it through', aged.waited !== null && aged.waited <= 8000 && !aged.rejected);
+    await fair.eventHandler.requestLock('edit_lock', 'edit_box_4', {});
+    await fair.eventHandler.requestLock('resize_lock', 'resize_box_4', {});
+    clock.now += 3000;
+    const effective = fair.eventHandler.getDetailedLockStatus().queuedLocks[0].effectivePriority;
+    const jumped = await fair.eventHandler.requestLock('animation_lock', 'animate_box_4', {}); // free of active conflicts
+    check('effective priority grows while waiting', effective === 700 + 3 * 50);
+    check('new requests queue behind an aged conflicting waiter', jumped === false);
+    Date.now = realNow;
+
+    console.log('\n3️⃣ Queue timeout:');
+    let timedOut = null;
+    await unfair.eventHandler.requestLock('drag_lock', 'drag_form', {});
+    await unfair.eventHandler.requestLock('resize_lock', 'resize_form', {
+        queueTimeout: 30, onReject: info => { timedOut = info; }
+    });
+    await wait(80);
+    check('rejection callback after the queue timeout', timedOut && timedOut.reason === 'timeout' && timedOut.waited >= 30);
+    check('timed-out request leaves the queue', !unfair.eventHandler.lockQueue.some(lock => lock.operationId === 'resize_form'));
+
+    for (const handler of [eventHandler, fair.eventHandler, unfair.eventHandler]) {
+        await handler.releaseAllLocks('test');
+        handler.destroy();
+    }
+    await Promise.all([changeLog, fair.changeLog, unfair.changeLog].map(log => log.destroy()));
+}
+
+runTest('lock queue', testLockQueue);
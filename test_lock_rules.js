@@ -0,0 +1,163 @@
+/**
+ * Test Lock Rules
+ * Verifies that lock priorities and conflict rules come from lock_rules.json,
+ * that invalid configs (unknown lock types, broken extends) are rejected on
+ * load, that rule sets can be swapped at runtime and that the effective
+ * conflict matrix can be queried. The lock_rules_changed entry has no context
+ * path, and the other handlers' listeners must take it in stride.
+ */
+
+const fs = require('fs');
+const vm = require('vm');
+const EventHandler = require('./App/Handler/Event Handler.js');
+const LockRules = require('./App/Handler/Lock Rules.js');
+const IOHandler = require('./App/Handler/io Handler');
+const InterfaceHandler = require('./App/Handler/Interface Handler.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const bundled = JSON.parse(fs.readFileSync('./App/Handler/lock_rules.json', 'utf8'));
+
+async function openEventHandler(options) {
+    const [changeLog] = await openChangeLogs();
+    return { changeLog, eventHandler: new EventHandler(changeLog, options) };
+}
+
+function loadError(mutate) {
+    const config = JSON.parse(JSON.stringify(bundled));
+    mutate(config);
+    try {
+        new LockRules(config);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+async function testLockRules() {
+    console.log('🔧 Testing declarative lock rules...\n');
+
+    console.log('1️⃣ Bundled config:');
+    const { changeLog, eventHandler } = await openEventHandler();
+    check('built-in rules match lock_rules.json', JSON.stringify(LockRules.defaults().config) === JSON.stringify(bundled));
+    // In the browser Lock Rules.js is a plain script: no require, no files
+    const browser = { window: {} };
+    vm.runInNewContext(fs.readFileSync('./App/Handler/Lock Rules.js', 'utf8'), browser);
+    check('built-in rules need no file or fetch', browser.window.LockRules.defaults().compile().conflicts.get('drag_lock').includes('resize_lock'));
+    check('default rule set active', eventHandler.ruleSetName === 'default' && eventHandler.lockRules.ruleSetNames.join() === 'default,preview');
+    check('priorities from the config', eventHandler.lockPriorities.global_lock === 1000 && eventHandler.lockPriorities.render_lock === 50 &&
+        eventHandler.lockModes.validation_lock === 'shared' && eventHandler.lockModes.drag_lock === 'exclusive');
+    const rules = [...eventHandler.conflictRules.values()].flat();
+    check('no phantom operation types', !rules.some(rule => /_operation$/.test(rule)));
+
+    const effective = eventHandler.getConflictMatrix();
+    const symmetric = effective.lockTypes.every(a => effective.lockTypes.every(b => effective.matrix[a][b] === effective.matrix[b][a]));
+    check('matrix is symmetric', symmetric);
+    check('matrix expands rules', effective.matrix.drag_lock.resize_lock && effective.matrix.animation_lock.drag_lock &&
+        !effective.matrix.animation_lock.save_lock && effective.matrix.modal_lock.render_lock && effective.matrix.render_lock.global_lock);
+    check('global lock types listed', effective.global.join() === 'global_lock,modal_lock');
+
+    console.log('\n2️⃣ Validation:');
+    const unknownRule = loadError(config => config.rule_sets.default.conflicts.edit_lock.push('delete_operation'));
+    check('unknown lock type in a rule rejected', unknownRule instanceof LockRules.LockRulesError &&
+        unknownRule.message === 'rule_sets.default.conflicts.edit_lock: unknown lock type "delete_operation"');
+    check('unknown lock type as a rule key rejected', /conflicts: unknown lock type "network_operation"/.test(
+        loadError(config => { config.rule_sets.preview.conflicts.network_operation = []; }).message));
+    check('priorities for undeclared types rejected', /priorities: unknown lock type "submit_lock"/.test(
+        loadError(config => { config.rule_sets.preview.priorities = { submit_lock: 10 }; }).message));
+    check('unknown extends and cycles rejected', /extends unknown rule set "strict"/.test(
+        loadError(config => { config.rule_sets.preview.extends = 'strict'; }).message) &&
+        /extends cycle/.test(loadError(config => { config.rule_sets.default.extends = 'preview'; }).message));
+    check('bad priorities, modes and a missing default rejected',
+        loadError(config => { config.lock_types.drag_lock.priority = 'high'; }) &&
+        loadError(config => { config.lock_types.drag_lock.mode = 'optimistic'; }) &&
+        loadError(config => { delete config.rule_sets.default; }));
+    let typeError = null;
+    try {
+        await eventHandler.requestLock('delete_operation', 'delete_box_1');
+    } catch (error) {
+        typeError = error;
+    }
+    check('requests for undeclared lock types rejected', typeError && /Unknown lock type: delete_operation/.test(typeError.message));
+    let swapError = null;
+    try {
+        eventHandler.useLockRules({ lock_types: { drag_lock: { priority: 1 } }, rule_sets: { default: { conflicts: { drag_lock: ['edit_lock'] } } } });
+    } catch (error) {
+        swapError = error;
+    }
+    check('an invalid config leaves the active rules in place', swapError instanceof LockRules.LockRulesError &&
+        eventHandler.lockPriorities.edit_lock === 800 && eventHandler.ruleSetName === 'default');
+
+    console.log('\n3️⃣ Runtime swap:');
+    await eventHandler.requestLock('edit_lock', 'edit_form_1', {});
+    const designCheck = await eventHandler.requestLock('validation_lock', 'validate_form_1', {});
+    await eventHandler.releaseLock('validation_lock', 'validate_form_1');
+    await eventHandler.setRuleSet('preview');
+    const previewCheck = await eventHandler.requestLock('validation_lock', 'validate_form_1', { onReject: () => {} });
+    await changeLog.flush();
+    check('design mode: validation runs during an edit', designCheck === true);
+    check('preview mode: stricter rules queue it', previewCheck === false && eventHandler.getConflictMatrix().matrix.validation_lock.edit_lock);
+    check('extended rules inherited', eventHandler.conflictRules.get('drag_lock').join() === 'edit_lock,resize_lock');
+    const [swap] = changeLog.query({ action: 'lock_rules_changed' }).entries;
+    check('rule set change logged', swap && swap.metadata.previous_rule_set === 'default' &&
+        swap.metadata.rule_set === 'preview' && swap.metadata.active_locks === 1 && swap.context_path === null && swap.new_value === null);
+    await eventHandler.setRuleSet('default');
+    check('switching back re-checks waiting requests', eventHandler.activeLocks.has('validation_lock_validate_form_1'));
+
+    const custom = await openEventHandler({
+        lockRules: {
+            lock_types: { edit_lock: { priority: 10 }, save_lock: { priority: 20 } },
+            rule_sets: { default: { conflicts: {} }, strict: { extends: 'default', conflicts: { save_lock: ['edit_lock'] } } }
+        },
+        ruleSet: 'strict'
+    });
+    check('custom rules from the constructor', custom.eventHandler.ruleSetName === 'strict' &&
+        custom.eventHandler.getConflictMatrix().lockTypes.join() === 'edit_lock,save_lock' &&
+        custom.eventHandler.getConflictMatrix().matrix.edit_lock.save_lock);
+    const loaded = await custom.eventHandler.loadLockRules('./App/Handler/lock_rules.json', 'preview');
+    check('rules loaded from a file at runtime', loaded === 'preview' && custom.eventHandler.lockPriorities.drag_lock === 700);
+
+    for (const handler of [eventHandler, custom.eventHandler]) {
+        await handler.releaseAllLocks('test');
+        handler.destroy();
+    }
+    await Promise.all([changeLog, custom.changeLog].map(log => log.destroy()));
+
+    console.log('\n4️⃣ Other handlers listening:');
+    // IOHandler and InterfaceHandler listen on the DOM; EventTargets stand in for document and window
+    global.document = new EventTarget();
+    global.window = new EventTarget();
+    const [lockLog, ioLog, interfaceLog] = await openChangeLogs(null, null, null);
+    const locking = new EventHandler(lockLog);
+    const io = new IOHandler(ioLog, { coalescing: false });
+    const ui = new InterfaceHandler(interfaceLog);
+    const lockChanges = [];
+    io.handleLockChange = change => lockChanges.push(change.context_path);
+    const errors = [];
+    [ioLog, interfaceLog].forEach(log => {
+        const listener = log.listeners.get('change');
+        log.listeners.set('change', async entries => {
+            try {
+                await listener(entries);
+            } catch (error) {
+                errors.push(error);
+                throw error;
+            }
+        });
+    });
+    await locking.setRuleSet('preview');
+    await locking.requestLock('drag_lock', 'drag_box_9', {});
+    await Promise.all([lockLog, ioLog, interfaceLog].map(log => log.flush()));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    check('listeners skip the entry without a context path', errors.length === 0);
+    check('and keep receiving context changes', lockChanges.includes('current_context_meta.interaction_locks.drag_lock'));
+
+    await locking.releaseAllLocks('test');
+    locking.destroy();
+    io.destroy();
+    ui.destroy();
+    await Promise.all([lockLog, ioLog, interfaceLog].map(log => log.destroy()));
+    delete global.document;
+    delete global.window;
+}
+
+runTest('lock rules', testLockRules);
@@ -0,0 +1,86 @@
+/**
+ * Test Lock Scopes
+ * Verifies structured lock requests ({ type, scope, owner, ttl }), that conflicts
+ * are decided by comparing scopes instead of guessing components from operation
+ * ids, and that legacy string requests keep working through the adapter.
+ */
+
+const EventHandler = require('./App/Handler/Event Handler.js');
+const BaseContainer = require('./App/Components/Developer Level/base container.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function openEventHandler() {
+    const [changeLog] = await openChangeLogs();
+    const eventHandler = new EventHandler(changeLog);
+    eventHandler.useContainerTree(BaseContainer);
+    return { changeLog, eventHandler };
+}
+
+async function testLockScopes() {
+    console.log('🔧 Testing structured lock scopes...\n');
+
+    // page > base_user_container_1700_abc > caption_9; page > text_field_1700_abc
+    const page = new BaseContainer('page', null, 'canvas');
+    const userContainer = new BaseContainer('base_user_container_1700_abc', page);
+    new BaseContainer('caption_9', userContainer);
+    new BaseContainer('text_field_1700_abc', page);
+    const { changeLog, eventHandler } = await openEventHandler();
+
+    console.log('1️⃣ Legacy adapter:');
+    check('regex guess mis-scopes ids with underscores',
+        eventHandler._extractComponentIdFromOperationId('move_operation_base_user_container_1700_abc') ===
+        eventHandler._extractComponentIdFromOperationId('resize_operation_text_field_1700_abc'));
+    check('adapter resolves registered components', eventHandler.resolveComponentId('move_operation_base_user_container_1700_abc') ===
+        'base_user_container_1700_abc' && eventHandler.resolveComponentId('resize_operation_text_field_1700_abc') === 'text_field_1700_abc');
+    check('unregistered ids fall back to the old guess', eventHandler.resolveComponentId('move_operation_element_123') === 'element_123');
+    const legacyDrag = await eventHandler.requestLock('drag_lock', 'move_operation_base_user_container_1700_abc', {});
+    const legacyResize = await eventHandler.requestLock('resize_lock', 'resize_operation_text_field_1700_abc', {});
+    check('unrelated components no longer conflict', legacyDrag === true && legacyResize === true);
+    await eventHandler.releaseAllLocks('test');
+
+    console.log('\n2️⃣ Structured requests:');
+    const drag = { type: 'drag_lock', scope: { componentId: 'base_user_container_1700_abc' }, owner: 'movable', source: 'test' };
+    const resize = { type: 'resize_lock', scope: { componentId: 'base_user_container_1700_abc' }, owner: 'resizable', onReject: () => {} };
+    const dragGranted = await eventHandler.requestLock(drag);
+    const resizeGranted = await eventHandler.requestLock(resize);
+    const legacyClash = eventHandler.checkConflicts('resize_lock', 'resize_operation_base_user_container_1700_abc');
+    const captionClash = eventHandler.checkConflicts('resize_lock', 'x', { scope: { componentId: 'caption_9' } });
+    const siblingClash = eventHandler.checkConflicts('resize_lock', 'x', { scope: { componentId: 'text_field_1700_abc' } });
+    const [lockKey, lockInfo] = [...eventHandler.activeLocks][0];
+    check('granted with its scope and owner', dragGranted === true && lockKey === 'drag_lock_base_user_container_1700_abc@movable' &&
+        lockInfo.owner === 'movable' && lockInfo.options.scope.subtree === true);
+    check('same component, conflicting type: queued', resizeGranted === false && eventHandler.lockQueue[0].owner === 'resizable');
+    check('legacy requests see structured locks', legacyClash.join() === lockKey);
+    check('scope covers the subtree, not siblings', captionClash.length === 1 && siblingClash.length === 0);
+    const released = await eventHandler.releaseLock(drag, 'done');
+    check('the request object releases its own lock', released === true &&
+        eventHandler.activeLocks.has('resize_lock_base_user_container_1700_abc@resizable'));
+    await eventHandler.releaseAllLocks('test');
+
+    console.log('\n3️⃣ Subtree and ttl:');
+    await eventHandler.requestLock({ type: 'drag_lock', scope: { componentId: 'base_user_container_1700_abc', subtree: false }, owner: 'a' });
+    const childResize = await eventHandler.requestLock({ type: 'resize_lock', scope: { componentId: 'caption_9' }, owner: 'b' });
+    const selfResize = await eventHandler.requestLock({ type: 'resize_lock', scope: { componentId: 'base_user_container_1700_abc' },
+        owner: 'c', onReject: () => {} });
+    check('subtree: false leaves descendants free', childResize === true);
+    check('but still locks the component itself', selfResize === false);
+    await eventHandler.releaseAllLocks('test');
+    await eventHandler.requestLock({ type: 'edit_lock', scope: { componentId: 'text_field_1700_abc' }, owner: 'editor', ttl: 30 });
+    const armed = eventHandler.activeLocks.size === 1;
+    await wait(80);
+    check('ttl releases the lock', armed && eventHandler.activeLocks.size === 0);
+
+    const rejects = request => { try { eventHandler.normalizeLockRequest(request); return false; } catch (error) { return true; } };
+    check('malformed requests rejected', rejects({ scope: { componentId: 'page' } }) &&
+        rejects({ type: 'drag_lock', scope: 'page' }) && rejects({ type: 'drag_lock', ttl: -5 }) &&
+        rejects({ type: 'drag_lock', scope: { componentId: 42 } }));
+    check('no scope means a global lock', eventHandler.normalizeLockRequest({ type: 'save_lock', owner: 'form' }).operationId === 'global@form');
+
+    await eventHandler.releaseAllLocks('test');
+    eventHandler.destroy();
+    await changeLog.destroy();
+}
+
+runTest('lock scope', testLockScopes);
@@ -0,0 +1,141 @@
+/**
+ * Test Parameter Contracts
+ * Verifies that the required/optional markers and type hints of behavior schema
+ * parameters compile into validators, that dispatch rejects calls with missing
+ * or mistyped parameters and logs them to the changelog, and that every
+ * behavior function's contract can be listed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventHandler = require('./App/Handler/Event Handler.js');
+const ParameterContracts = require('./App/Handler/Parameter Contracts.js');
+const MovableBehavior = require('./App/Components/User Level/Base User Container/MovableBehavior.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+function specError(spec) {
+    try {
+        ParameterContracts.parseSpec(spec, 'test');
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+// Every string parameter spec declared in a behavior schema in the app
+function schemaSpecs(dir = './App') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return schemaSpecs(file);
+        if (!entry.name.endsWith('.js')) return [];
+        const source = fs.readFileSync(file, 'utf8');
+        return [...source.matchAll(/"parameters":\s*\{([^{}]*)\}/g)]
+            .flatMap(match => [...match[1].matchAll(/"(\w+)":\s*"([^"]*)"/g)].map(([, name, spec]) => ({ name, spec })));
+    });
+}
+
+async function openEventHandler() {
+    const [changeLog] = await openChangeLogs();
+    return { changeLog, eventHandler: new EventHandler(changeLog) };
+}
+
+async function testParameterContracts() {
+    console.log('🔧 Testing parameter contracts...\n');
+
+    console.log('1️⃣ Compiling:');
+    const contract = ParameterContracts.compile({
+        position: 'required coordinates',
+        target: 'componentId',
+        opacity: 'optional number 0..1',
+        mode: 'required',
+        count: { required: true, type: 'integer', min: 1, default: 1 },
+        animate: true,
+        easing: 'ease-in-out'
+    });
+    const byName = Object.fromEntries(contract.parameters.map(parameter => [parameter.name, parameter]));
+    check('markers and type hints', byName.position.required && byName.position.type === 'coordinates' &&
+        !byName.target.required && byName.target.type === 'componentId' && byName.mode.required && byName.mode.type === null);
+    check('number ranges and the object form', byName.opacity.min === 0 && byName.opacity.max === 1 &&
+        byName.count.type === 'integer' && byName.count.min === 1 && byName.count.max === null && byName.count.default === 1);
+    check('other values stay defaults', contract.defaults.animate === true && contract.defaults.easing === 'ease-in-out' &&
+        contract.parameters.length === 5);
+    check('malformed specs rejected', /unknown parameter type "nubmer"/.test(specError('required nubmer').message) &&
+        /only number and integer/.test(specError('string 0..1').message) && /is empty/.test(specError('number 5..1').message) &&
+        /malformed range "0-1"/.test(specError('number 0-1').message) &&
+        specError('required coordinates x') instanceof ParameterContracts.ParameterContractError);
+    const declared = schemaSpecs();
+    const invalid = declared.filter(({ spec }) => specError(spec));
+    check(`all ${declared.length} schema parameter specs compile`, declared.length > 30 && invalid.length === 0);
+
+    console.log('\n2️⃣ Validation:');
+    const violations = values => ParameterContracts.validate(contract, values).map(violation => `${violation.parameter}:${violation.reason}`).join();
+    check('a complete call passes', violations({ position: { x: 1, y: 2 }, mode: 'fast', count: 3, opacity: 0.5 }) === '');
+    check('missing required parameters', violations({ count: 1 }) === 'position:missing,mode:missing');
+    check('mistyped parameters', violations({ position: '10,20', mode: 'fast', count: 1.5, target: '' }) ===
+        'position:type,target:type,count:type');
+    check('out of range', violations({ position: { x: 0, y: 0 }, mode: 'fast', count: 0, opacity: 2 }) === 'opacity:range,count:range');
+
+    console.log('\n3️⃣ Dispatch:');
+    const { changeLog, eventHandler } = await openEventHandler();
+    const calls = [];
+    const instance = { place: params => calls.push(params) };
+    eventHandler.registerBehavior('placer', {
+        instance,
+        schema: { place: { triggers: ['click'], parameters: {
+            position: 'required coordinates', target: 'componentId', opacity: 'optional number 0..1', mode: 'required', animate: true
+        } } }
+    });
+    eventHandler.registerFunctionTrigger('click', 'placer', 'place');
+    eventHandler.registerFunctionTrigger('dblclick', 'placer', 'place', { mode: 'quick' });
+    const fire = async (triggerKey, event) => {
+        calls.length = 0;
+        const results = await eventHandler.handleTriggerEvent(triggerKey, event);
+        return results;
+    };
+
+    await fire('click', { clientX: 40, clientY: 60, componentId: 'box_1', mode: 'drop' });
+    check('values resolved from the event', calls.length === 1 && calls[0].position.x === 40 && calls[0].position.y === 60 &&
+        calls[0].target === 'box_1' && calls[0].mode === 'drop' && calls[0].animate === true);
+    await fire('dblclick', { position: { x: 1, y: 2 } });
+    check('markers are not passed on as values; registration parameters fill them', calls.length === 1 &&
+        calls[0].mode === 'quick' && calls[0].opacity === undefined);
+
+    const rejected = await fire('click', { clientX: 40, componentId: 'box_1', opacity: 3 });
+    check('call with missing or mistyped parameters rejected', calls.length === 0 && rejected[0].success === false &&
+        rejected[0].error instanceof ParameterContracts.ParameterContractError &&
+        rejected[0].error.message === 'placer.place(): missing required parameter "position"; "opacity" must be in 0..1, got 3; missing required parameter "mode"');
+    await changeLog.flush();
+    const logged = changeLog.query({ action: 'parameter_contract_violation' }).entries;
+    check('rejection logged to the changelog', logged.length === 1 && logged[0].change_type === 'rejected' &&
+        logged[0].metadata.behavior_id === 'placer' && logged[0].metadata.function_name === 'place' &&
+        logged[0].metadata.violations.map(violation => violation.reason).join() === 'missing,range,missing' &&
+        logged[0].context_path === null);
+
+    eventHandler.registerBehavior('broken', { instance: { run() {} }, schema: { run: { triggers: ['init'], parameters: { size: 'required nubmer' } } } });
+    let registerError = null;
+    try {
+        eventHandler.registerFunctionTrigger('init', 'broken', 'run');
+    } catch (error) {
+        registerError = error;
+    }
+    check('malformed contract rejected at registration', registerError instanceof ParameterContracts.ParameterContractError &&
+        registerError.message === 'broken.run.parameters.size: unknown parameter type "nubmer"' &&
+        !eventHandler.getTriggerMappings().functionTriggers['init → broken.run']);
+    eventHandler.unregisterBehavior('broken');
+
+    console.log('\n4️⃣ Listing contracts:');
+    const movable = new MovableBehavior({ containerId: 'box_2', element: {}, isMovable: true });
+    eventHandler.registerBehavior('movable_box_2', { instance: movable, schema: movable.behaviorSchema });
+    const contracts = eventHandler.getParameterContracts();
+    check('every behavior function listed', Object.keys(contracts).join() === 'placer,movable_box_2' &&
+        Object.keys(contracts.movable_box_2).join() === Object.keys(movable.behaviorSchema).join());
+    check('with a readable summary', contracts.placer.place.summary.join('; ') ===
+        'position: required coordinates; target: optional componentId; opacity: optional number 0..1; mode: required' &&
+        contracts.movable_box_2.startMove.summary[0] === 'position: required coordinates' &&
+        contracts.movable_box_2.startMove.defaults.target === 'drag_area');
+
+    eventHandler.destroy();
+    await changeLog.destroy();
+}
+
+runTest('parameter contract', testParameterContracts);
@@ -0,0 +1,212 @@
+/**
+ * Test Storage Adapters
+ * Verifies that ChangeLogManager persists through whichever adapter it is given,
+ * and that the built-in adapters round-trip the changelog and context.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ChangeLogManager = require('./App/Context/ChangeLog.js');
+const StorageAdapters = require('./App/Context/StorageAdapters.js');
+const { check, runTest } = require('./test_helpers.js');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'changelog-storage-'));
+const changelogPath = path.join(tmpDir, 'changelog.json');
+const contextPath = path.join(tmpDir, 'current_context_meta.json');
+fs.copyFileSync('./App/Context/changelog.json', changelogPath);
+fs.copyFileSync('./App/Context/current_context_meta.json', contextPath);
+
+/**
+ * Minimal IndexedDB with one object store. Transactions on the store run one at a time,
+ * a transaction commits once it has no pending requests, and a request made after its
+ * transaction went inactive throws, as in browsers.
+ */
+function fakeIndexedDB() {
+    const data = new Map();
+    const waiting = [];
+    let running = null;
+    let closed = false;
+
+    const settle = transaction => {
+        if (transaction !== running || transaction.active || transaction.pending > 0) return;
+        running = null;
+        if (!transaction.aborted) {
+            transaction.writes.forEach((value, key) => (value === undefined ? data.delete(key) : data.set(key, value)));
+        }
+        setImmediate(() => {
+            const done = transaction.aborted ? transaction.onabort : transaction.oncomplete;
+            if (done) done();
+            start();
+        });
+    };
+    const start = () => {
+        if (running || waiting.length === 0) return;
+        running = waiting.shift();
+        running.queued.splice(0).forEach(run => setImmediate(run));
+        settle(running);
+    };
+    const request = (transaction, operation) => {
+        if (!transaction.active) throw new Error('TransactionInactiveError');
+        const result = {};
+        transaction.pending++;
+        const run = () => {
+            if (closed || transaction.aborted) return;
+            result.result = operation();
+            transaction.pending--;
+            transaction.active = true;
+            if (result.onsuccess) result.onsuccess();
+            transaction.active = false;
+            settle(transaction);
+        };
+        if (transaction === running) setImmediate(run); else transaction.queued.push(run);
+        return result;
+    };
+
+    const db = {
+        transaction() {
+            const transaction = { active: true, pending: 0, aborted: false, queued: [], writes: new Map() };
+            transaction.objectStore = () => ({
+                get: key => request(transaction, () => (transaction.writes.has(key) ? transaction.writes.get(key) : data.get(key))),
+                put: (value, key) => request(transaction, () => transaction.writes.set(key, value)),
+                delete: key => request(transaction, () => transaction.writes.set(key, undefined))
+            });
+            transaction.abort = () => {
+                transaction.aborted = true;
+                transaction.pending = 0;
+                settle(transaction);
+            };
+            waiting.push(transaction);
+            setImmediate(() => {
+                transaction.active = false;
+                settle(transaction);
+            });
+            start();
+            return transaction;
+        },
+        createObjectStore() {}
+    };
+
+    return {
+        data,
+        close: () => { closed = true; },
+        open() {
+            const opening = { result: db };
+            setImmediate(() => {
+                if (opening.onupgradeneeded) opening.onupgradeneeded();
+                opening.onsuccess();
+            });
+            return opening;
+        }
+    };
+}
+
+// Resolves to 'timeout' if the promise is still pending after `ms`
+function within(promise, ms) {
+    let timer;
+    return Promise.race([promise, new Promise(resolve => { timer = setTimeout(() => resolve('timeout'), ms); })])
+        .finally(() => clearTimeout(timer));
+}
+
+async function testStorageAdapters() {
+    console.log('🔧 Testing storage adapters...\n');
+
+    console.log('1️⃣ Adapter selection:');
+    const fileLog = new ChangeLogManager(changelogPath, contextPath, { crossProcessPolling: false });
+    check('Node defaults to file storage', fileLog.storage.type === 'file');
+    check('file storage enables cross-process polling by default',
+        new ChangeLogManager(changelogPath, contextPath, { storage: 'file' }).crossProcessPolling === true);
+    check('memory storage does not poll', new ChangeLogManager(undefined, undefined, { storage: 'memory' }).crossProcessPolling === false);
+    let unknownError = null;
+    try {
+        new ChangeLogManager(undefined, undefined, { storage: 'floppy' });
+    } catch (error) {
+        unknownError = error;
+    }
+    check('unknown adapter name throws', unknownError && /floppy/.test(unknownError.message));
+
+    console.log('\n2️⃣ File storage:');
+    await fileLog.ready;
+    fileLog.registerHandler('io_handler');
+    await fileLog.setValue('current_context_meta.current_mouse_input.click_count', 3);
+    const savedContext = JSON.parse(fs.readFileSync(contextPath, 'utf8'));
+    const savedChangelog = JSON.parse(fs.readFileSync(changelogPath, 'utf8'));
+    check('context written to the context file', savedContext.current_context_meta.current_mouse_input.click_count === 3);
+    check('entry written to the changelog file',
+        savedChangelog.changelog.entries.some(entry => entry.context_path === 'current_context_meta.current_mouse_input.click_count'));
+    check('missing file reads as null', await fileLog.storage.read('snapshot') === null);
+    await fileLog.destroy();
+
+    console.log('\n3️⃣ Memory storage shared between managers:');
+    const memory = new StorageAdapters.MemoryStorageAdapter();
+    const writer = new ChangeLogManager(undefined, undefined, { storage: memory });
+    await writer.ready;
+    writer.registerHandler('io_handler');
+    check('starts from empty structures', writer.changelogCache.changelog.entries.length === 0);
+    await writer.setValue('application.mode', 'preview');
+    const reader = new ChangeLogManager(undefined, undefined, { storage: memory });
+    await reader.ready;
+    check('second manager loads the first one\'s context', reader.getValue('application.mode') === 'preview');
+    check('second manager loads the first one\'s changelog', reader.changelogCache.changelog.last_sequence_id === 1);
+    check('nothing touched the file system', !fs.existsSync(path.join(process.cwd(), 'changelog.json')));
+    await writer.destroy();
+    await reader.destroy();
+
+    console.log('\n4️⃣ localStorage adapter:');
+    const items = new Map();
+    global.localStorage = {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+    const browserLog = new ChangeLogManager(undefined, undefined, { storage: 'localStorage' });
+    await browserLog.ready;
+    browserLog.registerHandler('io_handler');
+    await browserLog.setValue('application.mode', 'design');
+    check('keeps the existing \'changelog\'/\'context\' keys', items.has('changelog') && items.has('context'));
+    const prefixed = new StorageAdapters.LocalStorageAdapter({ prefix: 'form_' });
+    await prefixed.write('context', '{}');
+    check('prefix applied to keys', items.get('form_context') === '{}');
+    await prefixed.remove('context');
+    check('remove deletes the key', !items.has('form_context'));
+    await browserLog.destroy();
+    delete global.localStorage;
+
+    console.log('\n5️⃣ IndexedDB adapter:');
+    global.indexedDB = fakeIndexedDB();
+    const idb = new StorageAdapters.IndexedDBStorageAdapter();
+    await idb.write('counter', '0');
+    await Promise.all(Array.from({ length: 4 }, () => idb.update('counter', current => String(Number(current) + 1))));
+    check('updates read and write in one transaction', await idb.read('counter') === '4');
+    const asyncUpdate = await idb.update('counter', async current => current).then(() => null, error => error);
+    check('async mutators rejected without writing', asyncUpdate && /synchronous mutator/.test(asyncUpdate.message) &&
+        await idb.read('counter') === '4');
+
+    const idbLog = new ChangeLogManager(undefined, undefined, { storage: 'indexedDB', crossProcessPolling: false, snapshotInterval: 3 });
+    await idbLog.ready;
+    idbLog.registerHandler('io_handler');
+    await idbLog.configureChangelog({ max_entries: 4 });
+    const clickPath = 'current_context_meta.current_mouse_input.click_count';
+    let writes = 0;
+    for (let i = 1; i <= 10; i++) {
+        if (await within(idbLog.setValue(clickPath, i), 2000) === 'timeout') break;
+        writes++;
+    }
+    check(`writes finish across snapshots (${writes}/10)`, writes === 10);
+    const storedLog = JSON.parse(global.indexedDB.data.get('changelog'));
+    const storedSnapshot = JSON.parse(global.indexedDB.data.get('snapshot') || 'null');
+    check('compacted log stored', storedLog.changelog.entries.length === 4 && storedLog.changelog.compacted_through === 6);
+    check('snapshot stored and recorded', storedSnapshot && storedSnapshot.sequence_id >= storedLog.changelog.compacted_through &&
+        storedLog.changelog.snapshot_sequence_id === storedSnapshot.sequence_id);
+    global.indexedDB.data.delete('context');
+    const idbReader = new ChangeLogManager(undefined, undefined, { storage: 'indexedDB', crossProcessPolling: false });
+    await idbReader.ready;
+    check('snapshot + tail restores the context', idbReader.getValue(clickPath) === 10);
+    await idbReader.destroy();
+    await within(idbLog.destroy(), 2000);
+    global.indexedDB.close();
+    delete global.indexedDB;
+}
+
+runTest('storage adapter', testStorageAdapters)
+    .finally(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
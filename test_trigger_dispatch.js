@@ -0,0 +1,123 @@
+/**
+ * Test Trigger Dispatch
+ * Verifies the dispatch policies for functions matched by one trigger
+ * (first-match-wins, priority order with stopPropagation, broadcast) and that
+ * events bubble from the target component up its BaseContainer parent chain,
+ * so a child's handler can consume an event before its parent sees it.
+ */
+
+const EventHandler = require('./App/Handler/Event Handler.js');
+const BaseContainer = require('./App/Components/Developer Level/base container.js');
+const ResizeableBehavior = require('./App/Components/User Level/Base User Container/ResizeableBehavior.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+// The interface handler owns the hover context, so it writes it on its own manager
+async function openHandlers() {
+    const [changeLog, interfaceLog] = await openChangeLogs(null, 'interface_handler');
+    const eventHandler = new EventHandler(changeLog);
+    eventHandler.useContainerTree(BaseContainer);
+    return { changeLog, interfaceLog, eventHandler };
+}
+
+async function testTriggerDispatch() {
+    console.log('🔧 Testing trigger dispatch...\n');
+
+    const { changeLog, interfaceLog, eventHandler } = await openHandlers();
+    const form = new BaseContainer('form', null, 'container');
+    const panel = new BaseContainer('panel', form, 'container');
+    const field = new BaseContainer('field', panel, 'container');
+
+    // DOM-like nodes: an input inside the field's element, inside the panel's, inside the form's
+    form.element.parentElement = null;
+    panel.element.parentElement = form.element;
+    field.element.parentElement = panel.element;
+    const input = { id: 'field_input', parentElement: field.element };
+
+    const calls = [];
+    const behavior = (name, component, functions, options = {}) => {
+        const instance = { component };
+        const schema = {};
+        Object.entries(functions).forEach(([functionName, { trigger, priority, result }]) => {
+            instance[functionName] = () => {
+                calls.push(`${name}.${functionName}`);
+                return result;
+            };
+            schema[functionName] = { triggers: [trigger], priority };
+        });
+        eventHandler.registerBehavior(name, { instance, schema });
+        Object.entries(functions).forEach(([functionName, { trigger }]) =>
+            eventHandler.registerFunctionTrigger(trigger, name, functionName, {}, options[functionName]));
+    };
+    const fire = async (triggerKey, event = {}, options = {}) => {
+        calls.length = 0;
+        const results = await eventHandler.handleTriggerEvent(triggerKey, event, options);
+        fire.results = results;
+        return calls.join();
+    };
+
+    behavior('fieldSelect', field, {
+        select: { trigger: 'mousedown', priority: 'low', result: { success: true, stopPropagation: true } },
+        focus: { trigger: 'mousedown', priority: 'normal', result: { success: true } }
+    });
+    behavior('panelDrag', panel, { grab: { trigger: 'mousedown', priority: 'critical', result: { success: true } } });
+    behavior('formSelect', form, { select: { trigger: 'mousedown', priority: 'high', result: { success: true } } });
+    behavior('shortcuts', null, { track: { trigger: 'mousedown', priority: 'critical', result: undefined } });
+
+    console.log('1️⃣ Bubbling:');
+    check('the target runs before its parents, whatever their priority', await fire('mousedown', { target: panel.element }) ===
+        'panelDrag.grab,formSelect.select,shortcuts.track,fieldSelect.focus,fieldSelect.select');
+    // Functions of components off the path and of no component run last, in priority order
+    check('results name the function and its component', fire.results[0].behaviorId === 'panelDrag' &&
+        fire.results[0].functionName === 'grab' && fire.results[0].componentId === 'panel' &&
+        fire.results[2].componentId === null && fire.results[3].componentId === null);
+    check('target found by walking up from a nested node', eventHandler.resolveEventComponent({ target: input }) === 'field' &&
+        eventHandler.resolveEventComponent({ target: input, componentId: 'form' }) === 'form');
+
+    console.log('\n2️⃣ Priority policy:');
+    check('stopPropagation finishes the component and stops bubbling', await fire('mousedown', { target: input }) ===
+        'fieldSelect.focus,fieldSelect.select');
+    behavior('fieldResize', field, { grabHandle: { trigger: 'mousedown', priority: 'critical', result: { success: true, stopImmediatePropagation: true } } });
+    check('stopImmediatePropagation stops at once', await fire('mousedown', { target: input }) === 'fieldResize.grabHandle' &&
+        fire.results.length === 1);
+    eventHandler.unregisterBehavior('fieldResize');
+    await interfaceLog.setValue('current_context_meta.currently_in_object.component_id', 'field');
+    const hovered = await fire('mousedown');
+    await interfaceLog.setValue('current_context_meta.currently_in_object.component_id', null);
+    check('without a target: bubbles from the hovered component', hovered === 'fieldSelect.focus,fieldSelect.select');
+
+    console.log('\n3️⃣ Policies:');
+    check('broadcast runs everything', await fire('mousedown', { target: input }, { dispatch: 'broadcast' }) ===
+        'fieldSelect.focus,fieldSelect.select,panelDrag.grab,formSelect.select,shortcuts.track');
+    behavior('fieldMenu', field, { open: { trigger: 'contextmenu', priority: 'high', result: { success: false, error: 'nothing to show' } } },
+        { open: { dispatch: 'first' } });
+    behavior('panelMenu', panel, { open: { trigger: 'contextmenu', result: { success: true } } });
+    behavior('formMenu', form, { open: { trigger: 'contextmenu', result: { success: true } } });
+    check('first: the first function that handles the event wins', await fire('contextmenu', { target: input }) ===
+        'fieldMenu.open,panelMenu.open');
+    eventHandler.setDispatchPolicy('click', 'first');
+    behavior('fieldClick', field, { toggle: { trigger: 'click', result: false } });
+    behavior('panelClick', panel, { toggle: { trigger: 'click', result: { success: true } } });
+    behavior('formClick', form, { toggle: { trigger: 'click', result: { success: true } } });
+    check('policy declared for a fired trigger', await fire('click', { target: input }) === 'fieldClick.toggle,panelClick.toggle' &&
+        eventHandler.getDispatchPolicy('mousedown', {}) === 'priority');
+    check('per-event override', await fire('click', { target: input }, { dispatch: 'broadcast' }) ===
+        'fieldClick.toggle,panelClick.toggle,formClick.toggle');
+    let unknown = null;
+    try {
+        eventHandler.setDispatchPolicy('click', 'random');
+    } catch (error) {
+        unknown = error;
+    }
+    check('unknown policies rejected', unknown && /Unknown dispatch policy: random/.test(unknown.message));
+
+    console.log('\n4️⃣ Behaviors:');
+    const resizeable = new ResizeableBehavior({ containerId: 'box_1', element: {}, isResizeable: true });
+    check('resize handles outrank every other mousedown', eventHandler.getFunctionPriority(resizeable, 'startResize') ===
+        EventHandler.SCHEMA_PRIORITIES.critical);
+
+    [field, panel, form].forEach(container => container.destroy());
+    eventHandler.destroy();
+    await Promise.all([changeLog, interfaceLog].map(log => log.destroy()));
+}
+
+runTest('trigger dispatch', testTriggerDispatch);
@@ -0,0 +1,156 @@
+/**
+ * Test Trigger Grammar
+ * Verifies that behavior triggers are parsed once at registration (chords, key
+ * sequences, mouse + modifier combos, element-qualified triggers), that unknown
+ * tokens are rejected, and that key triggers fire from the IO Handler's
+ * last_key_sequence, sequences only within their timeout.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventHandler = require('./App/Handler/Event Handler.js');
+const IOHandler = require('./App/Handler/io Handler');
+const TriggerGrammar = require('./App/Handler/Trigger Grammar.js');
+const { check, openChangeLogs, runTest } = require('./test_helpers.js');
+
+// IOHandler listens on the DOM; EventTargets stand in for document and window
+global.document = new EventTarget();
+global.window = new EventTarget();
+
+const fire = (type, fields) => document.dispatchEvent(Object.assign(new Event(type), fields));
+
+function parseError(pattern) {
+    try {
+        TriggerGrammar.parse(pattern);
+        return null;
+    } catch (error) {
+        return error;
+    }
+}
+
+// Every trigger declared in a behavior schema in the app
+function schemaTriggers(dir = './App') {
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) return schemaTriggers(file);
+        if (!entry.name.endsWith('.js')) return [];
+        const source = fs.readFileSync(file, 'utf8');
+        return [...source.matchAll(/"triggers":\s*\[([^\]]*)\]/g)]
+            .flatMap(match => [...match[1].matchAll(/"([^"]*)"/g)].map(trigger => trigger[1]));
+    });
+}
+
+// The Event Handler and IO Handler each run on their own manager, sharing storage and a bus
+async function openHandlers() {
+    const [changeLog, ioLog] = await openChangeLogs(null, null);
+    return { changeLog, ioLog, eventHandler: new EventHandler(changeLog), io: new IOHandler(ioLog, { coalescing: false }) };
+}
+
+async function testTriggerGrammar() {
+    console.log('🔧 Testing the trigger grammar...\n');
+    const realNow = Date.now;
+    let now = realNow();
+
+    console.log('1️⃣ Parsing:');
+    const save = TriggerGrammar.parse('Ctrl+S');
+    check('modifier chord', save.kind === 'key' && save.steps[0].key === 'S' && save.steps[0].modifiers.ctrl && !save.steps[0].modifiers.shift);
+    const goTop = TriggerGrammar.parse('g g');
+    check('key sequence', goTop.kind === 'sequence' && goTop.steps.length === 2 && goTop.steps.every(step => step.key === 'g'));
+    const shiftDown = TriggerGrammar.parse('Shift+mousedown');
+    check('mouse + modifier', shiftDown.kind === 'mouse' && shiftDown.steps[0].name === 'mousedown' && shiftDown.steps[0].modifiers.shift);
+    const handle = TriggerGrammar.parse('mousedown_resize_handle').steps[0];
+    const toggle = TriggerGrammar.parse('click:panel-toggle').steps[0];
+    const remove = TriggerGrammar.parse('right_click+delete').steps[0];
+    check('element-qualified', handle.name === 'mousedown' && handle.element === 'resize_handle' &&
+        toggle.name === 'click' && toggle.element === 'panel-toggle' && remove.name === 'right_click' && remove.element === 'delete');
+    const escape = TriggerGrammar.parse('keydown_Escape').steps[0];
+    check('key phases and named events', escape.key === 'Escape' && escape.phase === 'keydown' &&
+        TriggerGrammar.parse('Shift+resize').steps[0].name === 'resize' && TriggerGrammar.parse('panel-state-change').kind === 'event');
+    const declared = schemaTriggers();
+    const invalid = declared.filter(trigger => parseError(trigger));
+    check(`all ${declared.length} schema triggers parse`, declared.length > 50 && invalid.length === 0);
+
+    console.log('\n2️⃣ Validation:');
+    check('unknown token rejected', parseError('Ctlr+S') instanceof TriggerGrammar.TriggerSyntaxError &&
+        parseError('Ctlr+S').message === 'unknown token "Ctlr" in trigger "Ctlr+S"');
+    check('unknown keys rejected', /unknown token "F13"/.test(parseError('F13').message) &&
+        /unknown key "Escpae"/.test(parseError('keydown_Escpae').message));
+    check('malformed chords rejected', /empty token/.test(parseError('Ctrl+').message) &&
+        /must come before the key/.test(parseError('S+Ctrl').message) && /unexpected "X"/.test(parseError('Ctrl+S+X').message));
+    check('only keys form sequences', /only keys can form a sequence/.test(parseError('g mousedown').message));
+
+    const { changeLog, ioLog, eventHandler, io } = await openHandlers();
+    const calls = [];
+    const behavior = {};
+    ['save', 'goTop', 'closePanel', 'resizeStart', 'extend', 'removeItem', 'help'].forEach(name => {
+        behavior[name] = params => calls.push({ name, params });
+    });
+    eventHandler.registerBehavior('test-behavior', { instance: behavior, schema: {} });
+    let registerError = null;
+    try {
+        eventHandler.registerFunctionTrigger('Ctrl+Shfit+S', 'test-behavior', 'save');
+    } catch (error) {
+        registerError = error;
+    }
+    check('registration validates the pattern', registerError instanceof TriggerGrammar.TriggerSyntaxError &&
+        !eventHandler.functionTriggers.has('Ctrl+Shfit+S'));
+
+    eventHandler.registerFunctionTrigger('Ctrl+S', 'test-behavior', 'save');
+    eventHandler.registerFunctionTrigger('g g', 'test-behavior', 'goTop', {}, { sequenceTimeout: 500 });
+    eventHandler.registerFunctionTrigger('?', 'test-behavior', 'help');
+    eventHandler.registerFunctionTrigger('keydown_Escape', 'test-behavior', 'closePanel');
+    eventHandler.registerFunctionTrigger('mousedown_resize_handle', 'test-behavior', 'resizeStart');
+    eventHandler.registerFunctionTrigger('Shift+mousedown', 'test-behavior', 'extend');
+    eventHandler.registerFunctionTrigger('right_click+delete', 'test-behavior', 'removeItem');
+
+    console.log('\n3️⃣ Fired triggers:');
+    const fired = async (triggerKey, event) => {
+        calls.length = 0;
+        await eventHandler.handleTriggerEvent(triggerKey, event);
+        return calls.map(call => call.name).join();
+    };
+    check('element qualifier from the trigger key or the target', await fired('mousedown_resize_handle', {}) === 'resizeStart' &&
+        await fired('mousedown', { target: { className: 'box resize-handle' } }) === 'resizeStart' &&
+        await fired('mousedown', { target: { className: 'box' } }) === '');
+    check('modifiers held for mouse combos', await fired('mousedown', { shiftKey: true }) === 'extend' &&
+        await fired('mousedown', { shiftKey: false }) === '');
+    check('right click on an element', await fired('contextmenu', { target: { id: 'delete' } }) === 'removeItem' &&
+        await fired('mousedown', { button: 2, target: { id: 'delete' } }) === 'removeItem' &&
+        await fired('mousedown', { button: 0, target: { id: 'delete' } }) === '');
+    check('key phase respected', await fired('keydown', { type: 'keydown', key: 'Escape' }) === 'closePanel' &&
+        await fired('keyup', { type: 'keyup', key: 'Escape' }) === '');
+    check('sequences do not fire from single events', await fired('keydown', { type: 'keydown', key: 'g' }) === '');
+
+    console.log('\n4️⃣ IO Handler key sequence:');
+    Date.now = () => now;
+    const press = async (key, modifiers = {}, after = 100) => {
+        now += after;
+        fire('keydown', { key, ctrlKey: !!modifiers.ctrl, shiftKey: !!modifiers.shift, altKey: false, metaKey: false });
+        fire('keyup', { key, ctrlKey: !!modifiers.ctrl, shiftKey: !!modifiers.shift, altKey: false, metaKey: false });
+        await ioLog.flush();
+        await new Promise(resolve => setTimeout(resolve, 0));
+    };
+    const run = async keys => {
+        calls.length = 0;
+        for (const [key, modifiers, after] of keys) await press(key, modifiers, after);
+        return calls.map(call => call.name).join();
+    };
+
+    check('last_key_sequence written to the context', await run([['x']]) === '' &&
+        ioLog.getValue('current_context_meta.current_keyboard_input.last_key_sequence').slice(-1)[0].key === 'x');
+    check('chord fires from the key sequence', await run([['Control', { ctrl: true }], ['s', { ctrl: true }]]) === 'save' &&
+        await run([['s']]) === '' && await run([['Shift', { shift: true }], ['S', { ctrl: true, shift: true }]]) === '');
+    check('shifted characters need no Shift+', await run([['?', { shift: true }]]) === 'help');
+    check('sequence within its timeout', await run([['g'], ['g', {}, 200]]) === 'goTop');
+    check('a completed sequence consumes its keys', await run([['g', {}, 100]]) === '' && await run([['g', {}, 100]]) === 'goTop');
+    check('too slow: no sequence', await run([['x'], ['g'], ['g', {}, 800]]) === '');
+    check('sequence event carries the keys', await run([['g', {}, 100]]) === 'goTop' &&
+        calls[0].params.event.sequence.length >= 2 && calls[0].params.event.key === 'g');
+
+    Date.now = realNow;
+    io.destroy();
+    eventHandler.destroy();
+    await Promise.all([changeLog, ioLog].map(log => log.destroy()));
+}
+
+runTest('trigger grammar', testTriggerGrammar);